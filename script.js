@@ -10,29 +10,304 @@ let team1Name = 'Team 1';
 let team2Name = 'Team 2';
 let team1Ranking = 0;
 let team2Ranking = 0;
+let ratingEngine = 'elo'; // Rates teams from results when no manual rankings are given
+let sportProfileId = 'soccer'; // Scoring regime the model, markets and copy are set up for
 let matchImportance = 1;
 let matchLocation = 'neutral';
 
 // Betting lines
 let totalLine = 0;
-let pointSpread = 0;
-let spreadDirection = 'team1';
+let spreadHandicap = null; // Team 1's handicap, negative when Team 1 gives points (null when no spread is set)
+let moneylineOdds = { team1: null, draw: null, team2: null }; // 1X2 prices as decimal odds (null when not entered)
+let totalOdds = { over: null, under: null }; // Prices for both sides of the total line
+let spreadOdds = { team1: null, team2: null }; // Prices for both sides of the handicap
+let oddsFormat = 'decimal'; // How the prices are entered and shown
+let marginMethod = 'proportional'; // How the bookmaker margin is removed from the prices
+let derivedMarketOdds = { results: null, prices: {} }; // Derived-market prices (decimal odds by selection id) and the analysis they were entered for
+let lineLadderOdds = { results: null, prices: {} }; // Alternative-line prices (decimal odds by "total:2.5:over" style ids) and their analysis
+let parlaySlip = { games: {}, legs: [] }; // Accumulator legs, and the analysis (score matrix) of each game they come from
 
 // Charts
 let winProbabilityChart = null;
 let modelConfidenceChart = null;
 let scoreProbabilityChart = null;
 let performanceTrendChart = null;
+let ratingHistoryChart = null;
+let simulationTotalChart = null;
+let simulationMarginChart = null;
+let backtestProfitChart = null;
+let backtestTierChart = null;
+let calibrationChart = null;
+let bankrollGrowthChart = null;
+let bankrollDrawdownChart = null;
 
 // Analysis results tracking
 let lastAnalysisResults = null;
 let featureImportanceScores = {};
 
+// Monte Carlo simulation (runs in a Web Worker when available)
+let simulationWorker = null;
+let simulationJobId = 0;
+
+// Saved sessions (persisted in localStorage)
+const STORAGE_KEYS = {
+    WORKING_SESSION: 'sma-working-session',
+    SAVED_SESSIONS: 'sma-saved-sessions',
+    TEAM_DATABASE: 'sma-team-database',
+    CALIBRATION: 'sma-calibration',
+    WEIGHT_PROFILES: 'sma-weight-profiles',
+    BANKROLL: 'sma-bankroll',
+    BET_LEDGER: 'sma-bet-ledger',
+    SLATE: 'sma-slate'
+};
+let activeSessionId = null;
+
+// Workspace JSON schema (exports, imports and saved session state)
+const WORKSPACE_SCHEMA_ID = 'sports-match-analyzer-workspace';
+const WORKSPACE_SCHEMA_VERSION = 9;
+
+// Match summary editing (the match currently shown as an inline form, and the one being dragged)
+let editingMatch = null;
+let draggedMatch = null;
+
+// CSV match history import (parsed rows and column mapping awaiting commit)
+let csvImportState = null;
+
+// Undo/redo history of session state snapshots
+const HISTORY_LIMIT = 100;
+const HISTORY_MERGE_WINDOW_MS = 1500;
+let undoStack = [];
+let redoStack = [];
+let historyBatchDepth = 0;
+let lastHistoryEntry = null;
+
+// Team database: known teams and the results between them, shared by every matchup
+let teamDatabase = { teams: [], matches: [] };
+let team1Id = null; // Database team linked to Team 1 (null when the name is entered manually)
+let team2Id = null;
+let editingTeamId = null;
+
+// Backtesting (the last run, kept for display and export)
+let backtestResults = null;
+
+// Probability recalibration map (persisted; applied to new analyses while enabled)
+let probabilityCalibration = null;
+
+// Named parameter profiles (persisted); the active preset or profile overrides the model defaults
+let weightProfiles = [];
+let activeWeightProfileId = null;
+let lastWeightFit = null; // Latest optimizer result, awaiting a name before it is saved
+let modelConfigDraft = null; // Unsaved edits in the configuration panel
+
+// Bankroll and staking policy (persisted); every recommended bet gets a suggested stake
+let bankrollSettings = null;
+
+// Bet ledger (persisted) and the recommendation waiting to be recorded in it
+let betLedger = [];
+let pendingLedgerBet = null;
+
+// Slate of fixtures analyzed together (persisted) and the leaderboard's sort column
+let slateFixtures = [];
+let slateSort = { key: 'bestEdge', descending: true };
+
 // Constants for data analysis
 const MIN_MATCHES_FOR_GOOD_ANALYSIS = 4;
 const MIN_MATCHES_FOR_EXCELLENT_ANALYSIS = 8;
 const MIN_H2H_MATCHES = 2;
 
+// Competition tags for individual matches (importance values match the Match Importance options)
+const COMPETITION_TYPES = {
+    regular: { label: 'Regular', importance: 1 },
+    playoffs: { label: 'Playoffs', importance: 1.5 },
+    championship: { label: 'Championship', importance: 2 },
+    tournament: { label: 'Tournament', importance: 1.2 },
+    friendly: { label: 'Friendly', importance: 0.8 }
+};
+
+// Typical gap between matches, used to turn real dates into "matches ago" for recency weighting
+const MATCH_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Strength-of-schedule fit: pseudo-matches of average play that pull sparsely observed teams toward 1.0
+const SOS_PRIOR_MATCHES = 2;
+const SOS_MAX_ITERATIONS = 100;
+
+// Dixon-Coles score model
+const DIXON_COLES = {
+    HALF_LIFE_DAYS: 180,    // Time-decay weighting: a result this much older than the latest counts half
+    DEFAULT_RHO: -0.05,     // Prior centre for the low-score dependence parameter
+    RHO_PRIOR_SD: 0.1,      // How firmly rho is held near the prior when there is little data
+    RHO_MIN: -0.3,
+    RHO_MAX: 0.3
+};
+
+// Sport profiles: how scores are distributed, baseline averages, whether draws stand, how overtime settles
+// level games, unit labels and betting line steps. The Model V1 constants were tuned on soccer; other sports
+// rescale them by their score scale (levels such as averages and totals, relative to soccer's average total)
+// and marginScale (differences such as margins, spreads and distances from a line). Their win probabilities stay
+// soccer-shaped, though, so outside soccer the sport's own fitted ratings take over after fewer results
+// (fitBlendMatches).
+const SPORT_PROFILES = {
+    soccer: {
+        label: 'Soccer',
+        distribution: { type: 'poisson' },
+        averageTeamScore: 1.3,
+        averageTotal: 2.5,
+        marginScale: 1,
+        fitBlendMatches: 8,         // The fitted score model's weight is n / (n + fitBlendMatches) after n results
+        maxScore: 10,               // The score matrix covers 0..maxScore for each team
+        lowScoreDependence: true,   // Dixon-Coles adjustment for 0-0, 1-0, 0-1 and 1-1
+        drawsPossible: true,
+        overtime: null,
+        unit: 'goal',
+        unitPlural: 'goals',
+        shutoutLabel: 'clean sheet',
+        defaultTotalLine: 2.5,
+        totalLineStep: 0.5,
+        spreadStep: 0.25,           // Asian handicaps are quoted in quarter lines
+        marginBands: [1, 2],        // Upper ends of the winning-margin bands; the last band is open-ended
+        scoreBucket: 1              // Scoreline width grouped together in the score distribution chart
+    },
+    hockey: {
+        label: 'Ice Hockey',
+        distribution: { type: 'poisson' },
+        averageTeamScore: 3,
+        averageTotal: 6,
+        marginScale: 1.4,
+        fitBlendMatches: 4,
+        maxScore: 16,
+        lowScoreDependence: false,
+        drawsPossible: false,
+        // Five minutes of sudden death, then a shootout; either way the winner is credited one goal
+        overtime: { type: 'suddenDeath', label: 'overtime or a shootout', periodShare: 5 / 60 },
+        unit: 'goal',
+        unitPlural: 'goals',
+        shutoutLabel: 'shutout',
+        defaultTotalLine: 5.5,
+        totalLineStep: 0.5,
+        spreadStep: 0.5,
+        marginBands: [1, 2],
+        scoreBucket: 1
+    },
+    handball: {
+        label: 'Handball',
+        distribution: { type: 'normal', varianceRatio: 0.8 },
+        averageTeamScore: 28,
+        averageTotal: 56,
+        marginScale: 3.5,
+        fitBlendMatches: 2,
+        maxScore: 70,
+        lowScoreDependence: false,
+        drawsPossible: true,
+        overtime: null,
+        unit: 'goal',
+        unitPlural: 'goals',
+        shutoutLabel: null,
+        defaultTotalLine: 55.5,
+        totalLineStep: 0.5,
+        spreadStep: 0.5,
+        marginBands: [3, 6],
+        scoreBucket: 2
+    },
+    basketball: {
+        label: 'Basketball',
+        distribution: { type: 'normal', varianceRatio: 1.3 },
+        averageTeamScore: 112,
+        averageTotal: 224,
+        marginScale: 8,
+        fitBlendMatches: 1,
+        maxScore: 200,
+        lowScoreDependence: false,
+        drawsPossible: false,
+        // Five-minute periods (of a 48-minute game) are added until the game is no longer level
+        overtime: { type: 'extraPeriods', label: 'overtime', periodShare: 5 / 48 },
+        unit: 'point',
+        unitPlural: 'points',
+        shutoutLabel: null,
+        defaultTotalLine: 224.5,
+        totalLineStep: 0.5,
+        spreadStep: 0.5,
+        marginBands: [5, 10, 15, 20],
+        scoreBucket: 5
+    },
+    rugby: {
+        label: 'Rugby Union',
+        distribution: { type: 'negativeBinomial', size: 8 },
+        averageTeamScore: 24,
+        averageTotal: 48,
+        marginScale: 7,
+        fitBlendMatches: 2,
+        maxScore: 120,
+        lowScoreDependence: false,
+        drawsPossible: true,
+        overtime: null,
+        unit: 'point',
+        unitPlural: 'points',
+        shutoutLabel: null,
+        defaultTotalLine: 47.5,
+        totalLineStep: 0.5,
+        spreadStep: 0.5,
+        marginBands: [7, 14],
+        scoreBucket: 5
+    }
+};
+const SCORE_DISTRIBUTIONS = {
+    poisson: 'Poisson',
+    negativeBinomial: 'negative binomial',
+    normal: 'normal'
+};
+const OVERTIME_MAX_PERIODS = 4; // Extra periods modelled before a still-level game is dropped from the matrix
+
+// Rating engines: Elo with margin-of-victory and home-field terms, or Glicko-2 with rating deviation
+const RATING_ENGINES = {
+    elo: 'Elo',
+    glicko2: 'Glicko-2'
+};
+const RATING_CONFIG = {
+    INITIAL_RATING: 1500,
+    ELO_K_FACTOR: 20,
+    HOME_ADVANTAGE: 65,             // Rating points added to the home side when computing expected results
+    GLICKO_INITIAL_RD: 350,
+    GLICKO_INITIAL_VOLATILITY: 0.06,
+    GLICKO_TAU: 0.5,                // Constrains how quickly volatility can change
+    GLICKO_SCALE: 173.7178          // Converts between Glicko and Glicko-2 scales
+};
+
+// Monte Carlo match simulation
+const SIMULATION = {
+    DEFAULT_RUNS: 10000,
+    MIN_RUNS: 1000,
+    MAX_RUNS: 200000,
+    PERCENTILES: [5, 25, 50, 75, 95]
+};
+
+// Entry inputs for each match category
+const SERIES_INPUTS = {
+    h2h: {
+        scores: 'h2h-team1',
+        otherScores: 'h2h-team2',
+        dates: 'h2h-dates',
+        opponents: null,
+        venues: 'h2h-venues',
+        competition: 'h2h-competition'
+    },
+    team1: {
+        scores: 'team1-scores',
+        otherScores: 'team1-opponent',
+        dates: 'team1-dates',
+        opponents: 'team1-opponents',
+        venues: 'team1-venues',
+        competition: 'team1-competition'
+    },
+    team2: {
+        scores: 'team2-scores',
+        otherScores: 'team2-opponent',
+        dates: 'team2-dates',
+        opponents: 'team2-opponents',
+        venues: 'team2-venues',
+        competition: 'team2-competition'
+    }
+};
+
 // Constants for weighting factors - IMPROVED WEIGHTS FOR BETTER BALANCE
 const WEIGHTS = {
     RECENT_FORM: 2.8,          // Slightly reduced from 3.0 to avoid overweighting
@@ -47,19 +322,130 @@ const WEIGHTS = {
     CONSISTENCY: 1.5            // Increased from 1.3 to better reward consistent teams
 };
 
+// Draw-rate coefficients for calculateModelV1WinProbabilities (draw % before bounds)
+const DRAW_RATE = {
+    BASE: 35,                   // Draw rate for two evenly matched, goalless teams
+    SCORING_RATE: 4,            // Fewer draws per goal of combined average scoring
+    MARGIN: 15,                 // Fewer draws per unit of attack/defense mismatch
+    DEFENSIVE_BONUS: 10,        // Added when both defenses are strong
+    IMPORTANCE: 8               // Added per unit of match importance above 1.3
+};
+
+// Allowed ranges for fitted (and hand-set) weight values
+const WEIGHT_RANGES = {
+    RECENT_FORM: [0, 8],
+    H2H_MATCHES: [0, 8],
+    OVERALL_PERFORMANCE: [0, 8],
+    HOME_ADVANTAGE: [0, 5],
+    RANKING: [0, 5],
+    MATCH_IMPORTANCE: [0, 5],
+    SCORING_TREND: [0, 5],
+    DEFENSIVE_TREND: [0, 5],
+    MOMENTUM: [0, 6],
+    CONSISTENCY: [0, 5]
+};
+const DRAW_RATE_RANGES = {
+    BASE: [10, 60],
+    SCORING_RATE: [0, 15],
+    MARGIN: [0, 40],
+    DEFENSIVE_BONUS: [0, 25],
+    IMPORTANCE: [0, 30]
+};
+
+// Data sufficiency thresholds, as an editable group
+const DATA_THRESHOLDS = {
+    MIN_MATCHES_FOR_GOOD_ANALYSIS,
+    MIN_MATCHES_FOR_EXCELLENT_ANALYSIS,
+    MIN_H2H_MATCHES
+};
+const DATA_THRESHOLD_RANGES = {
+    MIN_MATCHES_FOR_GOOD_ANALYSIS: [1, 20],
+    MIN_MATCHES_FOR_EXCELLENT_ANALYSIS: [2, 40],
+    MIN_H2H_MATCHES: [1, 10]
+};
+
+// Share of the way predictions are pulled toward the average when data is insufficient
+const REVERSION = {
+    WIN_PROBABILITY: 0.3,       // Toward 40 / 40 / 20
+    PROJECTED_TOTAL: 0.4        // Toward the sport's average total
+};
+const REVERSION_RANGES = {
+    WIN_PROBABILITY: [0, 0.9],
+    PROJECTED_TOTAL: [0, 0.9]
+};
+
+// Every editable model parameter group, with its defaults, allowed ranges and slider step
+const MODEL_PARAMETER_GROUPS = {
+    weights: { label: 'Feature Weights', defaults: WEIGHTS, ranges: WEIGHT_RANGES, step: 0.1 },
+    drawRate: { label: 'Draw Rate Coefficients', defaults: DRAW_RATE, ranges: DRAW_RATE_RANGES, step: 0.5 },
+    thresholds: { label: 'Data Sufficiency Thresholds', defaults: DATA_THRESHOLDS, ranges: DATA_THRESHOLD_RANGES, step: 1 },
+    reversion: { label: 'Reversion With Insufficient Data', defaults: REVERSION, ranges: REVERSION_RANGES, step: 0.05 }
+};
+
+// Built-in profiles; only the values that differ from the defaults are listed
+const MODEL_PRESETS = [
+    {
+        id: 'preset-form-heavy',
+        name: 'Form-heavy',
+        weights: { RECENT_FORM: 4.2, MOMENTUM: 3.0, H2H_MATCHES: 1.5 }
+    },
+    {
+        id: 'preset-h2h-heavy',
+        name: 'H2H-heavy',
+        weights: { H2H_MATCHES: 4.5, RECENT_FORM: 2.0, MOMENTUM: 1.5 },
+        thresholds: { MIN_H2H_MATCHES: 3 }
+    },
+    {
+        id: 'preset-ranking-heavy',
+        name: 'Ranking-heavy',
+        weights: { RANKING: 3.0, OVERALL_PERFORMANCE: 2.8, RECENT_FORM: 2.2 }
+    },
+    {
+        id: 'preset-cautious',
+        name: 'Cautious',
+        thresholds: { MIN_MATCHES_FOR_GOOD_ANALYSIS: 6, MIN_MATCHES_FOR_EXCELLENT_ANALYSIS: 12 },
+        reversion: { WIN_PROBABILITY: 0.45, PROJECTED_TOTAL: 0.55 }
+    }
+];
+
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
     // Setup event listeners
     setupEventListeners();
     
+    // Load the team database before the session so linked teams can be selected
+    loadTeamDatabase();
+    renderTeamDatabase();
+    loadProbabilityCalibration();
+    renderCalibrationStatus();
+    loadWeightProfiles();
+    renderWeightProfiles();
+    loadBankrollSettings();
+    syncBankrollInputs();
+    loadBetLedger();
+    renderBetLedger();
+    loadSlate();
+    
+    // Restore the last working session, if any
+    const restored = restoreWorkingSession();
+    
     // Update team names in the UI
     updateTeamLabels();
     
     // Update data sufficiency indicators
     updateDataSufficiencyIndicators();
     
+    // Show saved sessions and the slate built from them
+    renderSavedSessions();
+    renderSlate();
+    renderParlaySlip();
+    
     // Show welcome toast
-    showToast('Welcome to Sports Match Analyzer Pro with Model V1', 'info');
+    if (restored) {
+        showToast('Restored your last working session', 'info');
+    } else {
+        showToast('Welcome to Sports Match Analyzer Pro with Model V1', 'info');
+    }
 });
 
 // Setup event listeners
@@ -75,6 +461,41 @@ function setupEventListeners() {
     // Clear data button
     document.getElementById('clear-data-btn').addEventListener('click', clearAllData);
     
+    // Betting lines
+    document.getElementById('betting-lines').addEventListener('input', handleBettingLinesChange);
+    
+    // Team database
+    document.getElementById('db-save-team-btn').addEventListener('click', saveDatabaseTeam);
+    document.getElementById('db-cancel-team-btn').addEventListener('click', resetTeamForm);
+    document.getElementById('db-add-result-btn').addEventListener('click', addDatabaseResult);
+    document.getElementById('db-team-list').addEventListener('click', handleDatabaseTeamAction);
+    document.getElementById('db-result-list').addEventListener('click', handleDatabaseResultAction);
+    
+    // Undo/redo
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    // Saved sessions
+    document.getElementById('save-session-btn').addEventListener('click', saveCurrentSession);
+    document.getElementById('saved-session-list').addEventListener('click', handleSavedSessionAction);
+    
+    // Workspace export/import
+    document.getElementById('export-workspace-btn').addEventListener('click', exportWorkspace);
+    document.getElementById('import-workspace-btn').addEventListener('click', () => {
+        document.getElementById('workspace-import-file').click();
+    });
+    document.getElementById('workspace-import-file').addEventListener('change', handleWorkspaceFileSelected);
+    
+    // CSV match history import
+    document.getElementById('csv-file').addEventListener('change', handleCsvFileSelected);
+    document.getElementById('csv-preview-btn').addEventListener('click', () => {
+        loadCsvForImport(document.getElementById('csv-text').value);
+    });
+    document.getElementById('csv-date-format').addEventListener('change', renderCsvPreview);
+    document.getElementById('csv-mapping').addEventListener('change', handleCsvMappingChange);
+    document.getElementById('csv-preview').addEventListener('click', handleCsvPreviewAction);
+    
     // Add sample data button (for testing)
     const sampleDataBtn = document.createElement('button');
     sampleDataBtn.type = 'button';
@@ -86,6 +507,67 @@ function setupEventListeners() {
     // Append the sample data button to data controls
     document.querySelector('.data-controls').appendChild(sampleDataBtn);
     
+    // Match summary editing, deleting and drag-to-reorder
+    Object.keys(SERIES_INPUTS).forEach(category => {
+        const summaryElement = document.getElementById(`${category}-match-summary`);
+        summaryElement.addEventListener('click', event => handleMatchSummaryClick(event, category));
+        summaryElement.addEventListener('dragstart', event => handleMatchDragStart(event, category));
+        summaryElement.addEventListener('dragover', event => handleMatchDragOver(event, category));
+        summaryElement.addEventListener('drop', event => handleMatchDrop(event, category));
+        summaryElement.addEventListener('dragend', handleMatchDragEnd);
+    });
+    
+    // Backtest controls
+    document.getElementById('backtest-file').addEventListener('change', handleBacktestFileSelected);
+    document.getElementById('backtest-run-btn').addEventListener('click', runBacktest);
+    document.getElementById('bankroll').addEventListener('input', handleBankrollInput);
+    document.getElementById('betting-recommendation').addEventListener('click', handleRecordBetClick);
+    document.getElementById('ledger-add-btn').addEventListener('click', addPendingBetToLedger);
+    document.getElementById('ledger-cancel-btn').addEventListener('click', closeLedgerForm);
+    document.getElementById('ledger-table').addEventListener('click', handleLedgerAction);
+    document.getElementById('ledger-table').addEventListener('change', handleLedgerClosingOddsChange);
+    document.getElementById('ledger-export-btn').addEventListener('click', exportBetLedger);
+    
+    // Slate controls
+    document.getElementById('slate-add-current-btn').addEventListener('click', addCurrentMatchupToSlate);
+    document.getElementById('slate-add-session-btn').addEventListener('click', addSavedSessionToSlate);
+    document.getElementById('slate-run-btn').addEventListener('click', runSlateAnalysis);
+    document.getElementById('slate-clear-btn').addEventListener('click', clearSlate);
+    document.getElementById('slate-leaderboard').addEventListener('click', handleSlateAction);
+    
+    // Accumulator slip
+    document.getElementById('betting-recommendation').addEventListener('click', handleParlayMarketClick);
+    document.getElementById('derived-markets-content').addEventListener('click', handleDerivedMarketSlipClick);
+    document.getElementById('parlay-slip').addEventListener('change', handleParlayPriceChange);
+    document.getElementById('parlay-slip').addEventListener('click', handleParlayAction);
+    document.getElementById('parlay-clear-btn').addEventListener('click', clearParlaySlip);
+    document.getElementById('backtest-export-btn').addEventListener('click', exportBacktestResults);
+    
+    // Calibration controls
+    document.getElementById('calibration-report-btn').addEventListener('click', buildCalibrationReport);
+    document.getElementById('calibration-fit-btn').addEventListener('click', fitProbabilityCalibration);
+    document.getElementById('calibration-enabled').addEventListener('change', handleCalibrationToggle);
+    document.getElementById('calibration-remove-btn').addEventListener('click', removeProbabilityCalibration);
+    
+    // Weight fitting and profiles
+    document.getElementById('fit-weights-btn').addEventListener('click', fitModelWeights);
+    document.getElementById('save-weight-profile-btn').addEventListener('click', saveFittedWeightProfile);
+    document.getElementById('weight-profile-select').addEventListener('change', handleWeightProfileChange);
+    document.getElementById('delete-weight-profile-btn').addEventListener('click', deleteActiveWeightProfile);
+    document.getElementById('model-config-groups').addEventListener('input', handleModelParameterInput);
+    document.getElementById('save-model-config-btn').addEventListener('click', saveModelConfigAsProfile);
+    document.getElementById('update-model-config-btn').addEventListener('click', updateActiveModelProfile);
+    document.getElementById('reset-model-config-btn').addEventListener('click', resetModelConfig);
+    
+    // Match simulation controls
+    document.getElementById('sim-run-btn').addEventListener('click', () => runMatchSimulation(lastAnalysisResults));
+    document.getElementById('sim-total-line').addEventListener('input', updateSimulationLineProbabilities);
+    document.getElementById('sim-spread-line').addEventListener('input', updateSimulationLineProbabilities);
+    
+    // Derived market prices
+    document.getElementById('derived-markets-content').addEventListener('change', handleDerivedMarketPriceChange);
+    document.getElementById('line-ladder-content').addEventListener('change', handleLineLadderPriceChange);
+    
     // Analyze button
     document.getElementById('analyze-button').addEventListener('click', function() {
         if (!validateInputs()) {
@@ -99,17 +581,60 @@ function setupEventListeners() {
 }
 
 // Handle team setup changes
-function handleTeamSetup() {
+function handleTeamSetup(event) {
+    const checkpoint = beginHistoryStep();
+    
+    // Picking a database team fills in its name; typing a different name unlinks it
+    if (event) {
+        handleTeamSelection(event.target.id);
+    }
+    
     // Get form values
+    team1Id = document.getElementById('team1-select').value || null;
+    team2Id = document.getElementById('team2-select').value || null;
     team1Name = document.getElementById('team1').value || 'Team 1';
     team2Name = document.getElementById('team2').value || 'Team 2';
     team1Ranking = parseInt(document.getElementById('team1-ranking').value) || 0;
     team2Ranking = parseInt(document.getElementById('team2-ranking').value) || 0;
+    ratingEngine = document.getElementById('rating-engine').value || 'elo';
+    sportProfileId = SPORT_PROFILES[document.getElementById('sport-profile').value] ? document.getElementById('sport-profile').value : 'soccer';
     matchImportance = parseFloat(document.getElementById('match-importance').value) || 1;
     matchLocation = document.getElementById('match-location').value || 'neutral';
     
+    // With both teams picked from the database, their matches come from the shared results
+    if (event && ['team1-select', 'team2-select'].includes(event.target.id) && team1Id && team2Id) {
+        const loadedCount = deriveMatchDataFromDatabase();
+        showToast(`Loaded ${loadedCount} results for ${team1Name} vs ${team2Name} from the team database`, 'success');
+    }
+    
     // Update UI with team names
     updateTeamLabels();
+    
+    saveWorkingSession();
+    commitHistoryStep(checkpoint, 'Edit team setup', event ? `input:${event.target.id}` : null);
+}
+
+// Handle betting line changes
+function handleBettingLinesChange(event) {
+    const checkpoint = beginHistoryStep();
+    
+    totalLine = parseFloat(document.getElementById('betting-line').value) || 0;
+    spreadHandicap = readSpreadHandicap();
+    marginMethod = document.getElementById('margin-method').value;
+    
+    // A new format rewrites the entered prices in it; prices are only re-read when they are edited,
+    // so switching formats back and forth does not round them
+    const previousFormat = oddsFormat;
+    oddsFormat = document.getElementById('odds-format').value;
+    if (oddsFormat !== previousFormat) {
+        syncOddsInputs();
+    } else if (!event || event.target.id.startsWith('odds-')) {
+        readOddsInputs();
+    }
+    updateOddsStatus();
+    
+    saveWorkingSession();
+    commitHistoryStep(checkpoint, 'Change betting lines', event ? `input:${event.target.id}` : null);
 }
 
 // Update all team name labels throughout the UI
@@ -119,13 +644,16 @@ function updateTeamLabels() {
     document.getElementById('h2h-team2-label').textContent = `${team2Name} Scores (comma separated)`;
     document.getElementById('team1-scores-label').textContent = `${team1Name} Scores (comma separated)`;
     document.getElementById('team2-scores-label').textContent = `${team2Name} Scores (comma separated)`;
+    document.getElementById('h2h-venues-label').textContent = `${team1Name} Venues (H/A/N, optional)`;
+    document.getElementById('team1-venues-label').textContent = `${team1Name} Venues (H/A/N, optional)`;
+    document.getElementById('team2-venues-label').textContent = `${team2Name} Venues (H/A/N, optional)`;
     
-    // Update spread direction dropdown
-    const spreadDirectionEl = document.getElementById('spread-direction');
-    if (spreadDirectionEl.options.length >= 2) {
-        spreadDirectionEl.options[0].textContent = team1Name;
-        spreadDirectionEl.options[1].textContent = team2Name;
-    }
+    // Update the handicap and its prices
+    document.getElementById('spread-handicap-label').textContent = `${team1Name} Handicap`;
+    document.getElementById('odds-spread-team1-label').textContent = `${team1Name} Handicap Odds`;
+    document.getElementById('odds-spread-team2-label').textContent = `${team2Name} Handicap Odds`;
+    document.getElementById('odds-team1-label').textContent = `${team1Name} Win Odds`;
+    document.getElementById('odds-team2-label').textContent = `${team2Name} Win Odds`;
     
     // Update match section headers
     const matchSections = document.querySelectorAll('.match-section h3');
@@ -134,143 +662,175 @@ function updateTeamLabels() {
         matchSections[1].textContent = `${team1Name} Recent Matches`;
         matchSections[2].textContent = `${team2Name} Recent Matches`;
     }
+    
+    updateSportLabels();
 }
 
 // Handle Head-to-Head Scores Add
 function handleH2HAdd() {
-    const team1ScoresText = document.getElementById('h2h-team1').value.trim();
-    const team2ScoresText = document.getElementById('h2h-team2').value.trim();
-    
-    if (!team1ScoresText || !team2ScoresText) {
-        showToast('Please enter scores for both teams', 'warning');
-        return;
-    }
-    
-    // Parse the score arrays
-    const team1Scores = team1ScoresText.split(',').map(score => parseInt(score.trim()));
-    const team2Scores = team2ScoresText.split(',').map(score => parseInt(score.trim()));
-    
-    // Validate scores
-    if (!validateScores(team1Scores, team2Scores)) return;
-    
-    // Clear previous H2H data
-    matchData.h2h = [];
-    
-    // Add each pair of scores as a match
-    const minLength = Math.min(team1Scores.length, team2Scores.length);
-    let addedCount = 0;
-    
-    for (let i = 0; i < minLength; i++) {
-        // Add increasing timestamps for each match (oldest first)
-        const timestamp = Date.now() - ((minLength - i) * 7 * 24 * 60 * 60 * 1000); // 7 days apart
-        processMatchScore('h2h', i + 1, team1Scores[i], team2Scores[i], timestamp);
-        addedCount++;
+    const addedCount = addSeriesMatches('h2h');
+    if (addedCount > 0) {
+        showToast(`Added ${addedCount} Head-to-Head matches`, 'success');
     }
-    
-    // Update UI
-    updateMatchSummary('h2h');
-    updateDataSufficiencyIndicators();
-    
-    // Clear input fields
-    document.getElementById('h2h-team1').value = '';
-    document.getElementById('h2h-team2').value = '';
-    
-    // Show success message
-    showToast(`Added ${addedCount} Head-to-Head matches`, 'success');
 }
 
 // Handle Team 1 Scores Add
 function handleTeam1Add() {
-    const team1ScoresText = document.getElementById('team1-scores').value.trim();
-    const opponentScoresText = document.getElementById('team1-opponent').value.trim();
+    const addedCount = addSeriesMatches('team1');
+    if (addedCount > 0) {
+        showToast(`Added ${addedCount} matches for ${team1Name}`, 'success');
+    }
+}
+
+// Handle Team 2 Scores Add
+function handleTeam2Add() {
+    const addedCount = addSeriesMatches('team2');
+    if (addedCount > 0) {
+        showToast(`Added ${addedCount} matches for ${team2Name}`, 'success');
+    }
+}
+
+// Read a category's entry inputs and add its matches (replacing or appending), returning how many were added
+function addSeriesMatches(category) {
+    const inputs = SERIES_INPUTS[category];
+    const scoresText = document.getElementById(inputs.scores).value.trim();
+    const otherScoresText = document.getElementById(inputs.otherScores).value.trim();
     
-    if (!team1ScoresText || !opponentScoresText) {
+    if (!scoresText || !otherScoresText) {
         showToast('Please enter scores for both teams', 'warning');
-        return;
+        return 0;
     }
     
     // Parse the score arrays
-    const team1Scores = team1ScoresText.split(',').map(score => parseInt(score.trim()));
-    const opponentScores = opponentScoresText.split(',').map(score => parseInt(score.trim()));
+    const scores = scoresText.split(',').map(score => parseInt(score.trim()));
+    const otherScores = otherScoresText.split(',').map(score => parseInt(score.trim()));
     
     // Validate scores
-    if (!validateScores(team1Scores, opponentScores)) return;
+    if (!validateScores(scores, otherScores)) return 0;
     
-    // Clear previous Team 1 data
-    matchData.team1 = [];
+    // Parse the optional per-match metadata
+    const metadata = parseSeriesMetadata(inputs);
+    if (!metadata) return 0;
+    
+    const checkpoint = beginHistoryStep();
+    
+    // Clear previous data for this category unless appending
+    const appendMode = document.getElementById('append-mode').checked;
+    if (!appendMode) {
+        matchData[category] = [];
+    }
     
     // Add each pair of scores as a match
-    const minLength = Math.min(team1Scores.length, opponentScores.length);
-    let addedCount = 0;
+    const minLength = Math.min(scores.length, otherScores.length);
+    const existingCount = matchData[category].length;
+    const latestTimestamp = existingCount > 0 ? matchData[category][existingCount - 1].timestamp : null;
     
     for (let i = 0; i < minLength; i++) {
-        // Add increasing timestamps for each match (oldest first)
-        const timestamp = Date.now() - ((minLength - i) * 7 * 24 * 60 * 60 * 1000); // 7 days apart
-        processMatchScore('team1', i + 1, team1Scores[i], opponentScores[i], timestamp);
-        addedCount++;
+        const date = metadata.dates[i] || null;
+        
+        // Use the real date when given. Otherwise space matches 7 days apart (oldest first), or
+        // when appending, spread them between the latest existing match and today.
+        let timestamp;
+        if (date) {
+            timestamp = parseCsvDate(date, 'dmy');
+        } else if (latestTimestamp !== null) {
+            const gap = latestTimestamp < Date.now() ? (Date.now() - latestTimestamp) / minLength : MATCH_INTERVAL_MS;
+            timestamp = latestTimestamp + (i + 1) * gap;
+        } else {
+            timestamp = Date.now() - ((minLength - i) * MATCH_INTERVAL_MS);
+        }
+        
+        processMatchScore(category, existingCount + i + 1, scores[i], otherScores[i], timestamp, {
+            date: date ? formatDateISO(timestamp) : null,
+            opponent: metadata.opponents[i] || null,
+            venue: metadata.venues[i] || null,
+            importance: metadata.importance
+        });
     }
+    renumberMatches(category);
     
     // Update UI
-    updateMatchSummary('team1');
+    updateMatchSummary(category);
     updateDataSufficiencyIndicators();
+    saveWorkingSession();
+    commitHistoryStep(checkpoint, `Add ${getCategoryLabel(category)} matches`);
     
     // Clear input fields
-    document.getElementById('team1-scores').value = '';
-    document.getElementById('team1-opponent').value = '';
+    [inputs.scores, inputs.otherScores, inputs.dates, inputs.opponents, inputs.venues]
+        .filter(Boolean)
+        .forEach(id => {
+            document.getElementById(id).value = '';
+        });
     
-    // Show success message
-    showToast(`Added ${addedCount} matches for ${team1Name}`, 'success');
+    return minLength;
 }
 
-// Handle Team 2 Scores Add
-function handleTeam2Add() {
-    const team2ScoresText = document.getElementById('team2-scores').value.trim();
-    const opponentScoresText = document.getElementById('team2-opponent').value.trim();
+// Human-readable name for a match category
+function getCategoryLabel(category) {
+    if (category === 'team1') return team1Name;
+    if (category === 'team2') return team2Name;
+    return 'Head-to-Head';
+}
+
+// Parse the optional dates, opponents and venues lists for a category
+function parseSeriesMetadata(inputs) {
+    const readList = id => {
+        if (!id) return [];
+        const text = document.getElementById(id).value.trim();
+        return text ? text.split(',').map(item => item.trim()) : [];
+    };
     
-    if (!team2ScoresText || !opponentScoresText) {
-        showToast('Please enter scores for both teams', 'warning');
-        return;
+    const dates = readList(inputs.dates);
+    const invalidDate = dates.find(date => date && parseCsvDate(date, 'dmy') === null);
+    if (invalidDate !== undefined) {
+        showToast(`Invalid date "${invalidDate}". Use YYYY-MM-DD or DD/MM/YYYY.`, 'error');
+        return null;
     }
     
-    // Parse the score arrays
-    const team2Scores = team2ScoresText.split(',').map(score => parseInt(score.trim()));
-    const opponentScores = opponentScoresText.split(',').map(score => parseInt(score.trim()));
-    
-    // Validate scores
-    if (!validateScores(team2Scores, opponentScores)) return;
-    
-    // Clear previous Team 2 data
-    matchData.team2 = [];
-    
-    // Add each pair of scores as a match
-    const minLength = Math.min(team2Scores.length, opponentScores.length);
-    let addedCount = 0;
-    
-    for (let i = 0; i < minLength; i++) {
-        // Add increasing timestamps for each match (oldest first)
-        const timestamp = Date.now() - ((minLength - i) * 7 * 24 * 60 * 60 * 1000); // 7 days apart
-        processMatchScore('team2', i + 1, team2Scores[i], opponentScores[i], timestamp);
-        addedCount++;
+    const venues = readList(inputs.venues).map(parseVenue);
+    if (venues.includes(undefined)) {
+        showToast('Venues must be H (home), A (away) or N (neutral)', 'error');
+        return null;
     }
     
-    // Update UI
-    updateMatchSummary('team2');
-    updateDataSufficiencyIndicators();
-    
-    // Clear input fields
-    document.getElementById('team2-scores').value = '';
-    document.getElementById('team2-opponent').value = '';
-    
-    // Show success message
-    showToast(`Added ${addedCount} matches for ${team2Name}`, 'success');
+    return {
+        dates,
+        venues,
+        opponents: readList(inputs.opponents),
+        importance: document.getElementById(inputs.competition).value
+    };
+}
+
+// Turn H/A/N (or home/away/neutral) into a venue value; blank means unknown
+function parseVenue(text) {
+    const value = text.trim().toLowerCase();
+    if (!value) return null;
+    if (value === 'h' || value === 'home') return 'home';
+    if (value === 'a' || value === 'away') return 'away';
+    if (value === 'n' || value === 'neutral') return 'neutral';
+    return undefined;
+}
+
+// Format a timestamp as YYYY-MM-DD (UTC)
+function formatDateISO(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
 }
 
 // Add sample data (for testing)
 function addSampleData() {
+    recordHistoryBatch('Add sample data', fillSampleData);
+    
+    // Show success message
+    showToast('Sample data added successfully', 'success');
+}
+
+// Fill the form with sample data and add it
+function fillSampleData() {
     // First clear existing data
     clearAllData();
     
-    // Set team names
+    // Set team names (the sample is a soccer fixture)
+    document.getElementById('sport-profile').value = 'soccer';
     document.getElementById('team1').value = 'Liverpool';
     document.getElementById('team2').value = 'Manchester City';
     document.getElementById('team1-ranking').value = '4';
@@ -285,19 +845,21 @@ function addSampleData() {
     // Add team1 matches
     document.getElementById('team1-scores').value = '2,3,1,0,2,3';
     document.getElementById('team1-opponent').value = '0,1,0,0,1,1';
+    document.getElementById('team1-opponents').value = 'Chelsea,Bournemouth,Newcastle,Arsenal,Brighton,Fulham';
+    document.getElementById('team1-venues').value = 'H,A,H,A,H,A';
     handleTeam1Add();
     
     // Add team2 matches
     document.getElementById('team2-scores').value = '3,2,1,3,4,2';
     document.getElementById('team2-opponent').value = '0,0,0,1,1,2';
+    document.getElementById('team2-opponents').value = 'Burnley,Newcastle,Sheffield United,Fulham,Wolves,Chelsea';
+    document.getElementById('team2-venues').value = 'A,H,A,H,A,H';
     handleTeam2Add();
     
     // Set betting lines
     document.getElementById('betting-line').value = '2.5';
-    document.getElementById('point-spread').value = '1.0';
-    
-    // Show success message
-    showToast('Sample data added successfully', 'success');
+    document.getElementById('spread-handicap').value = '-1';
+    handleBettingLinesChange();
 }
 
 // Validate scores
@@ -329,72 +891,61 @@ function validateScores(scores1, scores2) {
 }
 
 // Process a match score and add it to the data
-function processMatchScore(category, matchNumber, score1, score2, timestamp) {
-    const totalScore = score1 + score2;
-    
-    let team1Score, team2Score, outcome;
-    
-    // Process data differently based on category
-    if (category === 'h2h') {
-        team1Score = score1;
-        team2Score = score2;
-        
-        if (team1Score === team2Score) {
-            outcome = 'Draw';
-        } else if (team1Score > team2Score) {
-            outcome = `${team1Name} Wins`;
-        } else {
-            outcome = `${team2Name} Wins`;
-        }
-    } else if (category === 'team1') {
-        team1Score = score1;
-        team2Score = score2; // This is "Opponent"
-        
-        if (team1Score === team2Score) {
-            outcome = 'Draw';
-        } else if (team1Score > team2Score) {
-            outcome = `${team1Name} Wins`;
-        } else {
-            outcome = 'Opponent Wins';
-        }
-    } else if (category === 'team2') {
-        team1Score = score2; // This is "Opponent"
-        team2Score = score1;
-        
-        if (team1Score === team2Score) {
-            outcome = 'Draw';
-        } else if (team1Score > team2Score) {
-            outcome = 'Opponent Wins';
-        } else {
-            outcome = `${team2Name} Wins`;
-        }
-    }
-    
-    // Calculate performance indicators
-    const marginOfVictory = Math.abs(team1Score - team2Score);
-    const goalEfficiency = totalScore > 0 ? Math.max(team1Score, team2Score) / totalScore : 0.5;
-    const cleanSheet = team1Score === 0 || team2Score === 0;
+function processMatchScore(category, matchNumber, score1, score2, timestamp, details = {}) {
+    // Team 2's own matches are entered team-first but stored with the opponent as team1
+    const team1Score = category === 'team2' ? score2 : score1;
+    const team2Score = category === 'team2' ? score1 : score2;
     
-    // Add match to data
-    matchData[category].push({
+    const match = {
         matchNumber,
         team1Score,
         team2Score,
-        totalScore,
-        outcome,
         category,
-        totalOverLine: totalLine > 0 ? totalScore > totalLine : null, // Only set if totalLine exists
-        spreadCover: pointSpread > 0 ? calculateSpreadCover(team1Score, team2Score) : null, // Only set if pointSpread exists
-        marginOfVictory,
-        goalEfficiency,
-        cleanSheet,
-        timestamp: timestamp || Date.now() - (matchData[category].length * 86400000) // Use provided timestamp or create one
-    });
+        timestamp: timestamp || Date.now() - (matchData[category].length * 86400000), // Use provided timestamp or create one
+        date: details.date || null, // Actual match date (YYYY-MM-DD), null when unknown
+        opponent: details.opponent || null, // Opponent name for team1/team2 matches
+        venue: details.venue || null, // home/away/neutral for team 1 (H2H, team1) or team 2 (team2)
+        competition: details.competition || null, // Competition name, e.g. "Premier League"
+        importance: details.importance || null // Key of COMPETITION_TYPES
+    };
+    
+    // Outcome, totals and performance indicators
+    refreshMatchDerivedFields(match);
+    
+    // Add match to data
+    matchData[category].push(match);
     
     // Sort matches by timestamp (oldest first)
     matchData[category].sort((a, b) => a.timestamp - b.timestamp);
 }
 
+// Recalculate the fields derived from a match's scores
+function refreshMatchDerivedFields(match) {
+    const { category, team1Score, team2Score } = match;
+    const totalScore = team1Score + team2Score;
+    
+    // "Opponent" stands in for the unnamed side of team1/team2 matches
+    const team1Label = category === 'team2' ? 'Opponent' : team1Name;
+    const team2Label = category === 'team1' ? 'Opponent' : team2Name;
+    
+    if (team1Score === team2Score) {
+        match.outcome = 'Draw';
+    } else if (team1Score > team2Score) {
+        match.outcome = `${team1Label} Wins`;
+    } else {
+        match.outcome = `${team2Label} Wins`;
+    }
+    
+    match.totalScore = totalScore;
+    match.totalOverLine = totalLine > 0 ? totalScore > totalLine : null; // Only set if totalLine exists
+    match.spreadCover = spreadHandicap !== null ? calculateSpreadCover(team1Score, team2Score) : null; // Only set if a spread exists
+    match.marginOfVictory = Math.abs(team1Score - team2Score);
+    match.goalEfficiency = totalScore > 0 ? Math.max(team1Score, team2Score) / totalScore : 0.5;
+    match.cleanSheet = team1Score === 0 || team2Score === 0;
+    
+    return match;
+}
+
 // Update match summary display
 function updateMatchSummary(category) {
     const summaryElement = document.getElementById(`${category}-match-summary`);
@@ -405,7 +956,7 @@ function updateMatchSummary(category) {
     }
     
     // Generate match items
-    const matchItems = matchData[category].map(match => {
+    const matchItems = matchData[category].map((match, index) => {
         let team1Label, team2Label, resultClass;
         
         if (category === 'h2h') {
@@ -420,7 +971,7 @@ function updateMatchSummary(category) {
             }
         } else if (category === 'team1') {
             team1Label = team1Name;
-            team2Label = 'Opponent';
+            team2Label = match.opponent || 'Opponent';
             if (match.outcome === `${team1Name} Wins`) {
                 resultClass = 'win';
             } else if (match.outcome === 'Opponent Wins') {
@@ -429,7 +980,7 @@ function updateMatchSummary(category) {
                 resultClass = 'draw';
             }
         } else if (category === 'team2') {
-            team1Label = 'Opponent';
+            team1Label = match.opponent || 'Opponent';
             team2Label = team2Name;
             if (match.outcome === `${team2Name} Wins`) {
                 resultClass = 'win';
@@ -440,23 +991,48 @@ function updateMatchSummary(category) {
             }
         }
         
+        // Show the inline editor for the match being edited
+        if (editingMatch && editingMatch.category === category && editingMatch.index === index) {
+            return renderMatchEditForm(category, match, index, team1Label, team2Label);
+        }
+        
         // Calculate how many days ago the match was
         const daysAgo = Math.floor((Date.now() - match.timestamp) / (24 * 60 * 60 * 1000));
-        const dateInfo = daysAgo === 0 ? 'Today' : 
+        const relativeDate = daysAgo === 0 ? 'Today' : 
                         daysAgo === 1 ? 'Yesterday' : 
                         `${daysAgo} days ago`;
+        const dateInfo = match.date ? `${match.date} · ${relativeDate}` : relativeDate;
+        
+        // Venue and competition tags
+        const venueTeam = category === 'team2' ? team2Name : team1Name;
+        const venueTag = match.venue ? 
+            `<span class="match-tag">${match.venue === 'neutral' ? 'Neutral' : `${escapeHtml(venueTeam)} ${match.venue}`}</span>` : '';
+        const competitionText = match.competition || 
+            (match.importance && match.importance !== 'regular' ? COMPETITION_TYPES[match.importance].label : '');
+        const competitionTag = competitionText ? `<span class="match-tag">${escapeHtml(competitionText)}</span>` : '';
         
         return `
-            <div class="match-item ${resultClass}">
-                <div class="match-score">${team1Label} ${match.team1Score} - ${match.team2Score} ${team2Label}</div>
+            <div class="match-item ${resultClass}" draggable="true" data-index="${index}" title="Drag to reorder">
+                <div class="match-item-header">
+                    <div class="match-score">${escapeHtml(team1Label)} ${match.team1Score} - ${match.team2Score} ${escapeHtml(team2Label)}</div>
+                    <div class="match-actions">
+                        <button type="button" class="btn-icon btn-icon-sm" data-action="edit" data-index="${index}" title="Edit match">
+                            <span class="material-symbols-outlined">edit</span>
+                        </button>
+                        <button type="button" class="btn-icon btn-icon-sm" data-action="delete" data-index="${index}" title="Delete match">
+                            <span class="material-symbols-outlined">close</span>
+                        </button>
+                    </div>
+                </div>
                 <div class="match-date">${dateInfo}</div>
+                ${venueTag || competitionTag ? `<div class="match-tags">${venueTag}${competitionTag}</div>` : ''}
             </div>
         `;
     }).join('');
     
     // Create the summary HTML
     const summaryHTML = `
-        <h4>Added ${matchData[category].length} matches:</h4>
+        <h4>Added ${matchData[category].length} matches (oldest first, drag to reorder):</h4>
         <div class="match-list">
             ${matchItems}
         </div>
@@ -465,6 +1041,221 @@ function updateMatchSummary(category) {
     summaryElement.innerHTML = summaryHTML;
 }
 
+// Render the inline edit form for a single match
+function renderMatchEditForm(category, match, index, team1Label, team2Label) {
+    const venueTeam = category === 'team2' ? team2Name : team1Name;
+    const venueOptions = [
+        ['', 'Unknown'],
+        ['home', `${venueTeam} home`],
+        ['away', `${venueTeam} away`],
+        ['neutral', 'Neutral']
+    ];
+    
+    return `
+        <div class="match-item match-edit-form" data-index="${index}">
+            <div class="match-edit-scores">
+                <label>${escapeHtml(category === 'h2h' ? team1Label : (category === 'team1' ? team1Name : 'Opponent'))}
+                    <input type="number" min="0" step="1" data-field="team1Score" value="${match.team1Score}">
+                </label>
+                <label>${escapeHtml(category === 'h2h' ? team2Label : (category === 'team2' ? team2Name : 'Opponent'))}
+                    <input type="number" min="0" step="1" data-field="team2Score" value="${match.team2Score}">
+                </label>
+            </div>
+            <label>Date
+                <input type="date" data-field="date" value="${match.date || ''}">
+            </label>
+            ${category !== 'h2h' ? `
+                <label>Opponent
+                    <input type="text" data-field="opponent" value="${escapeHtml(match.opponent || '')}" placeholder="Opponent name">
+                </label>
+            ` : ''}
+            <label>Venue
+                <select data-field="venue">
+                    ${venueOptions.map(([value, label]) => `
+                        <option value="${value}" ${(match.venue || '') === value ? 'selected' : ''}>${escapeHtml(label)}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <label>Competition
+                <input type="text" data-field="competition" value="${escapeHtml(match.competition || '')}" placeholder="e.g. Premier League">
+            </label>
+            <label>Importance
+                <select data-field="importance">
+                    ${Object.entries(COMPETITION_TYPES).map(([key, type]) => `
+                        <option value="${key}" ${(match.importance || 'regular') === key ? 'selected' : ''}>${type.label}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <div class="match-edit-actions">
+                <button type="button" class="btn btn-outline" data-action="cancel-edit">Cancel</button>
+                <button type="button" class="btn btn-primary" data-action="save-edit" data-index="${index}">Save</button>
+            </div>
+        </div>
+    `;
+}
+
+// Handle edit/delete/save/cancel buttons in a match summary
+function handleMatchSummaryClick(event, category) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const index = parseInt(button.dataset.index);
+    
+    switch (button.dataset.action) {
+        case 'edit':
+            editingMatch = { category, index };
+            updateMatchSummary(category);
+            break;
+        case 'cancel-edit':
+            editingMatch = null;
+            updateMatchSummary(category);
+            break;
+        case 'save-edit':
+            saveMatchEdit(category, index, button.closest('.match-edit-form'));
+            break;
+        case 'delete':
+            deleteMatch(category, index);
+            break;
+    }
+}
+
+// Apply the inline edit form to a match
+function saveMatchEdit(category, index, formElement) {
+    const fieldValue = field => formElement.querySelector(`[data-field="${field}"]`).value.trim();
+    const team1Score = Number(fieldValue('team1Score'));
+    const team2Score = Number(fieldValue('team2Score'));
+    
+    if (!Number.isInteger(team1Score) || !Number.isInteger(team2Score) || team1Score < 0 || team2Score < 0 ||
+        fieldValue('team1Score') === '' || fieldValue('team2Score') === '') {
+        showToast('Scores must be non-negative whole numbers', 'error');
+        return;
+    }
+    
+    const date = fieldValue('date');
+    const dateTimestamp = date ? parseCsvDate(date, 'dmy') : null;
+    if (date && dateTimestamp === null) {
+        showToast(`Invalid date "${date}"`, 'error');
+        return;
+    }
+    
+    const checkpoint = beginHistoryStep();
+    const match = matchData[category][index];
+    match.team1Score = team1Score;
+    match.team2Score = team2Score;
+    match.venue = fieldValue('venue') || null;
+    match.competition = fieldValue('competition') || null;
+    match.importance = fieldValue('importance');
+    if (category !== 'h2h') {
+        match.opponent = fieldValue('opponent') || null;
+    }
+    
+    // A new date moves the match into date order
+    if (date !== (match.date || '')) {
+        match.date = date || null;
+        if (dateTimestamp !== null) {
+            match.timestamp = dateTimestamp;
+        }
+        matchData[category].sort((a, b) => a.timestamp - b.timestamp);
+    }
+    
+    refreshMatchDerivedFields(match);
+    editingMatch = null;
+    refreshAfterMatchChange(category);
+    commitHistoryStep(checkpoint, 'Edit match');
+    
+    showToast('Match updated', 'success');
+}
+
+// Delete a single match
+function deleteMatch(category, index) {
+    const checkpoint = beginHistoryStep();
+    matchData[category].splice(index, 1);
+    editingMatch = null;
+    refreshAfterMatchChange(category);
+    commitHistoryStep(checkpoint, 'Delete match');
+    
+    showToast('Match deleted (Ctrl+Z to undo)', 'info');
+}
+
+// Move a match to a new position; matches keep the existing dates in order, so the moved match takes its new slot's date
+function moveMatch(category, fromIndex, toIndex) {
+    const matches = matchData[category];
+    if (fromIndex === toIndex || !matches[fromIndex] || !matches[toIndex]) return;
+    
+    const checkpoint = beginHistoryStep();
+    const slots = matches.map(match => ({ timestamp: match.timestamp, date: match.date }));
+    const [moved] = matches.splice(fromIndex, 1);
+    matches.splice(toIndex, 0, moved);
+    
+    matches.forEach((match, index) => {
+        match.timestamp = slots[index].timestamp;
+        match.date = slots[index].date;
+    });
+    
+    editingMatch = null;
+    refreshAfterMatchChange(category);
+    commitHistoryStep(checkpoint, 'Reorder matches');
+}
+
+// Keep match numbers in date order
+function renumberMatches(category) {
+    matchData[category].forEach((match, index) => {
+        match.matchNumber = index + 1;
+    });
+}
+
+// Refresh everything that depends on a category's matches
+function refreshAfterMatchChange(category) {
+    renumberMatches(category);
+    matchData[category].forEach(refreshMatchDerivedFields);
+    updateMatchSummary(category);
+    updateDataSufficiencyIndicators();
+    saveWorkingSession();
+}
+
+// Drag-to-reorder handlers
+function handleMatchDragStart(event, category) {
+    const item = event.target.closest('.match-item[draggable="true"]');
+    if (!item) return;
+    
+    draggedMatch = { category, index: parseInt(item.dataset.index) };
+    item.classList.add('dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', item.dataset.index);
+}
+
+function handleMatchDragOver(event, category) {
+    if (!draggedMatch || draggedMatch.category !== category) return;
+    
+    const item = event.target.closest('.match-item[draggable="true"]');
+    if (!item) return;
+    
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    
+    document.querySelectorAll('.match-item.drag-over').forEach(element => element.classList.remove('drag-over'));
+    item.classList.add('drag-over');
+}
+
+function handleMatchDrop(event, category) {
+    if (!draggedMatch || draggedMatch.category !== category) return;
+    
+    const item = event.target.closest('.match-item[draggable="true"]');
+    if (!item) return;
+    
+    event.preventDefault();
+    const fromIndex = draggedMatch.index;
+    draggedMatch = null;
+    moveMatch(category, fromIndex, parseInt(item.dataset.index));
+}
+
+function handleMatchDragEnd() {
+    draggedMatch = null;
+    document.querySelectorAll('.match-item.dragging, .match-item.drag-over').forEach(element => {
+        element.classList.remove('dragging', 'drag-over');
+    });
+}
+
 // Update data sufficiency indicators
 function updateDataSufficiencyIndicators() {
     // Update count displays
@@ -473,9 +1264,10 @@ function updateDataSufficiencyIndicators() {
     document.getElementById('team2-count').textContent = `${matchData.team2.length} matches`;
     
     // Update meter widths (max at 100%)
-    const h2hPercent = Math.min(100, (matchData.h2h.length / MIN_H2H_MATCHES) * 100);
-    const team1Percent = Math.min(100, (matchData.team1.length / MIN_MATCHES_FOR_EXCELLENT_ANALYSIS) * 100);
-    const team2Percent = Math.min(100, (matchData.team2.length / MIN_MATCHES_FOR_EXCELLENT_ANALYSIS) * 100);
+    const { thresholds } = getActiveModelParameters();
+    const h2hPercent = Math.min(100, (matchData.h2h.length / thresholds.MIN_H2H_MATCHES) * 100);
+    const team1Percent = Math.min(100, (matchData.team1.length / thresholds.MIN_MATCHES_FOR_EXCELLENT_ANALYSIS) * 100);
+    const team2Percent = Math.min(100, (matchData.team2.length / thresholds.MIN_MATCHES_FOR_EXCELLENT_ANALYSIS) * 100);
     
     document.getElementById('h2h-meter').style.width = `${h2hPercent}%`;
     document.getElementById('team1-meter').style.width = `${team1Percent}%`;
@@ -486,65 +1278,113 @@ function updateDataSufficiencyIndicators() {
     const dataQualityIndicator = document.getElementById('data-quality-indicator');
     const dataQualityText = document.getElementById('data-quality-text');
     
-    if (totalMatches >= MIN_MATCHES_FOR_EXCELLENT_ANALYSIS && matchData.h2h.length >= MIN_H2H_MATCHES) {
+    if (totalMatches >= thresholds.MIN_MATCHES_FOR_EXCELLENT_ANALYSIS && matchData.h2h.length >= thresholds.MIN_H2H_MATCHES) {
         dataQualityIndicator.className = 'data-quality excellent';
         dataQualityText.textContent = 'Excellent data quality for accurate predictions';
-    } else if (totalMatches >= MIN_MATCHES_FOR_GOOD_ANALYSIS) {
+    } else if (totalMatches >= thresholds.MIN_MATCHES_FOR_GOOD_ANALYSIS) {
         dataQualityIndicator.className = 'data-quality good';
         dataQualityText.textContent = 'Good data quality for reliable predictions';
     } else {
         dataQualityIndicator.className = 'data-quality insufficient';
-        dataQualityText.textContent = `Add more match data for better predictions (${MIN_MATCHES_FOR_GOOD_ANALYSIS - totalMatches} more needed for good quality)`;
+        dataQualityText.textContent = `Add more match data for better predictions (${thresholds.MIN_MATCHES_FOR_GOOD_ANALYSIS - totalMatches} more needed for good quality)`;
     }
 }
 
 // Clear all match data
 function clearAllData() {
-    // Confirm before clearing
-    if (getTotalMatchCount() > 0 && !confirm('Are you sure you want to clear all match data?')) {
-        return;
-    }
+    // Clearing can be undone, so there is no confirmation step
+    const checkpoint = beginHistoryStep();
     
     // Clear data
     matchData.h2h = [];
     matchData.team1 = [];
     matchData.team2 = [];
+    editingMatch = null;
     
     // Update UI
     updateMatchSummary('h2h');
     updateMatchSummary('team1');
     updateMatchSummary('team2');
     updateDataSufficiencyIndicators();
+    saveWorkingSession();
+    commitHistoryStep(checkpoint, 'Clear all data');
     
-    showToast('All match data has been cleared', 'info');
+    showToast('All match data has been cleared. Use Undo to restore it.', 'info');
 }
 
-// Calculate if the spread was covered
-function calculateSpreadCover(team1Score, team2Score) {
-    // Return null if no point spread is set
-    if (pointSpread <= 0) return null;
-    
-    const adjustedScore = spreadDirection === 'team1' 
-        ? team1Score - pointSpread
-        : team2Score - pointSpread;
-    
-    const opposingScore = spreadDirection === 'team1' ? team2Score : team1Score;
-    
-    if (adjustedScore > opposingScore) {
-        return 'Favorite Covered';
-    } else if (adjustedScore < opposingScore) {
-        return 'Underdog Covered';
-    } else {
-        return 'Push';
-    }
+// Read the Team 1 handicap input (null when it is empty or off the quarter grid)
+function readSpreadHandicap() {
+    return readHandicapInput('spread-handicap');
 }
 
-// Validate inputs before analysis
-function validateInputs() {
-    // Check if there is any match data
-    if (getTotalMatchCount() === 0) {
-        showToast('Please add match data before analyzing', 'error');
-        return false;
+// Read a handicap input and show its validation message: handicaps settle on the quarter grid, so
+// a value like -0.3 is rejected (null) rather than settled as if it were a quarter line
+function readHandicapInput(inputId) {
+    const handicap = parseFloat(document.getElementById(inputId).value);
+    const valid = isNaN(handicap) || isOnQuarterGrid(handicap);
+    const messageElement = document.getElementById(`${inputId}-error`);
+    messageElement.textContent = valid ? '' : HANDICAP_GRID_MESSAGE;
+    messageElement.classList.toggle('hidden', valid);
+    
+    return valid && !isNaN(handicap) ? handicap : null;
+}
+
+// Handicaps are whole, half or quarter lines
+function isOnQuarterGrid(handicap) {
+    return Math.abs(handicap * 4 - Math.round(handicap * 4)) < 1e-9;
+}
+
+// Quarter lines (-0.25, +0.75, ...) split the stake over the two neighbouring lines
+function isQuarterLine(handicap) {
+    return Math.abs(Math.round(handicap * 4)) % 2 === 1;
+}
+
+// "-0.75" / "+1.5" / "0"
+function formatHandicap(handicap) {
+    return handicap > 0 ? `+${handicap}` : String(handicap);
+}
+
+// Settle Team 1's side of an Asian handicap: 1 won, 0.5 half won, 0 push (stake returned), -0.5 half lost,
+// -1 lost. Team 2's side settles as the negation.
+function calculateHandicapResult(team1Score, team2Score, handicap) {
+    const lines = isQuarterLine(handicap) ? [handicap - 0.25, handicap + 0.25] : [handicap];
+    return lines.reduce((sum, line) => sum + Math.sign(team1Score - team2Score + line), 0) / lines.length;
+}
+
+// Calculate which side covered the spread (the current Team 1 handicap unless one is given);
+// on quarter lines a side can cover only half its stake
+function calculateSpreadCover(team1Score, team2Score, handicap = spreadHandicap) {
+    // Return null if no spread is set
+    if (handicap === null) return null;
+    
+    const result = calculateHandicapResult(team1Score, team2Score, handicap);
+    if (result === 1) return 'Team 1 Covered';
+    if (result === 0.5) return 'Team 1 Half Won';
+    if (result === -0.5) return 'Team 2 Half Won';
+    if (result === -1) return 'Team 2 Covered';
+    return 'Push';
+}
+
+// Calculate which side of a total line the final score landed on
+function calculateTotalResult(team1Score, team2Score, line = totalLine) {
+    if (line <= 0) return null;
+    
+    const total = team1Score + team2Score;
+    if (total > line) {
+        return 'Over';
+    } else if (total < line) {
+        return 'Under';
+    } else {
+        return 'Push';
+    }
+}
+
+// Validate inputs before analysis
+function validateInputs() {
+    // Check if there is any match data
+    if (getTotalMatchCount() === 0) {
+        showToast('Please add match data before analyzing', 'error');
+        return false;
     }
     
     // Check if team names are set
@@ -560,7 +1400,7 @@ function validateInputs() {
     }
     
     // Data sufficiency warnings
-    if (getTotalMatchCount() < MIN_MATCHES_FOR_GOOD_ANALYSIS) {
+    if (getTotalMatchCount() < getActiveModelParameters().thresholds.MIN_MATCHES_FOR_GOOD_ANALYSIS) {
         if (!confirm(`You have only ${getTotalMatchCount()} matches in total. The analysis may not be accurate. Continue anyway?`)) {
             return false;
         }
@@ -580,8 +1420,7 @@ function processAllMatchData() {
     
     // Get betting lines data
     totalLine = parseFloat(document.getElementById('betting-line').value) || 0;
-    pointSpread = parseFloat(document.getElementById('point-spread').value) || 0;
-    spreadDirection = document.getElementById('spread-direction').value;
+    spreadHandicap = readSpreadHandicap();
     
     // Update the spread cover calculation for all matches
     updateSpreadCoverCalculations();
@@ -592,8 +1431,8 @@ function updateSpreadCoverCalculations() {
     // Update all match data with the current spread and total values
     for (const category in matchData) {
         matchData[category].forEach(match => {
-            // Only calculate spread cover if point spread is set
-            match.spreadCover = pointSpread > 0 ? 
+            // Only calculate spread cover if a spread is set
+            match.spreadCover = spreadHandicap !== null ? 
                 calculateSpreadCover(match.team1Score, match.team2Score) : null;
             
             // Only set totalOverLine if totalLine is set
@@ -614,75 +1453,14 @@ function performAnalysis() {
     }
     
     try {
-        // Prepare all feature data for analysis
-        const features = prepareMatchFeatures();
-        
-        // Calculate win probabilities
-        const probabilities = calculateModelV1WinProbabilities(features);
-        
-        // Calculate projected total
-        const projectedTotal = calculateModelV1ProjectedTotal(features);
-        
-        // Calculate projected margin
-        const projectedMargin = calculateModelV1ProjectedMargin(features);
-        
-        // Ensure consistency between win probabilities and projected margin
-        const [adjustedProbabilities, adjustedMargin] = ensurePredictionConsistency(probabilities, projectedMargin);
-        
-        // Store the current analysis for reference
-        lastAnalysisResults = {
-            probabilities: adjustedProbabilities,
-            projectedTotal,
-            projectedMargin: adjustedMargin,
-            team1Name,
-            team2Name,
-            totalLine,
-            pointSpread,
-            spreadDirection,
-            matchImportance,
-            matchLocation,
-            features
-        };
-        
-        // Calculate betting edge (only if betting lines are set)
-        let overUnderEdge = 0;
-        let spreadEdge = 0;
-        
-        if (totalLine > 0) {
-            overUnderEdge = ((projectedTotal - totalLine) / Math.max(1, totalLine)) * 100;
-        }
-        
-        if (pointSpread > 0) {
-            const adjustedSpread = spreadDirection === 'team1' ? pointSpread : -pointSpread;
-            spreadEdge = ((adjustedMargin - adjustedSpread) / Math.max(1, Math.abs(adjustedSpread))) * 100;
-        }
-        
-        // Calculate team1 and team2 projected scores
-        const team1ProjScore = Math.round((projectedTotal / 2) + (adjustedMargin / 2));
-        const team2ProjScore = Math.round((projectedTotal / 2) - (adjustedMargin / 2));
-        
-        // Calculate betting recommendations (only if betting lines are set)
-        const totalRecommendation = totalLine > 0 ? 
-            calculateOverUnderRecommendation(overUnderEdge, projectedTotal) : 'NO LINE SET';
-            
-        const spreadRecommendation = pointSpread > 0 ? 
-            calculateSpreadRecommendation(spreadEdge, adjustedMargin) : 'NO SPREAD SET';
-        
-        // Calculate feature importance
-        featureImportanceScores = calculateFeatureImportance(features);
-        
-        // Generate score distribution
-        const scoreDistribution = generateScoreDistribution(projectedTotal, adjustedMargin);
+        // Run the model and store the current analysis for reference
+        lastAnalysisResults = runModelV1Analysis();
         
         // Update UI with analysis results
-        updateWinnerPrediction(adjustedProbabilities);
-        updateScorePrediction(team1ProjScore, team2ProjScore, projectedTotal, totalLine);
-        updateBettingRecommendation(totalRecommendation, spreadRecommendation, overUnderEdge, spreadEdge);
-        updateAnalysisExplanation(adjustedProbabilities, projectedTotal, adjustedMargin, team1ProjScore, team2ProjScore, features);
-        createWinProbabilityChart(adjustedProbabilities);
-        createScoreProbabilityChart(scoreDistribution);
-        createFeatureImportanceChart(featureImportanceScores);
-        createPerformanceTrendChart();
+        renderAnalysisResults(lastAnalysisResults);
+        
+        // Keep the analysis with the working session
+        saveWorkingSession();
         
         // Hide loading and show results
         document.getElementById('analysis-loading').classList.add('hidden');
@@ -696,64 +1474,115 @@ function performAnalysis() {
     }
 }
 
-function ensurePredictionConsistency(probabilities, projectedMargin) {
-    // Create a deep copy of probabilities to avoid modifying the original
-    const adjustedProbabilities = { ...probabilities };
-    let adjustedMargin = projectedMargin;
+// Run Model V1 on the current state and collect everything needed to display the results.
+// recalibrate applies the recalibration map (when one is switched on).
+function runModelV1Analysis(recalibrate = isCalibrationActive()) {
+    // Prepare all feature data for analysis
+    const features = prepareMatchFeatures();
+    
+    // Feature model: win probabilities and projected total from the weighted features
+    const parameters = getActiveModelParameters();
+    const sport = getSportProfile();
+    const featureProbabilities = calculateModelV1WinProbabilities(features, parameters, sport);
+    const featureTotal = calculateModelV1ProjectedTotal(features, parameters, sport);
+    
+    // Score matrix from the sport's score distribution; every output below is derived from it
+    const scoreModel = buildMatchScoreModel(featureProbabilities, featureTotal, sport);
+    const outcome = summarizeScoreMatrix(scoreModel.matrix);
+    const adjustedProbabilities = {
+        team1WinProb: outcome.team1WinProb,
+        team2WinProb: outcome.team2WinProb,
+        drawProb: outcome.drawProb
+    };
+    const projectedTotal = outcome.projectedTotal;
+    const adjustedMargin = outcome.projectedMargin;
+    
+    // Optional recalibration of the outcome probabilities, fitted on backtest predictions
+    const calibration = recalibrate ? {
+        method: probabilityCalibration.method,
+        samples: probabilityCalibration.samples,
+        uncalibratedProbabilities: adjustedProbabilities
+    } : null;
+    const probabilities = calibration ? applyProbabilityCalibration(adjustedProbabilities) : adjustedProbabilities;
+    
+    // Cover probabilities and expected value of each side of the lines (only if betting lines are set)
+    const totalMarket = totalLine > 0 ? priceTotalMarket(scoreModel.matrix) : null;
+    const spreadMarket = spreadHandicap !== null ? priceSpreadMarket(scoreModel.matrix) : null;
+    
+    // Calculate team1 and team2 projected scores
+    const team1ProjScore = Math.round(outcome.team1ExpectedScore);
+    const team2ProjScore = Math.round(outcome.team2ExpectedScore);
+    
+    // Calculate betting recommendations (only if betting lines are set)
+    const totalRecommendation = totalLine > 0 ? 
+        calculateOverUnderRecommendation(totalMarket) : 'NO LINE SET';
+        
+    const spreadRecommendation = spreadHandicap !== null ? 
+        calculateSpreadRecommendation(spreadMarket) : 'NO SPREAD SET';
     
-    // Get the highest probability outcome
-    const highestProb = Math.max(
-        probabilities.team1WinProb, 
-        probabilities.team2WinProb, 
-        probabilities.drawProb
-    );
+    // Model vs market on the 1X2 prices (only if all of them are entered)
+    const moneyline = calculateMoneylineValue(probabilities, sport);
     
-    // Determine the predicted winner based on probabilities
-    let predictedWinner;
-    if (probabilities.team1WinProb === highestProb) {
-        predictedWinner = 'team1';
-    } else if (probabilities.team2WinProb === highestProb) {
-        predictedWinner = 'team2';
+    return {
+        probabilities,
+        calibration,
+        modelProfile: parameters.name,
+        projectedTotal,
+        projectedMargin: adjustedMargin,
+        team1ProjScore,
+        team2ProjScore,
+        totalMarket,
+        spreadMarket,
+        totalRecommendation,
+        spreadRecommendation,
+        moneyline,
+        featureImportance: calculateFeatureImportance(features),
+        scoreDistribution: generateScoreDistribution(scoreModel.matrix),
+        scoreModel,
+        team1Name,
+        team2Name,
+        totalLine,
+        spreadHandicap,
+        matchImportance,
+        matchLocation,
+        features,
+        analyzedAt: Date.now()
+    };
+}
+
+// Render a (fresh or stored) analysis into the results section
+function renderAnalysisResults(results) {
+    featureImportanceScores = results.featureImportance;
+    
+    updateWinnerPrediction(results.probabilities, results.scoreModel);
+    updateScorePrediction(results.team1ProjScore, results.team2ProjScore, results.projectedTotal, results.totalMarket);
+    updateBettingRecommendation(results.totalRecommendation, results.spreadRecommendation, results.totalMarket, results.spreadMarket, results.moneyline);
+    runBankrollSimulation(results);
+    updateAnalysisExplanation(results.probabilities, results.projectedTotal, results.projectedMargin, 
+        results.team1ProjScore, results.team2ProjScore, results.features, results.scoreModel, results.calibration, results.modelProfile,
+        results.totalMarket, results.spreadMarket);
+    renderDerivedMarkets(results);
+    renderLineLadder(results);
+    createWinProbabilityChart(results.probabilities);
+    createScoreProbabilityChart(results.scoreDistribution);
+    createFeatureImportanceChart(featureImportanceScores);
+    createPerformanceTrendChart();
+    createRatingHistoryChart();
+    
+    // Reuse a stored simulation; otherwise simulate in the background
+    if (results.simulation) {
+        renderMatchSimulation(results.simulation);
     } else {
-        predictedWinner = 'draw';
-    }
-    
-    // FIXED: For draw predictions, force margin to be closer to zero
-    if (predictedWinner === 'draw') {
-        // If draw has highest probability, margin should be very close to zero
-        adjustedMargin = adjustedMargin * 0.2; // Drastically reduce margin
-        return [adjustedProbabilities, adjustedMargin];
-    }
-    
-    // Check if projected margin aligns with predicted winner
-    const marginThreshold = 0.25;
-    const marginPredictedWinner = projectedMargin > marginThreshold ? 'team1' : 
-                              (projectedMargin < -marginThreshold ? 'team2' : 'draw');
-    
-    if (predictedWinner !== marginPredictedWinner) {
-        // Calculate how confident we are in the probability prediction
-        let probConfidence;
-        
-        if (predictedWinner === 'team1') {
-            probConfidence = (probabilities.team1WinProb - 
-                            Math.max(probabilities.team2WinProb, probabilities.drawProb)) / 100;
-            // Ensure margin favors team1
-            adjustedMargin = Math.max(marginThreshold, Math.abs(adjustedMargin) * 0.8);
-        } else if (predictedWinner === 'team2') {
-            probConfidence = (probabilities.team2WinProb - 
-                            Math.max(probabilities.team1WinProb, probabilities.drawProb)) / 100;
-            // Ensure margin favors team2
-            adjustedMargin = Math.min(-marginThreshold, -Math.abs(adjustedMargin) * 0.8);
-        }
+        runMatchSimulation(results);
     }
-    
-    return [adjustedProbabilities, adjustedMargin];
 }
 
 // MODEL V1 FUNCTIONS
 // =============================
 // Prepare match features for analysis
 function prepareMatchFeatures() {
+    const { thresholds } = getActiveModelParameters();
+    
     // Basic statistics
     const team1AvgScore = calculateOverallTeamAverage(team1Name, true);
     const team2AvgScore = calculateOverallTeamAverage(team2Name, false);
@@ -763,13 +1592,26 @@ function prepareMatchFeatures() {
     const locationFactor = matchLocation === 'home' ? 1 : (matchLocation === 'away' ? -1 : 0);
     const rankingDiff = team1Ranking && team2Ranking ? team1Ranking - team2Ranking : 0;
     
+    // Without manual rankings, the rating engine's difference stands in for them
+    const teamRatings = calculateTeamRatings();
+    const ratingsAvailable = teamRatings.team1.matches > 0 && teamRatings.team2.matches > 0;
+    const ratingDiff = rankingDiff === 0 && ratingsAvailable ? teamRatings.team1.rating - teamRatings.team2.rating : 0;
+    
     // Advanced statistics
     const team1RecentForm = calculateRecentForm(team1Name, true);
     const team2RecentForm = calculateRecentForm(team2Name, false);
-    const team1DefenseStrength = calculateDefenseStrength(team1Name, true);
-    const team2DefenseStrength = calculateDefenseStrength(team2Name, false);
-    const team1AttackStrength = calculateAttackStrength(team1Name, true);
-    const team2AttackStrength = calculateAttackStrength(team2Name, false);
+    const rawTeam1DefenseStrength = calculateDefenseStrength(team1Name, true);
+    const rawTeam2DefenseStrength = calculateDefenseStrength(team2Name, false);
+    const rawTeam1AttackStrength = calculateAttackStrength(team1Name, true);
+    const rawTeam2AttackStrength = calculateAttackStrength(team2Name, false);
+    
+    // Opponent-adjusted ratings replace the raw ones when opponents are known
+    const strengthOfSchedule = calculateStrengthOfSchedule();
+    const useAdjusted = strengthOfSchedule.available;
+    const team1DefenseStrength = useAdjusted ? strengthOfSchedule.team1.defense : rawTeam1DefenseStrength;
+    const team2DefenseStrength = useAdjusted ? strengthOfSchedule.team2.defense : rawTeam2DefenseStrength;
+    const team1AttackStrength = useAdjusted ? strengthOfSchedule.team1.attack : rawTeam1AttackStrength;
+    const team2AttackStrength = useAdjusted ? strengthOfSchedule.team2.attack : rawTeam2AttackStrength;
     const team1Consistency = calculateTeamConsistency(team1Name, true);
     const team2Consistency = calculateTeamConsistency(team2Name, false);
     const team1MomentumIndex = calculateMomentumIndex(team1Name, true);
@@ -791,10 +1633,10 @@ function prepareMatchFeatures() {
             h2hAdvantage,
             locationFactor,
             rankingDiff,
+            ratingDiff,
             matchImportance,
             totalLine,
-            pointSpread,
-            spreadDirection: spreadDirection === 'team1' ? 1 : -1
+            spreadHandicap
         },
         advancedStats: {
             team1RecentForm,
@@ -816,25 +1658,51 @@ function prepareMatchFeatures() {
             scoring: scoringTrends,
             cleanSheets: cleanSheetStats
         },
+        ratings: {
+            engine: teamRatings.engine,
+            available: ratingsAvailable,
+            usedForRanking: ratingDiff !== 0,
+            team1: teamRatings.team1,
+            team2: teamRatings.team2
+        },
+        strengthOfSchedule: {
+            available: strengthOfSchedule.available,
+            resultsUsed: strengthOfSchedule.resultsUsed,
+            teamsRated: strengthOfSchedule.teamsRated,
+            leagueAverage: strengthOfSchedule.leagueAverage,
+            team1: {
+                ...strengthOfSchedule.team1,
+                rawAttack: rawTeam1AttackStrength,
+                rawDefense: rawTeam1DefenseStrength
+            },
+            team2: {
+                ...strengthOfSchedule.team2,
+                rawAttack: rawTeam2AttackStrength,
+                rawDefense: rawTeam2DefenseStrength
+            }
+        },
         dataQuality: {
             totalMatches: getTotalMatchCount(),
             team1Matches: matchData.team1.length,
             team2Matches: matchData.team2.length,
             h2hMatches: matchData.h2h.length,
-            dataSufficiency: getTotalMatchCount() >= MIN_MATCHES_FOR_GOOD_ANALYSIS,
-            dataExcellence: getTotalMatchCount() >= MIN_MATCHES_FOR_EXCELLENT_ANALYSIS && 
-                          matchData.h2h.length >= MIN_H2H_MATCHES
+            dataSufficiency: getTotalMatchCount() >= thresholds.MIN_MATCHES_FOR_GOOD_ANALYSIS,
+            dataExcellence: getTotalMatchCount() >= thresholds.MIN_MATCHES_FOR_EXCELLENT_ANALYSIS && 
+                          matchData.h2h.length >= thresholds.MIN_H2H_MATCHES,
+            minH2HMatches: thresholds.MIN_H2H_MATCHES
         }
     };
 }
 
 // IMPROVED: Better win probability calculation with more consistent draw probability
-function calculateModelV1WinProbabilities(features) {
+function calculateModelV1WinProbabilities(features, parameters = getActiveModelParameters(), sport = getSportProfile()) {
+    const { weights, drawRate } = parameters;
+    
     // Extract commonly used values from features
     const { 
         basicStats: { 
             team1AvgScore, team2AvgScore, team1AvgConceded, team2AvgConceded,
-            h2hAdvantage, locationFactor, rankingDiff, matchImportance 
+            h2hAdvantage, locationFactor, rankingDiff, ratingDiff, matchImportance 
         },
         advancedStats: {
             team1RecentForm, team2RecentForm, team1DefenseStrength, team2DefenseStrength,
@@ -850,28 +1718,32 @@ function calculateModelV1WinProbabilities(features) {
                            (team2AttackStrength - team1DefenseStrength);
     
     // Calculate base advantage using several factors with improved weighting
-    let advantageCoefficient = attackDifference * WEIGHTS.OVERALL_PERFORMANCE +
-                             (team1RecentForm - team2RecentForm) * WEIGHTS.RECENT_FORM +
-                             h2hAdvantage * WEIGHTS.H2H_MATCHES + 
-                             (team1MomentumIndex - team2MomentumIndex) * WEIGHTS.MOMENTUM;
+    let advantageCoefficient = attackDifference * weights.OVERALL_PERFORMANCE +
+                             (team1RecentForm - team2RecentForm) * weights.RECENT_FORM +
+                             h2hAdvantage * weights.H2H_MATCHES + 
+                             (team1MomentumIndex - team2MomentumIndex) * weights.MOMENTUM;
                          
     // Add location factor
     if (locationFactor !== 0) {
         const locationTeamAdvantage = locationFactor === 1 ? team1HomeAdvantage : team2HomeAdvantage;
-        advantageCoefficient += locationFactor * locationTeamAdvantage * WEIGHTS.HOME_ADVANTAGE;
+        advantageCoefficient += locationFactor * locationTeamAdvantage * weights.HOME_ADVANTAGE;
     }
     
     // Add match importance factor
     if (matchImportance !== 1) {
         const importanceDifference = team1MatchImportancePerformance - team2MatchImportancePerformance;
-        advantageCoefficient += (matchImportance - 1) * importanceDifference * WEIGHTS.MATCH_IMPORTANCE;
+        advantageCoefficient += (matchImportance - 1) * importanceDifference * weights.MATCH_IMPORTANCE;
     }
     
     // Add ranking factor if available with improved weight
     if (rankingDiff !== 0) {
         // Transform ranking difference to be in [-1, 1] range - inverted since lower ranking is better
         const normalizedRankingDiff = -Math.sign(rankingDiff) * Math.min(1, Math.abs(rankingDiff) / 20);
-        advantageCoefficient += normalizedRankingDiff * WEIGHTS.RANKING;
+        advantageCoefficient += normalizedRankingDiff * weights.RANKING;
+    } else if (ratingDiff) {
+        // Otherwise use the rating difference, as the Elo expected result mapped to [-1, 1]
+        const normalizedRatingDiff = 2 / (1 + Math.pow(10, -ratingDiff / 400)) - 1;
+        advantageCoefficient += normalizedRatingDiff * weights.RANKING;
     }
     
     // Normalize advantage coefficient to range for probability calculation
@@ -879,23 +1751,24 @@ function calculateModelV1WinProbabilities(features) {
     
     // IMPROVED: Draw probability calculation based on match characteristics
     // This is now calculated before win probabilities to avoid circular logic
-    const scoringRate = team1AvgScore + team2AvgScore;
+    // (scoring rate in soccer goals, which the draw-rate coefficients are given in)
+    const scoringRate = (team1AvgScore + team2AvgScore) / getSportScoreScale(sport);
     
     // Calculate expected margin (absolute) for draw probability
     const projectedMarginAbs = Math.abs(attackDifference);
     
     // Base draw rate - higher for evenly matched teams, lower for high-scoring games
-    let baseDrawRate = 35 - (scoringRate * 4) - (projectedMarginAbs * 15);
+    let baseDrawRate = drawRate.BASE - (scoringRate * drawRate.SCORING_RATE) - (projectedMarginAbs * drawRate.MARGIN);
     
     // Apply additional factors
     if (team1DefenseStrength < 0.8 && team2DefenseStrength < 0.8) {
         // Both teams have strong defense, more likely to draw
-        baseDrawRate += 10;
+        baseDrawRate += drawRate.DEFENSIVE_BONUS;
     }
     
     if (matchImportance > 1.3) {
         // Important matches may lead to more cautious play
-        baseDrawRate += (matchImportance - 1.3) * 8;
+        baseDrawRate += (matchImportance - 1.3) * drawRate.IMPORTANCE;
     }
     
     // Ensure draw probability is within reasonable bounds
@@ -923,16 +1796,24 @@ function calculateModelV1WinProbabilities(features) {
     // Apply data quality adjustments
     if (!dataSufficiency) {
         // With insufficient data, adjust towards more balanced probabilities
-        const reversion = 0.3; // 30% reversion to mean
+        const reversion = parameters.reversion.WIN_PROBABILITY;
         team1WinProb = team1WinProb * (1 - reversion) + 40 * reversion;
         team2WinProb = team2WinProb * (1 - reversion) + 40 * reversion;
         drawProb = drawProb * (1 - reversion) + 20 * reversion;
     }
     
+    // Without draws, level games are settled in overtime: share the draw probability by the win probabilities
+    if (!sport.drawsPossible) {
+        const team1Share = team1WinProb / (team1WinProb + team2WinProb);
+        team1WinProb += drawProb * team1Share;
+        team2WinProb += drawProb * (1 - team1Share);
+        drawProb = 0;
+    }
+    
     // Ensure no probability goes below 5%
     team1WinProb = Math.max(5, team1WinProb);
     team2WinProb = Math.max(5, team2WinProb);
-    drawProb = Math.max(5, drawProb);
+    drawProb = sport.drawsPossible ? Math.max(5, drawProb) : 0;
     
     // Final normalization
     const finalTotal = team1WinProb + team2WinProb + drawProb;
@@ -944,8 +1825,10 @@ function calculateModelV1WinProbabilities(features) {
     };
 }
 
-// Calculate Model V1 projected total
-function calculateModelV1ProjectedTotal(features) {
+// Calculate Model V1 projected total (the adjustments are in soccer goals, rescaled to the sport's scores)
+function calculateModelV1ProjectedTotal(features, parameters = getActiveModelParameters(), sport = getSportProfile()) {
+    const scale = getSportScoreScale(sport);
+    
     // Extract relevant features
     const { 
         basicStats: { 
@@ -964,7 +1847,7 @@ function calculateModelV1ProjectedTotal(features) {
     let baseTotal = (team1AvgScore + team2AvgScore + team1AvgConceded + team2AvgConceded) / 2;
     
     // Adjust for H2H scoring trends if available
-    if (h2hMatches >= MIN_H2H_MATCHES) {
+    if (h2hMatches >= parameters.thresholds.MIN_H2H_MATCHES) {
         const h2hAvgTotal = matchData.h2h.reduce((sum, match) => sum + match.totalScore, 0) / h2hMatches;
         // Weigh H2H more heavily when more H2H matches exist
         const h2hWeight = Math.min(0.5, h2hMatches * 0.08);
@@ -972,34 +1855,34 @@ function calculateModelV1ProjectedTotal(features) {
     }
     
     // Adjust for recent form
-    const formAdjustment = ((team1RecentForm + team2RecentForm) - 1) * 0.5;
+    const formAdjustment = ((team1RecentForm + team2RecentForm) - 1) * 0.5 * scale;
     baseTotal += formAdjustment;
     
     // Adjust for defensive strength (lower strength = fewer goals)
-    const defenseAdjustment = -((1 - team1DefenseStrength) + (1 - team2DefenseStrength)) * 0.5;
+    const defenseAdjustment = -((1 - team1DefenseStrength) + (1 - team2DefenseStrength)) * 0.5 * scale;
     baseTotal += defenseAdjustment;
     
     // Adjust for attack strength
-    const attackAdjustment = (team1AttackStrength + team2AttackStrength - 2) * 0.5;
+    const attackAdjustment = (team1AttackStrength + team2AttackStrength - 2) * 0.5 * scale;
     baseTotal += attackAdjustment;
     
     // Adjust for match importance
     if (matchImportance < 1) {
         // Friendlies tend to have more goals (less defensive focus)
-        baseTotal += (1 - matchImportance) * 0.6;
+        baseTotal += (1 - matchImportance) * 0.6 * scale;
     } else if (matchImportance > 1.3) {
         // Very important matches can have fewer goals (more cautious play)
-        baseTotal -= (matchImportance - 1.3) * 0.4;
+        baseTotal -= (matchImportance - 1.3) * 0.4 * scale;
     }
     
     // Adjust for location
     if (locationFactor !== 0) {
         // Home teams tend to score more, but the overall effect on total is small
-        baseTotal += Math.abs(locationFactor) * 0.15;
+        baseTotal += Math.abs(locationFactor) * 0.15 * scale;
     }
     
     // Adjust for consistency
-    const consistencyAdjustment = ((1 - team1Consistency) + (1 - team2Consistency)) * 0.4;
+    const consistencyAdjustment = ((1 - team1Consistency) + (1 - team2Consistency)) * 0.4 * scale;
     baseTotal += consistencyAdjustment;
     
     // Adjust for recent scoring trends
@@ -1010,190 +1893,852 @@ function calculateModelV1ProjectedTotal(features) {
     // Apply data quality adjustments
     if (!dataSufficiency) {
         // With insufficient data, regress toward the mean
-        const leagueAverage = 2.5; // Typical average
-        const reversion = 0.4; // 40% reversion to mean
+        const leagueAverage = sport.averageTotal;
+        const reversion = parameters.reversion.PROJECTED_TOTAL;
         baseTotal = baseTotal * (1 - reversion) + leagueAverage * reversion;
     }
     
-    // Ensure the total is reasonable (minimum of 0.5 goals expected)
-    return Math.max(0.5, baseTotal);
+    // Ensure the total is reasonable (minimum of 0.5 soccer goals expected)
+    return Math.max(0.5 * scale, baseTotal);
 }
 
-// Calculate Model V1 projected margin
-function calculateModelV1ProjectedMargin(features) {
-    // Extract relevant features
-    const { 
-        basicStats: { 
-            team1AvgScore, team2AvgScore, team1AvgConceded, team2AvgConceded,
-            h2hAdvantage, locationFactor, rankingDiff, matchImportance 
-        },
-        advancedStats: {
-            team1RecentForm, team2RecentForm, team1DefenseStrength, team2DefenseStrength,
-            team1AttackStrength, team2AttackStrength, team1MomentumIndex, team2MomentumIndex
-        },
-        dataQuality: { dataSufficiency, h2hMatches }
-    } = features;
+// SPORT PROFILES
+// =============================
+// Profile of the selected sport
+function getSportProfile() {
+    return SPORT_PROFILES[sportProfileId] || SPORT_PROFILES.soccer;
+}
+
+// Size of the sport's scores relative to soccer, for rescaling constants given in soccer goals
+function getSportScoreScale(sport = getSportProfile()) {
+    return sport.averageTotal / SPORT_PROFILES.soccer.averageTotal;
+}
+
+// Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26, accurate to about 1e-7)
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Probability of each score 0..maxScore for one team with the given mean, under the sport's distribution
+function calculateScorePmf(mean, sport = getSportProfile(), maxScore = sport.maxScore) {
+    const pmf = [];
+    const { distribution } = sport;
+    
+    if (distribution.type === 'normal') {
+        // Continuity-corrected, with the variance growing in proportion to the mean
+        const sd = Math.max(0.5, Math.sqrt(distribution.varianceRatio * mean));
+        for (let score = 0; score <= maxScore; score++) {
+            const lower = score === 0 ? 0 : normalCdf((score - 0.5 - mean) / sd);
+            pmf.push(normalCdf((score + 0.5 - mean) / sd) - lower);
+        }
+    } else if (distribution.type === 'negativeBinomial') {
+        // Variance mean + mean^2 / size: overdispersed scoring such as tries and penalty goals
+        const size = distribution.size;
+        const success = size / (size + Math.max(1e-9, mean));
+        let probability = Math.pow(success, size);
+        for (let score = 0; score <= maxScore; score++) {
+            pmf.push(probability);
+            probability *= (size + score) / (score + 1) * (1 - success);
+        }
+    } else {
+        for (let score = 0; score <= maxScore; score++) {
+            pmf.push(poissonProbability(score, mean));
+        }
+    }
+    
+    // Normalize away the mass beyond maxScore; negligible tails become exact zeros
+    const total = pmf.reduce((sum, probability) => sum + probability, 0);
+    return pmf.map(probability => probability / total < 1e-12 ? 0 : probability / total);
+}
+
+// Probability that regulation ends level (before any overtime)
+function calculateRegulationDrawProbability(team1Mean, team2Mean, sport = getSportProfile()) {
+    const team2Pmf = calculateScorePmf(team2Mean, sport);
+    return calculateScorePmf(team1Mean, sport).reduce((sum, probability, score) => sum + probability * team2Pmf[score], 0);
+}
+
+// Share of the sudden-death tiebreaks team 1 wins: the first goal in overtime, otherwise a 50/50 shootout
+function calculateSuddenDeathShare(team1Mean, team2Mean, overtime) {
+    const overtimeGoalProbability = 1 - Math.exp(-(team1Mean + team2Mean) * overtime.periodShare);
+    const firstGoalShare = team1Mean + team2Mean > 0 ? team1Mean / (team1Mean + team2Mean) : 0.5;
+    return overtimeGoalProbability * firstGoalShare + (1 - overtimeGoalProbability) * 0.5;
+}
+
+// Scores of a distribution that carry probability, as { score, probability }
+function getScorePmfSupport(pmf) {
+    return pmf
+        .map((probability, score) => ({ score, probability }))
+        .filter(entry => entry.probability > 0);
+}
+
+// Share of the games level after regulation that team 1 goes on to win
+function calculateOvertimeWinShare(team1Mean, team2Mean, sport = getSportProfile()) {
+    const { overtime } = sport;
+    if (overtime.type === 'suddenDeath') {
+        return calculateSuddenDeathShare(team1Mean, team2Mean, overtime);
+    }
+    
+    // Extra periods repeat until one is not level, so the first decided period settles it
+    const team1Period = calculateScorePmf(team1Mean * overtime.periodShare, sport);
+    const team2Period = calculateScorePmf(team2Mean * overtime.periodShare, sport);
+    let team2Below = 0;
+    let team1Wins = 0;
+    let team2Wins = 0;
+    team1Period.forEach((probability, score) => {
+        team1Wins += probability * team2Below;
+        team2Below += team2Period[score] || 0;
+        team2Wins += probability * Math.max(0, 1 - team2Below);
+    });
+    return team1Wins + team2Wins > 0 ? team1Wins / (team1Wins + team2Wins) : 0.5;
+}
+
+// Move the level scores of a regulation score matrix to the final scores after the sport's overtime rules
+function applyOvertime(matrix, team1Mean, team2Mean, sport = getSportProfile()) {
+    const overtime = sport.overtime;
+    const size = matrix.length;
+    const result = matrix.map((row, team1Score) => row.map((probability, team2Score) => team1Score === team2Score ? 0 : probability));
+    
+    if (overtime.type === 'suddenDeath') {
+        const team1Share = calculateSuddenDeathShare(team1Mean, team2Mean, overtime);
+        for (let score = 0; score + 1 < size; score++) {
+            result[score + 1][score] += matrix[score][score] * team1Share;
+            result[score][score + 1] += matrix[score][score] * (1 - team1Share);
+        }
+    } else {
+        // Extra periods: each one is played like a short game; level periods carry over to the next.
+        // Only the period scores that carry probability are visited (a few dozen of basketball's 200).
+        const team1Period = getScorePmfSupport(calculateScorePmf(team1Mean * overtime.periodShare, sport));
+        const team2Period = getScorePmfSupport(calculateScorePmf(team2Mean * overtime.periodShare, sport));
+        let level = matrix.map((row, score) => row[score]);
+        
+        for (let period = 0; period < OVERTIME_MAX_PERIODS; period++) {
+            const nextLevel = new Array(size).fill(0);
+            level.forEach((levelProbability, score) => {
+                if (levelProbability === 0) return;
+                team1Period.forEach(({ score: team1Added, probability: team1Probability }) => {
+                    if (score + team1Added >= size) return;
+                    team2Period.forEach(({ score: team2Added, probability: team2Probability }) => {
+                        if (score + team2Added >= size) return;
+                        const probability = levelProbability * team1Probability * team2Probability;
+                        if (team1Added === team2Added) {
+                            nextLevel[score + team1Added] += probability;
+                        } else {
+                            result[score + team1Added][score + team2Added] += probability;
+                        }
+                    });
+                });
+            });
+            level = nextLevel;
+        }
+    }
     
-    // Base margin from average scoring rates
-    let baseMargin = (team1AvgScore - team2AvgConceded) - (team2AvgScore - team1AvgConceded);
+    // Games still level (or pushed past maxScore) are dropped by renormalizing
+    const total = result.reduce((sum, row) => sum + row.reduce((rowSum, probability) => rowSum + probability, 0), 0);
+    return result.map(row => row.map(probability => probability / total));
+}
+
+// "goal" / "goals" (or points) for a count
+function formatScoreUnit(count, sport = getSportProfile()) {
+    return count === 1 ? sport.unit : sport.unitPlural;
+}
+
+// Point the line inputs and hints at the selected sport
+function updateSportLabels() {
+    const sport = getSportProfile();
+    const totalLineInput = document.getElementById('betting-line');
+    const spreadInput = document.getElementById('spread-handicap');
+    
+    totalLineInput.step = sport.totalLineStep;
+    totalLineInput.placeholder = `Total line (e.g. ${sport.defaultTotalLine})`;
+    spreadInput.step = sport.spreadStep;
+    document.getElementById('sim-total-line').step = sport.totalLineStep;
+    document.getElementById('sim-total-line').placeholder = `e.g. ${sport.defaultTotalLine}`;
+    document.getElementById('sim-spread-line').step = sport.spreadStep;
+    document.getElementById('sim-spread-line').placeholder = `e.g. -${sport.spreadStep * 3}`;
+    document.getElementById('odds-draw-group').classList.toggle('hidden', !sport.drawsPossible);
+    // A hidden draw price would otherwise stay in the saved lines and come back with the next draw sport
+    if (!sport.drawsPossible) {
+        moneylineOdds.draw = null;
+        document.getElementById('odds-draw').value = '';
+    }
+    document.getElementById('sport-profile-hint').textContent =
+        `${SCORE_DISTRIBUTIONS[sport.distribution.type]} scoring around ${sport.averageTeamScore} ${sport.unitPlural} per team; ` +
+        (sport.drawsPossible ? 'draws stand.' : `level games go to ${sport.overtime.label}.`);
+    updateOddsStatus();
+}
+
+// DIXON-COLES SCORE MODEL
+// =============================
+// Dixon-Coles adjustment to independent Poisson probabilities for the low scores (0-0, 1-0, 0-1, 1-1)
+function dixonColesTau(team1Score, team2Score, team1Mean, team2Mean, rho) {
+    if (team1Score === 0 && team2Score === 0) return 1 - team1Mean * team2Mean * rho;
+    if (team1Score === 0 && team2Score === 1) return 1 + team1Mean * rho;
+    if (team1Score === 1 && team2Score === 0) return 1 + team2Mean * rho;
+    if (team1Score === 1 && team2Score === 1) return 1 - rho;
+    return 1;
+}
+
+// Fit attack, defense, home advantage and rho to the known results, weighting recent results more
+// (time decay relative to the latest result). Ratings use the same scale as the strength-of-schedule fit.
+function fitDixonColesModel() {
+    const { results, team1Key, team2Key } = collectRatingResults();
+    const teamKeys = [...new Set(results.flatMap(result => [result.teamA, result.teamB]).filter(Boolean))];
+    const latestTimestamp = Math.max(0, ...results.map(result => result.timestamp || 0));
+    const halfLifeMs = DIXON_COLES.HALF_LIFE_DAYS * 86400000;
+    
+    // Each result gives two observations, one per side
+    const sides = results.flatMap(result => {
+        const weight = result.timestamp ? Math.pow(0.5, Math.max(0, latestTimestamp - result.timestamp) / halfLifeMs) : 1;
+        return [
+            { team: result.teamA, opponent: result.teamB, scored: result.scoreA, home: result.venueA === 'home', weight },
+            { team: result.teamB, opponent: result.teamA, scored: result.scoreB, home: result.venueA === 'away', weight }
+        ];
+    });
     
-    // Adjust for H2H history if available
-    if (h2hMatches >= MIN_H2H_MATCHES) {
-        const h2hAvgMargin = matchData.h2h.reduce((sum, match) => 
-            sum + (match.team1Score - match.team2Score), 0) / h2hMatches;
+    const totalWeight = sides.reduce((sum, side) => sum + side.weight, 0);
+    const attack = {};
+    const defense = {};
+    teamKeys.forEach(key => {
+        attack[key] = 1;
+        defense[key] = 1;
+    });
+    let baseRate = totalWeight > 0 ? Math.max(0.1, sides.reduce((sum, side) => sum + side.weight * side.scored, 0) / totalWeight) : 1;
+    let homeAdvantage = 1;
+    
+    const ratingOf = (ratings, key) => key ? ratings[key] : 1;
+    const expectedGoals = side => baseRate * ratingOf(attack, side.team) * ratingOf(defense, side.opponent) *
+        (side.home ? homeAdvantage : 1);
+    
+    // Multiplicative Poisson updates, with pseudo-matches of average play pulling sparse teams toward 1.0
+    const updateRatings = (ratings, keyOf) => {
+        const actual = {};
+        const expected = {};
+        teamKeys.forEach(key => {
+            actual[key] = SOS_PRIOR_MATCHES * baseRate;
+            expected[key] = SOS_PRIOR_MATCHES * baseRate;
+        });
         
-        // Weight H2H more heavily with more matches
-        const h2hWeight = Math.min(0.5, h2hMatches * 0.08);
-        baseMargin = baseMargin * (1 - h2hWeight) + h2hAvgMargin * h2hWeight;
-    } else {
-        // If no H2H, still consider the h2hAdvantage from similar matchups
-        baseMargin += h2hAdvantage * 0.5;
+        sides.forEach(side => {
+            const key = keyOf(side);
+            if (!key) return;
+            actual[key] += side.weight * side.scored;
+            expected[key] += side.weight * expectedGoals(side) / ratings[key];
+        });
+        
+        let maxChange = 0;
+        teamKeys.forEach(key => {
+            const updated = actual[key] / expected[key];
+            maxChange = Math.max(maxChange, Math.abs(updated - ratings[key]));
+            ratings[key] = updated;
+        });
+        
+        // Keep the average team at 1.0
+        const mean = teamKeys.reduce((sum, key) => sum + ratings[key], 0) / teamKeys.length;
+        teamKeys.forEach(key => {
+            ratings[key] /= mean;
+        });
+        
+        return maxChange;
+    };
+    
+    // Ratio of actual to expected goals over a set of sides
+    const scaleFactor = selectedSides => {
+        const actual = selectedSides.reduce((sum, side) => sum + side.weight * side.scored, 0);
+        const expected = selectedSides.reduce((sum, side) => sum + side.weight * expectedGoals(side), 0);
+        return expected > 0 ? actual / expected : 1;
+    };
+    
+    const homeSides = sides.filter(side => side.home);
+    if (teamKeys.length > 0) {
+        for (let iteration = 0; iteration < SOS_MAX_ITERATIONS; iteration++) {
+            const attackChange = updateRatings(attack, side => side.team);
+            const defenseChange = updateRatings(defense, side => side.opponent);
+            
+            const previousHomeAdvantage = homeAdvantage;
+            if (homeSides.length > 0) {
+                homeAdvantage = Math.max(0.5, Math.min(2, homeAdvantage * scaleFactor(homeSides)));
+            }
+            baseRate *= scaleFactor(sides);
+            
+            if (Math.max(attackChange, defenseChange, Math.abs(homeAdvantage - previousHomeAdvantage)) < 1e-6) break;
+        }
     }
     
-    // Adjust for form
-    const formAdjustment = (team1RecentForm - team2RecentForm) * 0.8;
-    baseMargin += formAdjustment;
+    // Rho: maximize the weighted Dixon-Coles likelihood term over a grid, with a prior toward the default
+    const rhoObjective = rho => {
+        let logLikelihood = -Math.pow(rho - DIXON_COLES.DEFAULT_RHO, 2) / (2 * Math.pow(DIXON_COLES.RHO_PRIOR_SD, 2));
+        
+        for (let index = 0; index < results.length; index++) {
+            const result = results[index];
+            if (result.scoreA > 1 || result.scoreB > 1) continue;
+            
+            // Sides are stored in result order, two per result
+            const sideA = sides[index * 2];
+            const sideB = sides[index * 2 + 1];
+            const tau = dixonColesTau(result.scoreA, result.scoreB, expectedGoals(sideA), expectedGoals(sideB), rho);
+            if (tau <= 0) return -Infinity;
+            logLikelihood += sideA.weight * Math.log(tau);
+        }
+        
+        return logLikelihood;
+    };
     
-    // Adjust for attack vs defense strength
-    const strengthAdjustment = (team1AttackStrength - team2DefenseStrength) - 
-                             (team2AttackStrength - team1DefenseStrength);
-    baseMargin += strengthAdjustment * 0.5;
+    let rho = DIXON_COLES.DEFAULT_RHO;
+    let bestObjective = rhoObjective(rho);
+    const rhoSteps = Math.round((DIXON_COLES.RHO_MAX - DIXON_COLES.RHO_MIN) / 0.005);
+    for (let step = 0; step <= rhoSteps; step++) {
+        const candidate = Math.round((DIXON_COLES.RHO_MIN + step * 0.005) * 1000) / 1000;
+        const objective = rhoObjective(candidate);
+        if (objective > bestObjective) {
+            bestObjective = objective;
+            rho = candidate;
+        }
+    }
     
-    // Adjust for momentum
-    const momentumAdjustment = (team1MomentumIndex - team2MomentumIndex) * 0.5;
-    baseMargin += momentumAdjustment;
+    return {
+        available: results.length > 0,
+        resultsUsed: results.length,
+        matchupResults: results.filter(result => [result.teamA, result.teamB].some(key => key === team1Key || key === team2Key)).length,
+        baseRate,
+        homeAdvantage,
+        rho,
+        team1: { attack: attack[team1Key] || 1, defense: defense[team1Key] || 1 },
+        team2: { attack: attack[team2Key] || 1, defense: defense[team2Key] || 1 }
+    };
+}
+
+// Expected goals for this fixture from the fitted model
+function predictDixonColesGoals(fit) {
+    const team1HomeFactor = matchLocation === 'home' ? fit.homeAdvantage : 1;
+    const team2HomeFactor = matchLocation === 'away' ? fit.homeAdvantage : 1;
+    
+    return [
+        fit.baseRate * fit.team1.attack * fit.team2.defense * team1HomeFactor,
+        fit.baseRate * fit.team2.attack * fit.team1.defense * team2HomeFactor
+    ];
+}
+
+// Build the score matrix: matrix[team1Score][team2Score] is the probability of that exact final score
+// (after overtime, for sports where level games do not stand)
+function buildScoreMatrix(team1Mean, team2Mean, rho, sport = getSportProfile()) {
+    const team1Pmf = calculateScorePmf(team1Mean, sport);
+    const team2Pmf = calculateScorePmf(team2Mean, sport);
+    let total = 0;
+    
+    const matrix = team1Pmf.map((team1Probability, team1Score) => team2Pmf.map((team2Probability, team2Score) => {
+        const probability = team1Probability * team2Probability *
+            (sport.lowScoreDependence ? Math.max(0, dixonColesTau(team1Score, team2Score, team1Mean, team2Mean, rho)) : 1);
+        total += probability;
+        return probability;
+    }));
+    
+    const regulation = matrix.map(row => row.map(probability => probability / total));
+    return sport.overtime ? applyOvertime(regulation, team1Mean, team2Mean, sport) : regulation;
+}
+
+// Win/draw/loss probabilities (percent) of the score matrix buildScoreMatrix would give, without building it:
+// level games are split by the overtime winner's share instead of being played out score by score
+function calculateScoreOutcome(team1Mean, team2Mean, rho, sport = getSportProfile()) {
+    const team1Pmf = getScorePmfSupport(calculateScorePmf(team1Mean, sport));
+    const team2Pmf = getScorePmfSupport(calculateScorePmf(team2Mean, sport));
+    let team1Win = 0;
+    let team2Win = 0;
+    let draw = 0;
+    
+    team1Pmf.forEach(({ score: team1Score, probability: team1Probability }) => {
+        team2Pmf.forEach(({ score: team2Score, probability: team2Probability }) => {
+            const probability = team1Probability * team2Probability *
+                (sport.lowScoreDependence ? Math.max(0, dixonColesTau(team1Score, team2Score, team1Mean, team2Mean, rho)) : 1);
+            if (team1Score > team2Score) {
+                team1Win += probability;
+            } else if (team1Score < team2Score) {
+                team2Win += probability;
+            } else {
+                draw += probability;
+            }
+        });
+    });
     
-    // Adjust for location
-    if (locationFactor !== 0) {
-        baseMargin += locationFactor * 0.4; // Home advantage
+    if (sport.overtime) {
+        const team1Share = calculateOvertimeWinShare(team1Mean, team2Mean, sport);
+        team1Win += draw * team1Share;
+        team2Win += draw * (1 - team1Share);
+        draw = 0;
     }
     
-    // Adjust for ranking if available
-    if (rankingDiff !== 0) {
-        // Transform ranking difference to be in [-1, 1] range
-        const normalizedRankingDiff = -Math.sign(rankingDiff) * Math.min(1, Math.abs(rankingDiff) / 20);
-        baseMargin += normalizedRankingDiff * 0.3;
+    const total = team1Win + team2Win + draw;
+    return { team1WinProb: team1Win / total * 100, drawProb: draw / total * 100, team2WinProb: team2Win / total * 100 };
+}
+
+// Win/draw/loss probabilities (percent), expected scores, total and margin from a score matrix
+function summarizeScoreMatrix(matrix) {
+    let team1Win = 0;
+    let team2Win = 0;
+    let draw = 0;
+    let team1ExpectedScore = 0;
+    let team2ExpectedScore = 0;
+    
+    matrix.forEach((row, team1Score) => {
+        row.forEach((probability, team2Score) => {
+            if (team1Score > team2Score) {
+                team1Win += probability;
+            } else if (team1Score < team2Score) {
+                team2Win += probability;
+            } else {
+                draw += probability;
+            }
+            team1ExpectedScore += probability * team1Score;
+            team2ExpectedScore += probability * team2Score;
+        });
+    });
+    
+    return {
+        team1WinProb: team1Win * 100,
+        team2WinProb: team2Win * 100,
+        drawProb: draw * 100,
+        team1ExpectedScore,
+        team2ExpectedScore,
+        projectedTotal: team1ExpectedScore + team2ExpectedScore,
+        projectedMargin: team1ExpectedScore - team2ExpectedScore
+    };
+}
+
+// Largest supremacy (expected score difference) the feature total leaves room for
+function getFeatureSupremacyLimit(featureTotal, sport = getSportProfile()) {
+    return Math.max(0, featureTotal - 0.1 * getSportScoreScale(sport));
+}
+
+// Score expectations whose score matrix reproduces the feature model's total and win/loss balance
+function solveFeatureImpliedGoals(featureProbabilities, featureTotal, rho, sport = getSportProfile()) {
+    const targetBalance = (featureProbabilities.team1WinProb - featureProbabilities.team2WinProb) / 100;
+    const maxSupremacy = getFeatureSupremacyLimit(featureTotal, sport);
+    const meansFor = supremacy => [(featureTotal + supremacy) / 2, (featureTotal - supremacy) / 2];
+    
+    // The win/loss balance grows with supremacy, so bisect on it (on the outcome alone: the matrix is built once,
+    // by the caller, from the result)
+    let low = -maxSupremacy;
+    let high = maxSupremacy;
+    for (let iteration = 0; iteration < 40; iteration++) {
+        const middle = (low + high) / 2;
+        const outcome = calculateScoreOutcome(...meansFor(middle), rho, sport);
+        const balance = (outcome.team1WinProb - outcome.team2WinProb) / 100;
+        
+        if (balance < targetBalance) {
+            low = middle;
+        } else {
+            high = middle;
+        }
     }
     
-    // Adjust for match importance
-    if (matchImportance > 1) {
-        // In important matches, the better team tends to assert dominance
-        if (baseMargin > 0) {
-            baseMargin += (matchImportance - 1) * 0.3;
-        } else if (baseMargin < 0) {
-            baseMargin -= (matchImportance - 1) * 0.3;
+    return meansFor((low + high) / 2);
+}
+
+// Combine the fitted Dixon-Coles model with the feature model into the match's score matrix. Outside soccer
+// only the attack, defense and home ratings are used: there is no low-score dependence (rho is zero).
+function buildMatchScoreModel(featureProbabilities, featureTotal, sport = getSportProfile()) {
+    const fit = fitDixonColesModel();
+    const rho = sport.lowScoreDependence ? fit.rho : 0;
+    const featureGoals = solveFeatureImpliedGoals(featureProbabilities, featureTotal, rho, sport);
+    const fittedGoals = fit.available ? predictDixonColesGoals(fit) : featureGoals;
+    
+    // Trust the fit more as the two teams' results accumulate
+    const fitWeight = fit.available ? fit.matchupResults / (fit.matchupResults + sport.fitBlendMatches) : 0;
+    const team1ExpectedGoals = fitWeight * fittedGoals[0] + (1 - fitWeight) * featureGoals[0];
+    const team2ExpectedGoals = fitWeight * fittedGoals[1] + (1 - fitWeight) * featureGoals[1];
+    
+    return {
+        sport: sportProfileId,
+        distribution: sport.distribution.type,
+        team1ExpectedGoals,
+        team2ExpectedGoals,
+        rho,
+        homeAdvantage: fit.homeAdvantage,
+        fitWeight,
+        // The blend's inputs that do not depend on the feature weights, kept for weight fitting
+        featureTotal,
+        fittedGoals,
+        resultsUsed: fit.resultsUsed,
+        halfLifeDays: DIXON_COLES.HALF_LIFE_DAYS,
+        overtimeProbability: sport.overtime ? calculateRegulationDrawProbability(team1ExpectedGoals, team2ExpectedGoals, sport) : 0,
+        matrix: buildScoreMatrix(team1ExpectedGoals, team2ExpectedGoals, rho, sport)
+    };
+}
+
+// Analysis results without the score matrix, for storage: a basketball matrix alone runs to hundreds of KB
+function stripScoreMatrix(results) {
+    if (!results || !results.scoreModel) return results;
+    
+    const { matrix, ...scoreModel } = results.scoreModel;
+    return { ...results, scoreModel };
+}
+
+// Stored analysis results with the score matrix rebuilt from the expected scores it was built from
+function restoreScoreMatrix(results) {
+    if (!results || !results.scoreModel || results.scoreModel.matrix || !isFinite(results.scoreModel.team1ExpectedGoals)) return results;
+    
+    const { scoreModel } = results;
+    const sport = SPORT_PROFILES[scoreModel.sport] || getSportProfile();
+    return {
+        ...results,
+        scoreModel: {
+            ...scoreModel,
+            matrix: buildScoreMatrix(scoreModel.team1ExpectedGoals, scoreModel.team2ExpectedGoals, scoreModel.rho, sport)
         }
+    };
+}
+
+// RATING ENGINE
+// =============================
+// Expected result for side A on the Elo scale
+function eloExpectedResult(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, -(ratingA - ratingB) / 400));
+}
+
+// Elo update with a margin-of-victory multiplier that grows with the margin but shrinks when the favourite wins
+// (so big wins by strong teams do not inflate ratings). homeOffset is the home term added to side A.
+function updateEloRatings(ratingA, ratingB, scoreA, scoreB, homeOffset) {
+    const expectedA = eloExpectedResult(ratingA + homeOffset, ratingB);
+    const resultA = scoreA > scoreB ? 1 : (scoreA < scoreB ? 0 : 0.5);
+    const margin = Math.abs(scoreA - scoreB);
+    
+    let marginMultiplier = 1;
+    if (margin > 0) {
+        const winnerRatingDiff = scoreA > scoreB ? (ratingA + homeOffset - ratingB) : (ratingB - ratingA - homeOffset);
+        marginMultiplier = Math.log(margin + 1) * (2.2 / (winnerRatingDiff * 0.001 + 2.2));
     }
     
-    // Apply data quality adjustments
-    if (!dataSufficiency) {
-        // With insufficient data, regress toward zero
-        const reversion = 0.5; // 50% reversion to zero
-        baseMargin = baseMargin * (1 - reversion);
+    const change = RATING_CONFIG.ELO_K_FACTOR * marginMultiplier * (resultA - expectedA);
+    return [ratingA + change, ratingB - change];
+}
+
+// Glicko-2 update of one player after a single game (each game is treated as its own rating period)
+function updateGlicko2Rating(player, opponent, result) {
+    const scale = RATING_CONFIG.GLICKO_SCALE;
+    const tau = RATING_CONFIG.GLICKO_TAU;
+    const mu = (player.rating - RATING_CONFIG.INITIAL_RATING) / scale;
+    const phi = player.rd / scale;
+    const opponentMu = (opponent.rating - RATING_CONFIG.INITIAL_RATING) / scale;
+    const opponentPhi = opponent.rd / scale;
+    
+    const g = 1 / Math.sqrt(1 + 3 * opponentPhi * opponentPhi / (Math.PI * Math.PI));
+    const expected = 1 / (1 + Math.exp(-g * (mu - opponentMu)));
+    const variance = 1 / (g * g * expected * (1 - expected));
+    const delta = variance * g * (result - expected);
+    
+    // New volatility by the Illinois root-finding method
+    const a = Math.log(player.volatility * player.volatility);
+    const f = x => {
+        const ex = Math.exp(x);
+        return ex * (delta * delta - phi * phi - variance - ex) / (2 * Math.pow(phi * phi + variance + ex, 2)) - (x - a) / (tau * tau);
+    };
+    
+    let lower = a;
+    let upper;
+    if (delta * delta > phi * phi + variance) {
+        upper = Math.log(delta * delta - phi * phi - variance);
+    } else {
+        let k = 1;
+        while (f(a - k * tau) < 0) k++;
+        upper = a - k * tau;
+    }
+    
+    let fLower = f(lower);
+    let fUpper = f(upper);
+    for (let iteration = 0; iteration < 100 && Math.abs(upper - lower) > 1e-6; iteration++) {
+        const candidate = lower + (lower - upper) * fLower / (fUpper - fLower);
+        const fCandidate = f(candidate);
+        if (fCandidate * fUpper <= 0) {
+            lower = upper;
+            fLower = fUpper;
+        } else {
+            fLower /= 2;
+        }
+        upper = candidate;
+        fUpper = fCandidate;
     }
     
-    return baseMargin;
+    const volatility = Math.exp(lower / 2);
+    const preRatingPhi = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + 1 / variance);
+    const newMu = mu + newPhi * newPhi * g * (result - expected);
+    
+    return {
+        rating: newMu * scale + RATING_CONFIG.INITIAL_RATING,
+        rd: newPhi * scale,
+        volatility
+    };
+}
+
+// Rate every team from the known results in date order. Returns each of the two teams' current rating
+// (rd is null for Elo) and rating history; unnamed opponents count as fixed, unrated average teams.
+function calculateTeamRatings(engine = ratingEngine) {
+    const { results, team1Key, team2Key } = collectRatingResults();
+    const ratings = {};
+    const history = { team1: [], team2: [] };
+    const matchCounts = {};
+    
+    const newRating = () => ({
+        rating: RATING_CONFIG.INITIAL_RATING,
+        rd: RATING_CONFIG.GLICKO_INITIAL_RD,
+        volatility: RATING_CONFIG.GLICKO_INITIAL_VOLATILITY
+    });
+    const ratingOf = key => key ? (ratings[key] = ratings[key] || newRating()) : newRating();
+    
+    results
+        .slice()
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(result => {
+            const sideA = ratingOf(result.teamA);
+            const sideB = ratingOf(result.teamB);
+            const homeOffset = result.venueA === 'home' ? RATING_CONFIG.HOME_ADVANTAGE :
+                (result.venueA === 'away' ? -RATING_CONFIG.HOME_ADVANTAGE : 0);
+            
+            if (engine === 'glicko2') {
+                const resultA = result.scoreA > result.scoreB ? 1 : (result.scoreA < result.scoreB ? 0 : 0.5);
+                const updatedA = updateGlicko2Rating({ ...sideA, rating: sideA.rating + homeOffset }, sideB, resultA);
+                const updatedB = updateGlicko2Rating({ ...sideB, rating: sideB.rating - homeOffset }, sideA, 1 - resultA);
+                Object.assign(sideA, updatedA, { rating: updatedA.rating - homeOffset });
+                Object.assign(sideB, updatedB, { rating: updatedB.rating + homeOffset });
+            } else {
+                [sideA.rating, sideB.rating] = updateEloRatings(sideA.rating, sideB.rating, result.scoreA, result.scoreB, homeOffset);
+            }
+            
+            [[result.teamA, sideA], [result.teamB, sideB]].forEach(([key, side]) => {
+                if (!key) return;
+                matchCounts[key] = (matchCounts[key] || 0) + 1;
+                
+                const point = { timestamp: result.timestamp, rating: side.rating, rd: engine === 'glicko2' ? side.rd : null };
+                if (key === team1Key) history.team1.push(point);
+                if (key === team2Key) history.team2.push(point);
+            });
+        });
+    
+    const currentRating = key => ({
+        rating: ratings[key] ? ratings[key].rating : RATING_CONFIG.INITIAL_RATING,
+        rd: engine === 'glicko2' ? (ratings[key] ? ratings[key].rd : RATING_CONFIG.GLICKO_INITIAL_RD) : null,
+        matches: matchCounts[key] || 0
+    });
+    
+    return {
+        engine,
+        team1: currentRating(team1Key),
+        team2: currentRating(team2Key),
+        history
+    };
 }
 
 // ADVANCED STATISTICAL CALCULATIONS
 // =============================
+// Get a team's matches (H2H plus its own) from that team's point of view
+function getTeamPerspectiveMatches(isTeam1) {
+    const teamCategory = isTeam1 ? 'team1' : 'team2';
+    
+    return [...matchData.h2h, ...matchData[teamCategory]].map(match => {
+        // H2H venues are recorded for team 1, so flip them for team 2
+        let venue = match.venue;
+        if (match.category === 'h2h' && !isTeam1 && (venue === 'home' || venue === 'away')) {
+            venue = venue === 'home' ? 'away' : 'home';
+        }
+        
+        return {
+            match,
+            score: isTeam1 ? match.team1Score : match.team2Score,
+            opponentScore: isTeam1 ? match.team2Score : match.team1Score,
+            venue,
+            importance: match.importance ? COMPETITION_TYPES[match.importance].importance : 1,
+            timestamp: match.timestamp
+        };
+    });
+}
+
+// Recency weight from real dates: the decay is applied once per typical match interval before the latest match
+function calculateRecencyWeight(timestamp, latestTimestamp, decayPerMatch) {
+    const matchesAgo = Math.max(0, (latestTimestamp - timestamp) / MATCH_INTERVAL_MS);
+    return Math.pow(decayPerMatch, matchesAgo);
+}
             
 function calculateAttackStrength(teamName, isTeam1) {
+    const scale = getSportScoreScale();
+    
     // Calculate average goals scored
     const avgScored = calculateOverallTeamAverage(teamName, isTeam1);
     
     // Get opponent average conceded
     const oppAvgConceded = isTeam1 ? 
         (matchData.team1.length > 0 ? 
-            calculateCategoryAverage('team1', 'team2Score') : 1.0) :
+            calculateCategoryAverage('team1', 'team2Score') : 1.0 * scale) :
         (matchData.team2.length > 0 ? 
-            calculateCategoryAverage('team2', 'team1Score') : 1.0);
+            calculateCategoryAverage('team2', 'team1Score') : 1.0 * scale);
     
     // League average for normalization
-    const leagueAvgScored = 1.3;
+    const leagueAvgScored = getSportProfile().averageTeamScore;
     
     // IMPROVED: Better account for quality of opposition
     // Attack strength relative to average (higher is better)
-    // Add a small constant (0.2) to avoid extreme values when oppAvgConceded is very low
-    return (avgScored / leagueAvgScored) * (leagueAvgScored / (Math.max(0.5, oppAvgConceded) + 0.2));
+    // Add a small constant (0.2 soccer goals) to avoid extreme values when oppAvgConceded is very low
+    return (avgScored / leagueAvgScored) * (leagueAvgScored / (Math.max(0.5 * scale, oppAvgConceded) + 0.2 * scale));
 }
 
 // IMPROVED: Enhanced defensive strength calculation
 function calculateDefenseStrength(teamName, isTeam1) {
+    const scale = getSportScoreScale();
+    
     // Calculate average goals conceded
     const avgConceded = calculateTeamAverageConceded(teamName, isTeam1);
     
     // Get opponent average scored
     const oppAvgScored = isTeam1 ? 
         (matchData.team1.length > 0 ? 
-            calculateCategoryAverage('team1', 'team2Score') : 1.0) :
+            calculateCategoryAverage('team1', 'team2Score') : 1.0 * scale) :
         (matchData.team2.length > 0 ? 
-            calculateCategoryAverage('team2', 'team1Score') : 1.0);
+            calculateCategoryAverage('team2', 'team1Score') : 1.0 * scale);
     
     // League average for normalization
-    const leagueAvgConceded = 1.3;
+    const leagueAvgConceded = getSportProfile().averageTeamScore;
     
     // IMPROVED: Defense strength relative to average (lower is better)
-    // Add a small constant (0.2) to avoid extreme values when oppAvgScored is very low
-    return (avgConceded / leagueAvgConceded) * (leagueAvgConceded / (Math.max(0.5, oppAvgScored) + 0.2));
+    // Add a small constant (0.2 soccer goals) to avoid extreme values when oppAvgScored is very low
+    return (avgConceded / leagueAvgConceded) * (leagueAvgConceded / (Math.max(0.5 * scale, oppAvgScored) + 0.2 * scale));
 }
 
-// IMPROVED: Better consistency calculation with recency bias
-function calculateTeamConsistency(teamName, isTeam1) {
-    // Get all scores
-    let scores = [];
-    let results = []; // Win/Draw/Loss pattern
+// Collect every known result for the strength-of-schedule fit. Teams are keyed by database id when known,
+// otherwise by normalized name; unnamed opponents get a null key and are treated as average.
+function collectRatingResults() {
+    const teamKey = name => {
+        if (!name) return null;
+        const team = findTeamByName(name);
+        return team ? team.id : `name:${normalizeCsvKey(name)}`;
+    };
+    const team1Key = team1Id || teamKey(team1Name);
+    const team2Key = team2Id || teamKey(team2Name);
+    
+    // Stored scores are [team 1 side, team 2 side]; in team2 matches the opponent is on the team 1 side.
+    // venueA is from side A's point of view, so team 2's own venues are flipped.
+    const flipVenue = venue => venue === 'home' ? 'away' : (venue === 'away' ? 'home' : venue);
+    const fromMatch = (match, teamA, teamB, venueA) => ({
+        teamA,
+        teamB,
+        scoreA: match.team1Score,
+        scoreB: match.team2Score,
+        venueA: venueA || null,
+        timestamp: match.timestamp
+    });
+    const results = [
+        ...matchData.h2h.map(match => fromMatch(match, team1Key, team2Key, match.venue)),
+        ...matchData.team1.map(match => fromMatch(match, team1Key, teamKey(match.opponent), match.venue)),
+        ...matchData.team2.map(match => fromMatch(match, teamKey(match.opponent), team2Key, flipVenue(match.venue)))
+    ];
     
-    if (isTeam1) {
-        // Get scores from H2H matches
-        matchData.h2h.forEach(match => {
-            scores.push(match.team1Score);
-            if (match.outcome === `${team1Name} Wins`) {
-                results.push(1); // Win
-            } else if (match.outcome === 'Draw') {
-                results.push(0); // Draw
-            } else {
-                results.push(-1); // Loss
-            }
+    // The rest of the team database rates the opponents; results of the two teams come from the match data above
+    teamDatabase.matches
+        .filter(result => ![team1Key, team2Key].includes(result.homeTeamId) && ![team1Key, team2Key].includes(result.awayTeamId))
+        .forEach(result => {
+            results.push({
+                teamA: result.homeTeamId,
+                teamB: result.awayTeamId,
+                scoreA: result.homeScore,
+                scoreB: result.awayScore,
+                venueA: result.neutral ? 'neutral' : 'home',
+                timestamp: result.timestamp
+            });
         });
-        
-        // Get scores from team1 matches
-        matchData.team1.forEach(match => {
-            scores.push(match.team1Score);
-            if (match.outcome === `${team1Name} Wins`) {
-                results.push(1); // Win
-            } else if (match.outcome === 'Draw') {
-                results.push(0); // Draw
-            } else {
-                results.push(-1); // Loss
-            }
+    
+    return { results, team1Key, team2Key };
+}
+
+// Fit opponent-adjusted attack and defense ratings over all known results. Expected goals for a team are
+// its attack x the opponent's defense x the league average, fitted by alternating updates until stable.
+// Attack above 1.0 scores more than average; defense below 1.0 concedes less than average.
+function calculateStrengthOfSchedule() {
+    const { results, team1Key, team2Key } = collectRatingResults();
+    const teamKeys = [...new Set(results.flatMap(result => [result.teamA, result.teamB]).filter(Boolean))];
+    const totalScored = results.reduce((sum, result) => sum + result.scoreA + result.scoreB, 0);
+    const leagueAverage = results.length > 0 ? Math.max(0.1, totalScored / (results.length * 2)) : 0;
+    const identifiedResults = results.filter(result => result.teamA && result.teamB).length;
+    
+    const attack = {};
+    const defense = {};
+    teamKeys.forEach(key => {
+        attack[key] = 1;
+        defense[key] = 1;
+    });
+    const ratingOf = (ratings, key) => key ? ratings[key] : 1;
+    
+    // One side of the fit: update each team's rating from its goals and the opponents' opposite rating
+    const updateRatings = (ratings, opponentRatings, goalsFor) => {
+        const actual = {};
+        const expected = {};
+        teamKeys.forEach(key => {
+            actual[key] = SOS_PRIOR_MATCHES * leagueAverage;
+            expected[key] = SOS_PRIOR_MATCHES * leagueAverage;
         });
-    } else {
-        // Get scores from H2H matches
-        matchData.h2h.forEach(match => {
-            scores.push(match.team2Score);
-            if (match.outcome === `${team2Name} Wins`) {
-                results.push(1); // Win
-            } else if (match.outcome === 'Draw') {
-                results.push(0); // Draw
-            } else {
-                results.push(-1); // Loss
-            }
+        
+        results.forEach(result => {
+            [[result.teamA, result.teamB, result.scoreA, result.scoreB], [result.teamB, result.teamA, result.scoreB, result.scoreA]]
+                .forEach(([team, opponent, scored, conceded]) => {
+                    if (!team) return;
+                    actual[team] += goalsFor ? scored : conceded;
+                    expected[team] += ratingOf(opponentRatings, opponent) * leagueAverage;
+                });
         });
         
-        // Get scores from team2 matches
-        matchData.team2.forEach(match => {
-            scores.push(match.team2Score);
-            if (match.outcome === `${team2Name} Wins`) {
-                results.push(1); // Win
-            } else if (match.outcome === 'Draw') {
-                results.push(0); // Draw
-            } else {
-                results.push(-1); // Loss
-            }
+        let maxChange = 0;
+        teamKeys.forEach(key => {
+            const updated = actual[key] / expected[key];
+            maxChange = Math.max(maxChange, Math.abs(updated - ratings[key]));
+            ratings[key] = updated;
+        });
+        
+        // Keep the average team at 1.0
+        const mean = teamKeys.reduce((sum, key) => sum + ratings[key], 0) / teamKeys.length;
+        teamKeys.forEach(key => {
+            ratings[key] /= mean;
         });
+        
+        return maxChange;
+    };
+    
+    if (identifiedResults > 0 && leagueAverage > 0) {
+        for (let iteration = 0; iteration < SOS_MAX_ITERATIONS; iteration++) {
+            const attackChange = updateRatings(attack, defense, true);
+            const defenseChange = updateRatings(defense, attack, false);
+            if (Math.max(attackChange, defenseChange) < 1e-6) break;
+        }
     }
     
+    const teamRatings = key => ({
+        attack: key && attack[key] !== undefined ? attack[key] : 1,
+        defense: key && defense[key] !== undefined ? defense[key] : 1,
+        matches: results.filter(result => result.teamA === key || result.teamB === key).length
+    });
+    
+    return {
+        available: identifiedResults > 0 && leagueAverage > 0,
+        resultsUsed: results.length,
+        teamsRated: teamKeys.length,
+        leagueAverage,
+        team1: teamRatings(team1Key),
+        team2: teamRatings(team2Key)
+    };
+}
+
+// IMPROVED: Better consistency calculation with recency bias
+function calculateTeamConsistency(teamName, isTeam1) {
+    // Get all scores
+    let scores = [];
+    let results = []; // Win/Draw/Loss pattern
+    
+    // Collect in date order so the result-change pattern follows the real sequence of matches
+    getTeamPerspectiveMatches(isTeam1)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(match => {
+            scores.push(match.score);
+            results.push(Math.sign(match.score - match.opponentScore)); // Win 1, draw 0, loss -1
+        });
+    
     // If not enough data, return middle value
     if (scores.length < 3) return 0.5;
     
@@ -1312,8 +2857,8 @@ function calculateMomentumIndex(teamName, isTeam1) {
         match.outcome === teamWinString).length / teamMatches.length;
     
     // IMPROVED: Combine indicators with better weighting
-    const scoringMomentum = (recentAvgScore - overallAvgScore) / Math.max(0.5, overallAvgScore);
-    const goalDiffMomentum = recentGoalDiff - overallGoalDiff;
+    const scoringMomentum = (recentAvgScore - overallAvgScore) / Math.max(0.5 * getSportScoreScale(), overallAvgScore);
+    const goalDiffMomentum = (recentGoalDiff - overallGoalDiff) / getSportProfile().marginScale;
     const winMomentum = recentWinPct - overallWinPct;
     
     // IMPROVED: Weight win momentum more heavily as it's most predictive
@@ -1325,69 +2870,43 @@ function calculateMomentumIndex(teamName, isTeam1) {
 
 // IMPROVED: Enhanced home advantage calculation
 function calculateHomeAdvantage(teamName, isTeam1) {
-    // Get team's home and away performances
-    let homeMatches = [];
-    let awayMatches = [];
-    
     // Default home advantage if no data
     const defaultAdvantage = 1.0;
     
-    if (isTeam1) {
-        // Filter team1 matches by location
-        if (matchData.team1.length === 0) return defaultAdvantage;
-        
-        // Assume all team1 matches in team1 data are at home
-        homeMatches = matchData.team1;
-        
-        // Assume matches as team1 in h2h are away
-        awayMatches = matchData.h2h;
-    } else {
-        // Filter team2 matches by location
-        if (matchData.team2.length === 0) return defaultAdvantage;
-        
-        // Assume all team2 matches in team2 data are at home
-        homeMatches = matchData.team2;
-        
-        // Assume matches as team2 in h2h are away
-        awayMatches = matchData.h2h;
-    }
+    // Split the team's matches by venue. Matches without a recorded venue fall back to the
+    // old assumption: the team's own matches were at home and H2H matches were away.
+    const teamMatches = getTeamPerspectiveMatches(isTeam1).map(match => ({
+        ...match,
+        venue: match.venue || (match.match.category === 'h2h' ? 'away' : 'home')
+    }));
+    
+    const homeMatches = teamMatches.filter(match => match.venue === 'home');
+    const awayMatches = teamMatches.filter(match => match.venue === 'away');
     
     // If not enough data, return default
     if (homeMatches.length === 0) return defaultAdvantage;
     
     // IMPROVED: Calculate both win percentages and average goal difference
-    const teamWinString = isTeam1 ? `${team1Name} Wins` : `${team2Name} Wins`;
-    
     const homeWinPct = homeMatches.filter(match => 
-        match.outcome === teamWinString).length / homeMatches.length;
+        match.score > match.opponentScore).length / homeMatches.length;
     
     // IMPROVED: Better default away win percentage based on typical home field advantage
     let awayWinPct = 0.3; // Adjusted from 0.25 to 0.3
     
     if (awayMatches.length > 0) {
-        const awayWinString = isTeam1 ? 
-            `${team1Name} Wins` : // Team1 winning in H2H
-            `${team2Name} Wins`;  // Team2 winning in H2H
-            
         awayWinPct = awayMatches.filter(match => 
-            match.outcome === awayWinString).length / awayMatches.length;
+            match.score > match.opponentScore).length / awayMatches.length;
     }
     
     // IMPROVED: Also consider goal differences
-    const homeGoalDiff = homeMatches.reduce((sum, match) => {
-        return sum + (isTeam1 ? 
-            (match.team1Score - match.team2Score) : 
-            (match.team2Score - match.team1Score));
-    }, 0) / homeMatches.length;
+    const homeGoalDiff = homeMatches.reduce((sum, match) => 
+        sum + (match.score - match.opponentScore), 0) / homeMatches.length;
     
     let awayGoalDiff = -0.5; // Default away goal difference
     
     if (awayMatches.length > 0) {
-        awayGoalDiff = awayMatches.reduce((sum, match) => {
-            return sum + (isTeam1 ? 
-                (match.team1Score - match.team2Score) : 
-                (match.team2Score - match.team1Score));
-        }, 0) / awayMatches.length;
+        awayGoalDiff = awayMatches.reduce((sum, match) => 
+            sum + (match.score - match.opponentScore), 0) / awayMatches.length;
     }
     
     // IMPROVED: Calculate home advantage using both metrics
@@ -1407,13 +2926,7 @@ function calculateHomeAdvantage(teamName, isTeam1) {
 // IMPROVED: Better match importance performance calculation without random factors
 function calculateMatchImportancePerformance(teamName, isTeam1) {
     // Get team's matches
-    let teamMatches = [];
-    
-    if (isTeam1) {
-        teamMatches = [...matchData.h2h, ...matchData.team1];
-    } else {
-        teamMatches = [...matchData.h2h, ...matchData.team2];
-    }
+    const teamMatches = getTeamPerspectiveMatches(isTeam1);
     
     // If not enough data, use a default value
     if (teamMatches.length < 2) return 1.0;
@@ -1421,32 +2934,30 @@ function calculateMatchImportancePerformance(teamName, isTeam1) {
     // Get team consistency as a base factor
     const consistency = calculateTeamConsistency(teamName, isTeam1);
     
-    // Calculate performance in different situations based on goal differences
+    // Normalized performance for a match based on its result
+    const matchPerformance = match => {
+        const goalDiff = match.score - match.opponentScore;
+        return (goalDiff > 0) ? 1.2 : (goalDiff === 0 ? 1.0 : 0.8);
+    };
+    
+    // Weight each match by its competition importance, so friendlies count less than finals
     let totalPerformance = 0;
-    let matchCount = 0;
+    let totalImportance = 0;
     
-    // Use goal difference as a proxy for performance in competitive situations
     teamMatches.forEach(match => {
-        // Extract score data for this team (team1 vs team2 is handled differently)
-        let teamScore, opponentScore;
-        if (isTeam1) {
-            teamScore = match.team1Score;
-            opponentScore = match.team2Score;
-        } else {
-            teamScore = match.team2Score;
-            opponentScore = match.team1Score;
-        }
-        
-        // Calculate normalized performance for this match
-        const goalDiff = teamScore - opponentScore;
-        const performance = (goalDiff > 0) ? 1.2 : (goalDiff === 0 ? 1.0 : 0.8);
-        
-        totalPerformance += performance;
-        matchCount++;
+        totalPerformance += matchPerformance(match) * match.importance;
+        totalImportance += match.importance;
     });
     
-    // Calculate average performance and combine with consistency
-    const avgPerformance = matchCount > 0 ? totalPerformance / matchCount : 1.0;
+    let avgPerformance = totalImportance > 0 ? totalPerformance / totalImportance : 1.0;
+    
+    // When the team has played enough important matches, lean on how it did in those
+    const importantMatches = teamMatches.filter(match => match.importance > 1);
+    if (importantMatches.length >= 2) {
+        const importantPerformance = importantMatches.reduce((sum, match) => 
+            sum + matchPerformance(match), 0) / importantMatches.length;
+        avgPerformance = (avgPerformance * 0.5) + (importantPerformance * 0.5);
+    }
     
     // Teams with higher consistency tend to perform better in important matches
     // Weight both factors to get final importance performance value
@@ -1478,8 +2989,8 @@ function calculateScoringTrends() {
         let totalWeight = 0;
         let weightedSum = 0;
         
-        matches.forEach((match, index) => {
-            const weight = Math.pow(0.8, index); // Decay factor
+        matches.forEach(match => {
+            const weight = calculateRecencyWeight(match.timestamp, matches[0].timestamp, 0.8); // Decay factor
             weightedSum += valueFn(match) * weight;
             totalWeight += weight;
         });
@@ -1493,7 +3004,7 @@ function calculateScoringTrends() {
     
     const recentAvgTotal = calculateWeightedAverage(recentMatches, match => match.totalScore);
     
-    let historicalAvgTotal = 2.5; // Default if no historical data
+    let historicalAvgTotal = getSportProfile().averageTotal; // Default if no historical data
     
     if (historicalMatches.length > 0) {
         historicalAvgTotal = historicalMatches.reduce((sum, match) => 
@@ -1563,8 +3074,8 @@ function calculateCleanSheetStats() {
         let weightedCount = 0;
         let totalWeight = 0;
         
-        sortedMatches.forEach((match, index) => {
-            const weight = Math.pow(0.9, index); // 10% decay per match back in time
+        sortedMatches.forEach(match => {
+            const weight = calculateRecencyWeight(match.timestamp, sortedMatches[0].timestamp, 0.9); // 10% decay per match interval back in time
             if (checkFn(match)) {
                 weightedCount += weight;
             }
@@ -1619,9 +3130,9 @@ function calculateH2HAdvantage() {
     // Sort matches by timestamp (newest first)
     const sortedMatches = [...matchData.h2h].sort((a, b) => b.timestamp - a.timestamp);
     
-    sortedMatches.forEach((match, index) => {
+    sortedMatches.forEach(match => {
         // Apply steeper exponential decay to weight (more recent matches count more)
-        const weight = Math.exp(-0.2 * index); // Changed from -0.25 to -0.2 for slightly slower decay
+        const weight = calculateRecencyWeight(match.timestamp, sortedMatches[0].timestamp, Math.exp(-0.2)); // Changed from -0.25 to -0.2 for slightly slower decay
         
         if (match.outcome === `${team1Name} Wins`) {
             weightedAdvantage += weight;
@@ -1663,11 +3174,13 @@ function calculateTeamAverageConceded(teamName, isTeam1) {
         count++;
     });
     
-    return count > 0 ? sum / count : 1.5; // Default to 1.5 if no data
+    return count > 0 ? sum / count : 1.5 * getSportScoreScale(); // Default to 1.5 soccer goals if no data
 }
 
 // IMPROVED: Enhanced recent form calculation with better weighting
 function calculateRecentForm(teamName, isTeam1) {
+    const sport = getSportProfile();
+    
     // Get relevant matches
     let teamMatches = [];
     
@@ -1718,9 +3231,9 @@ function calculateRecentForm(teamName, isTeam1) {
     let formScore = 0;
     let totalWeight = 0;
     
-    teamMatches.forEach((match, index) => {
+    teamMatches.forEach(match => {
         // Apply steeper recency weight (most recent match has higher weight)
-        const recencyWeight = Math.pow(0.75, index); // Changed from 0.85 to 0.75 for steeper dropoff
+        const recencyWeight = calculateRecencyWeight(match.timestamp, teamMatches[0].timestamp, 0.75); // Changed from 0.85 to 0.75 for steeper dropoff
         
         // Calculate performance score for this match
         let matchScore = 0;
@@ -1730,7 +3243,7 @@ function calculateRecentForm(teamName, isTeam1) {
             matchScore = 3;
             
             // IMPROVED: Bonus for margin of victory with diminishing returns
-            const margin = match.score - match.opponentScore;
+            const margin = (match.score - match.opponentScore) / sport.marginScale;
             matchScore += Math.min(0.7, margin * 0.15); // Changed from 0.5/0.1 to 0.7/0.15
             
             // Bonus for clean sheet
@@ -1740,15 +3253,15 @@ function calculateRecentForm(teamName, isTeam1) {
             matchScore = 1;
             
             // Slightly higher score for high-scoring draws
-            if (match.score + match.opponentScore >= 4) matchScore += 0.3; // Increased from 0.2 to 0.3
+            if (match.score + match.opponentScore >= sport.averageTotal + 1.5 * sport.marginScale) matchScore += 0.3; // Increased from 0.2 to 0.3
         } else {
             // Base score for loss (0)
             
             // Small consolation for scoring goals in a loss
-            if (match.score >= 2) matchScore += 0.4; // Increased from 0.3 to 0.4
+            if (match.score >= sport.averageTeamScore + 0.7 * sport.marginScale) matchScore += 0.4; // Increased from 0.3 to 0.4
             
             // Small consolation for close losses
-            if (match.opponentScore - match.score === 1) matchScore += 0.3; // Increased from 0.2 to 0.3
+            if (match.opponentScore - match.score <= sport.marginScale) matchScore += 0.3; // Increased from 0.2 to 0.3
         }
         
         // Add weighted score to total
@@ -1799,76 +3312,36 @@ function calculateOverallTeamAverage(teamName, isTeam1) {
         count++;
     });
     
-    return count > 0 ? sum / count : 1.5; // Default to 1.5 if no data
+    return count > 0 ? sum / count : 1.5 * getSportScoreScale(); // Default to 1.5 soccer goals if no data
 }
 
-// IMPROVED: Enhanced score distribution with better handling of correlated outcomes
-function generateScoreDistribution(projectedTotal, projectedMargin) {
-    // Calculate mean goals for each team
-    const team1Mean = (projectedTotal / 2) + (projectedMargin / 2);
-    const team2Mean = (projectedTotal / 2) - (projectedMargin / 2);
-    
-    // Generate score probabilities using Poisson distribution
-    const scoreDistribution = [];
-    
-    // Generate probabilities for scores 0-0 to 4-4
-    for (let team1Score = 0; team1Score <= 4; team1Score++) {
-        for (let team2Score = 0; team2Score <= 4; team2Score++) {
-            const team1Prob = poissonProbability(team1Score, team1Mean);
-            const team2Prob = poissonProbability(team2Score, team2Mean);
-            
-            // Base probability (independent events)
-            let combinedProb = team1Prob * team2Prob;
-            
-            // IMPROVED: Apply correlation adjustments based on game dynamics
-            
-            // 1. Score correlation - scores aren't strictly independent
-            if (team1Score === team2Score) {
-                // Draws are slightly more common than independent probability suggests
-                combinedProb *= 1.3; // Increased from 1.2 to 1.3
-            }
-            
-            // 2. Defensive correlation - 0-0 is more likely for low-scoring games
-            if (team1Score === 0 && team2Score === 0 && projectedTotal < 2.0) {
-                combinedProb *= 1.7; // Increased from 1.5 to 1.7
-            }
-            
-            // 3. Scoring correlation - high/high and low/low scores are more correlated
-            if ((team1Score >= 3 && team2Score >= 2) || (team1Score >= 2 && team2Score >= 3)) {
-                // High scoring games tend to be high for both teams
-                combinedProb *= 1.2; // New adjustment
-            }
-            
-            // 4. Adjust for very high scoring games being less likely than Poisson suggests
-            if (team1Score + team2Score > 6) {
-                combinedProb *= 0.7; // Changed from 0.8 to 0.7
-            }
-            
-            // 5. Common scorelines adjustment
-            if ((team1Score === 1 && team2Score === 0) || 
-                (team1Score === 0 && team2Score === 1) || 
-                (team1Score === 1 && team2Score === 1) || 
-                (team1Score === 2 && team2Score === 1) || 
-                (team1Score === 1 && team2Score === 2)) {
-                // Most common scorelines in football/soccer
-                combinedProb *= 1.15; // New adjustment
-            }
-            
-            scoreDistribution.push({
-                team1Score,
-                team2Score,
-                probability: combinedProb * 100 // Convert to percentage
-            });
-        }
-    }
-    
-    // Normalize probabilities to ensure they sum to 100%
-    const totalProb = scoreDistribution.reduce((sum, dist) => sum + dist.probability, 0);
-    
-    scoreDistribution.forEach(dist => {
-        dist.probability = (dist.probability / totalProb) * 100;
+// Score distribution for the chart: the most common scorelines from the score matrix, plus "Other".
+// High-scoring sports group scores into bands of `bucket` (each entry gives the lower end of its bands).
+function generateScoreDistribution(scoreMatrix, bucket = getSportProfile().scoreBucket) {
+    const bands = {};
+    
+    scoreMatrix.forEach((row, team1Score) => {
+        row.forEach((probability, team2Score) => {
+            if (probability === 0) return;
+            const key = `${Math.floor(team1Score / bucket)}|${Math.floor(team2Score / bucket)}`;
+            bands[key] = (bands[key] || 0) + probability;
+        });
     });
     
+    // The 25 likeliest scorelines (or bands), straight from the score matrix
+    const scoreDistribution = Object.entries(bands)
+        .map(([key, probability]) => {
+            const [team1Band, team2Band] = key.split('|').map(Number);
+            return {
+                team1Score: team1Band * bucket,
+                team2Score: team2Band * bucket,
+                bucket,
+                probability: probability * 100 // Convert to percentage
+            };
+        })
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, 25);
+    
     // Add "Other" category for all other scores
     const otherProb = Math.max(0, 100 - scoreDistribution.reduce((sum, dist) => sum + dist.probability, 0));
     
@@ -1905,7 +3378,7 @@ function poissonProbability(k, lambda) {
 function calculateFeatureImportance(features) {
     // Calculate importance scores based on data availability and feature values
     let importance = {
-        'Head-to-Head History': features.dataQuality.h2hMatches >= MIN_H2H_MATCHES ? 
+        'Head-to-Head History': features.dataQuality.h2hMatches >= features.dataQuality.minH2HMatches ? 
             Math.abs(features.basicStats.h2hAdvantage) * 100 + 15 : 30, // Added base importance
         
         'Recent Form': 
@@ -1927,7 +3400,8 @@ function calculateFeatureImportance(features) {
             Math.abs(features.basicStats.matchImportance - 1) * 55 + 10 : 20, // Increased from 50 to 55
         
         'Team Ranking': features.basicStats.rankingDiff !== 0 ?
-            Math.abs(features.basicStats.rankingDiff) * 3.2 + 10 : 20, // Increased multiplier from 3 to 3.2
+            Math.abs(features.basicStats.rankingDiff) * 3.2 + 10 : 
+            (features.basicStats.ratingDiff ? Math.abs(features.basicStats.ratingDiff) * 0.15 + 10 : 20), // Rating points are ~20x finer than ranks
         
         'Scoring Trends':
             Math.abs(features.trends.scoring.team1Trend - features.trends.scoring.team2Trend) * 45 + 10 // Increased from 40 to 45
@@ -1963,77 +3437,25 @@ function calculateFeatureImportance(features) {
     return sortedImportance;
 }
 
-// IMPROVED: Enhanced over/under recommendation with more precise thresholds
-function calculateOverUnderRecommendation(overUnderEdge, projectedTotal) {
+// Over/under recommendation: the side with the higher expected value at its price
+function calculateOverUnderRecommendation(totalMarket) {
     if (totalLine <= 0) return "NO LINE SET";
     
-    // IMPROVED: More precise edge thresholds based on line size
-    // Lines around 2.0-2.5 are more reliable than very high or very low lines
-    const lineQualityFactor = 1.0 - (Math.abs(totalLine - 2.5) * 0.1);
-    
-    // Adjust edge thresholds based on line quality
-    const STRONG_EDGE_THRESHOLD = 7.5 * lineQualityFactor;
-    const MODERATE_EDGE_THRESHOLD = 4.5 * lineQualityFactor;
-    
-    if (overUnderEdge > STRONG_EDGE_THRESHOLD) {
-        // Strong over recommendation
-        return `STRONG OVER ${totalLine}`;
-    } else if (overUnderEdge > MODERATE_EDGE_THRESHOLD) {
-        // Moderate over recommendation
-        return `OVER ${totalLine}`;
-    } else if (overUnderEdge < -STRONG_EDGE_THRESHOLD) {
-        // Strong under recommendation
-        return `STRONG UNDER ${totalLine}`;
-    } else if (overUnderEdge < -MODERATE_EDGE_THRESHOLD) {
-        // Moderate under recommendation
-        return `UNDER ${totalLine}`;
-    } else {
-        return 'NO CLEAR EDGE';
-    }
+    return recommendByExpectedValue(totalMarket);
 }
 
-function calculateSpreadRecommendation(spreadEdge, projectedMargin) {
-    if (pointSpread <= 0) return "NO SPREAD SET";
-    
-    // FIXED: Special case for draws or very close matches
-    if (Math.abs(projectedMargin) < 0.3) {
-        return 'NO CLEAR EDGE'; // For draws, don't give strong recommendations
-    }
+// Spread recommendation: the side with the higher expected value at its price
+function calculateSpreadRecommendation(spreadMarket) {
+    if (spreadHandicap === null) return "NO SPREAD SET";
     
-    // Adjust edge thresholds based on spread size
-    const spreadQualityFactor = 1.0 - (Math.max(0, 3.0 - pointSpread) * 0.1);
-    
-    // Adjust thresholds dynamically
-    const STRONG_EDGE_THRESHOLD = 7.0 * spreadQualityFactor;
-    const MODERATE_EDGE_THRESHOLD = 4.0 * spreadQualityFactor;
-    
-    // Formatted team names with spread
-    const favoriteTeam = spreadDirection === 'team1' ? team1Name : team2Name;
-    const underdogTeam = spreadDirection === 'team1' ? team2Name : team1Name;
-    const favoriteSpread = `${favoriteTeam} -${pointSpread}`;
-    const underdogSpread = `${underdogTeam} +${pointSpread}`;
-    
-    if (spreadEdge > STRONG_EDGE_THRESHOLD) {
-        // Strong recommendation for favorite to cover
-        return `STRONG ${favoriteSpread}`;
-    } else if (spreadEdge > MODERATE_EDGE_THRESHOLD) {
-        // Moderate recommendation for favorite to cover
-        return favoriteSpread;
-    } else if (spreadEdge < -STRONG_EDGE_THRESHOLD) {
-        // Strong recommendation for underdog to cover
-        return `STRONG ${underdogSpread}`;
-    } else if (spreadEdge < -MODERATE_EDGE_THRESHOLD) {
-        // Moderate recommendation for underdog to cover
-        return underdogSpread;
-    } else {
-        return 'NO CLEAR EDGE';
-    }
+    return recommendByExpectedValue(spreadMarket);
 }
 
 // UI UPDATE FUNCTIONS
 // =============================
 // Update winner prediction UI
-function updateWinnerPrediction(probabilities) {
+function updateWinnerPrediction(probabilities, scoreModel) {
+    const sport = getSportProfile();
     let winnerName, winnerProb, loserName, loserProb;
     
     if (probabilities.team1WinProb > probabilities.team2WinProb && 
@@ -2082,54 +3504,57 @@ function updateWinnerPrediction(probabilities) {
                 <div class="probability-bar" style="width: ${probabilities.team2WinProb}%"></div>
             </div>
         </div>
-        <div class="draw-probability ${winnerName === 'Draw' ? 'winner' : ''}">
-            <span class="material-symbols-outlined">balance</span>
-            Draw probability: ${probabilities.drawProb.toFixed(1)}%
-            <div class="probability-bar" style="width: ${probabilities.drawProb}%"></div>
-        </div>
+        ${sport.drawsPossible ? `
+            <div class="draw-probability ${winnerName === 'Draw' ? 'winner' : ''}">
+                <span class="material-symbols-outlined">balance</span>
+                Draw probability: ${probabilities.drawProb.toFixed(1)}%
+                <div class="probability-bar" style="width: ${probabilities.drawProb}%"></div>
+            </div>
+        ` : `
+            <div class="draw-probability">
+                <span class="material-symbols-outlined">more_time</span>
+                Level after regulation (decided in ${sport.overtime.label}): ${((scoreModel && scoreModel.overtimeProbability || 0) * 100).toFixed(1)}%
+            </div>
+        `}
     `;
     
     document.getElementById('winner-prediction').innerHTML = winnerPredictionHTML;
 }
 
 // Update score prediction UI
-function updateScorePrediction(team1Score, team2Score, projectedTotal, totalLine) {
+function updateScorePrediction(team1Score, team2Score, projectedTotal, totalMarket) {
+    const sport = getSportProfile();
+    const { marginScale } = sport;
+    
     // Calculate most likely outcome description
     let outcomeDescription = "";
     
-    if (team1Score > team2Score + 2) {
+    if (team1Score > team2Score + 2 * marginScale) {
         outcomeDescription = `<strong>Comfortable ${team1Name} victory</strong>`;
     } else if (team1Score > team2Score) {
         outcomeDescription = `<strong>Narrow ${team1Name} win</strong>`;
-    } else if (team2Score > team1Score + 2) {
+    } else if (team2Score > team1Score + 2 * marginScale) {
         outcomeDescription = `<strong>Comfortable ${team2Name} victory</strong>`;
     } else if (team2Score > team1Score) {
         outcomeDescription = `<strong>Narrow ${team2Name} win</strong>`;
     } else {
-        outcomeDescription = `<strong>Competitive draw</strong>`;
+        outcomeDescription = sport.drawsPossible ? `<strong>Competitive draw</strong>` : `<strong>Too close to call: ${sport.overtime.label} likely</strong>`;
     }
     
-    // Calculate over/under indicator
+    // Over/under indicator: the side with the expected value at its price, not the projection's gap to the line
     let overUnderIndicator = "";
-    if (totalLine > 0) {
-        const diff = projectedTotal - totalLine;
-        if (diff > 0.7) {
-            overUnderIndicator = `<span class="positive-recommendation">STRONG OVER ${totalLine}</span>`;
-        } else if (diff > 0.3) {
-            overUnderIndicator = `<span class="positive-recommendation">OVER ${totalLine}</span>`;
-        } else if (diff < -0.7) {
-            overUnderIndicator = `<span class="negative-recommendation">STRONG UNDER ${totalLine}</span>`;
-        } else if (diff < -0.3) {
-            overUnderIndicator = `<span class="negative-recommendation">UNDER ${totalLine}</span>`;
-        } else {
-            overUnderIndicator = `<span class="neutral-recommendation">CLOSE TO LINE ${totalLine}</span>`;
-        }
+    if (totalMarket) {
+        const recommendation = recommendByExpectedValue(totalMarket);
+        const indicatorClass = totalMarket.best && totalMarket.best.expectedValue >= LINE_VALUE_THRESHOLDS.MODERATE ?
+            'positive-recommendation' : 'neutral-recommendation';
+        overUnderIndicator = `<span class="${indicatorClass}">${recommendation} (line ${totalMarket.line})</span>`;
     }
     
     // Generate score explanation
-    const scoringRate = (team1Score + team2Score).toFixed(1);
-    const scoringExplanation = scoringRate >= 3.5 ? "High scoring" : 
-                             (scoringRate >= 2.5 ? "Average scoring" : "Low scoring");
+    const scoringRate = team1Score + team2Score;
+    const scoringExplanation = scoringRate >= sport.averageTotal + marginScale ? "High scoring" : 
+                             (scoringRate >= sport.averageTotal ? "Average scoring" : "Low scoring");
+    const levelExpectation = sport.drawsPossible ? 'draw' : `go to ${sport.overtime.label}`;
     
     const scorePredictionHTML = `
         <div class="predicted-score">
@@ -2138,16 +3563,16 @@ function updateScorePrediction(team1Score, team2Score, projectedTotal, totalLine
         </div>
         <div class="score-explanation">
             <div><strong>${scoringExplanation} match</strong> with projected total: ${projectedTotal.toFixed(1)}</div>
-            ${totalLine > 0 ? `<div>${overUnderIndicator}</div>` : ''}
+            ${totalMarket ? `<div>${overUnderIndicator}</div>` : ''}
         </div>
         <div class="projection-details">
             <div class="team-score-projection">
-                <strong>${team1Name}:</strong> ${team1Score} goals
-                <div class="score-expectation">Expected to ${team1Score > team2Score ? 'win' : (team1Score === team2Score ? 'draw' : 'lose')}</div>
+                <strong>${team1Name}:</strong> ${team1Score} ${formatScoreUnit(team1Score, sport)}
+                <div class="score-expectation">Expected to ${team1Score > team2Score ? 'win' : (team1Score === team2Score ? levelExpectation : 'lose')}</div>
             </div>
             <div class="team-score-projection">
-                <strong>${team2Name}:</strong> ${team2Score} goals
-                <div class="score-expectation">Expected to ${team2Score > team1Score ? 'win' : (team2Score === team1Score ? 'draw' : 'lose')}</div>
+                <strong>${team2Name}:</strong> ${team2Score} ${formatScoreUnit(team2Score, sport)}
+                <div class="score-expectation">Expected to ${team2Score > team1Score ? 'win' : (team2Score === team1Score ? levelExpectation : 'lose')}</div>
             </div>
         </div>
     `;
@@ -2156,82 +3581,73 @@ function updateScorePrediction(team1Score, team2Score, projectedTotal, totalLine
 }
 
 // Update betting recommendation UI
-function updateBettingRecommendation(totalRec, spreadRec, overUnderEdge, spreadEdge) {
-    // Format edge strength
-    const totalEdgeClass = totalLine > 0 ? 
-        (overUnderEdge > 5 ? 'positive-recommendation' : (overUnderEdge < -5 ? 'negative-recommendation' : 'neutral-recommendation')) : 
-        'neutral-recommendation';
-    
-    const spreadEdgeClass = pointSpread > 0 ? 
-        (spreadEdge > 5 ? 'positive-recommendation' : (spreadEdge < -5 ? 'negative-recommendation' : 'neutral-recommendation')) : 
-        'neutral-recommendation';
-    
-    // Edge strength description
-    const edgeStrengthTotal = totalLine > 0 ? 
-        (Math.abs(overUnderEdge) > 10 ? 'Strong' : (Math.abs(overUnderEdge) > 5 ? 'Moderate' : 'Weak')) : 
-        '';
-    
-    const edgeStrengthSpread = pointSpread > 0 ? 
-        (Math.abs(spreadEdge) > 10 ? 'Strong' : (Math.abs(spreadEdge) > 5 ? 'Moderate' : 'Weak')) : 
-        '';
-    
-    // Value rating (1-5 stars)
-    const totalValueStars = totalLine > 0 ? 
-        Math.max(1, Math.min(5, Math.round(Math.abs(overUnderEdge) / 3))) : 0;
-        
-    const spreadValueStars = pointSpread > 0 ? 
-        Math.max(1, Math.min(5, Math.round(Math.abs(spreadEdge) / 3))) : 0;
-    
-    // Generate star ratings
-    const totalStarsHTML = totalValueStars > 0 ? 
-        '<span class="value-stars">' + '★'.repeat(totalValueStars) + '☆'.repeat(5 - totalValueStars) + '</span>' : '';
-        
-    const spreadStarsHTML = spreadValueStars > 0 ? 
-        '<span class="value-stars">' + '★'.repeat(spreadValueStars) + '☆'.repeat(5 - spreadValueStars) + '</span>' : '';
+function updateBettingRecommendation(totalRec, spreadRec, totalMarket, spreadMarket, moneyline) {
+    // Classes follow the expected value of the recommended side
+    const valueClass = market => market && market.best && market.best.expectedValue >= LINE_VALUE_THRESHOLDS.MODERATE ? 
+        'positive-recommendation' : 'neutral-recommendation';
+    
+    // Value rating (1-5 stars, one per 2% of expected value)
+    const starsHTML = market => {
+        const stars = Math.max(1, Math.min(5, Math.round(market.best.expectedValue / 2)));
+        return '<span class="value-stars">' + '★'.repeat(stars) + '☆'.repeat(5 - stars) + '</span>';
+    };
     
-    // Winning percentage estimation
-    const totalWinPct = totalLine > 0 ? 
-        Math.min(95, Math.max(50, 50 + Math.abs(overUnderEdge) * 1.5)) : 0;
-        
-    const spreadWinPct = pointSpread > 0 ? 
-        Math.min(95, Math.max(50, 50 + Math.abs(spreadEdge) * 1.5)) : 0;
+    const marketHTML = (market, recommendation, marketType) => market ? `
+        ${recommendation.startsWith('NO') ? '' :
+            generateStakeHTML(market.best) + generateRecordBetButtonHTML(marketType) + generateParlayButtonHTML(marketType)}
+        ${market.best ? `
+        <div class="advice-edge">
+            Expected Value: ${formatSignedPercent(market.best.expectedValue)} ${market.best.expectedValue > 0 ? starsHTML(market) : ''}
+        </div>
+        <div class="win-probability">
+            Cover Probability: ${describeCoverProbability(market.best)}
+        </div>` : `
+        <div class="advice-edge">Enter a price to compare it with the fair odds</div>`}
+        ${generateLineMarketTableHTML(market)}
+    ` : '';
+    
+    // Rank every bet with an entered price by expected value; the best one is only shown when it has value
+    const candidates = [
+        totalMarket && totalMarket.best && { recommendation: totalRec, ...totalMarket.best },
+        spreadMarket && spreadMarket.best && { recommendation: spreadRec, ...spreadMarket.best },
+        moneyline && (() => {
+            const best = getBestMoneylineOutcome(moneyline);
+            return {
+                recommendation: `${best.label} @ ${formatOdds(best.odds)}`,
+                probability: best.modelProbability,
+                pushProbability: 0,
+                odds: best.odds,
+                expectedValue: best.expectedValue
+            };
+        })()
+    ].filter(Boolean).sort((a, b) => b.expectedValue - a.expectedValue);
+    const bestBet = candidates.find(candidate => candidate.expectedValue >= LINE_VALUE_THRESHOLDS.MODERATE);
     
     const bettingRecommendationHTML = `
         <div class="betting-advice">
-            <div class="advice-label">Total Line ${totalLine > 0 ? `(${totalLine})` : ''}</div>
-            <div class="advice-value ${totalEdgeClass}">${totalRec}</div>
-            ${totalLine > 0 ? `
-                <div class="advice-edge">
-                    ${edgeStrengthTotal} Edge: ${Math.abs(overUnderEdge).toFixed(1)}% ${totalStarsHTML}
-                </div>
-                <div class="win-probability">
-                    Est. Win Probability: ${totalWinPct.toFixed(0)}%
-                </div>
-            ` : ''}
+            <div class="advice-label">Total Line ${totalMarket ? `(${totalMarket.line})` : ''}</div>
+            <div class="advice-value ${valueClass(totalMarket)}">${totalRec}</div>
+            ${marketHTML(totalMarket, totalRec, 'total')}
         </div>
         
         <div class="betting-advice">
-            <div class="advice-label">Spread ${pointSpread > 0 ? `(${formatSpreadForDisplay()})` : ''}</div>
-            <div class="advice-value ${spreadEdgeClass}">${spreadRec}</div>
-            ${pointSpread > 0 ? `
-                <div class="advice-edge">
-                    ${edgeStrengthSpread} Edge: ${Math.abs(spreadEdge).toFixed(1)}% ${spreadStarsHTML}
-                </div>
-                <div class="win-probability">
-                    Est. Win Probability: ${spreadWinPct.toFixed(0)}%
-                </div>
-            ` : ''}
+            <div class="advice-label">Spread ${spreadMarket ? `(${formatSpreadForDisplay()})` : ''}</div>
+            <div class="advice-value ${valueClass(spreadMarket)}">${spreadRec}</div>
+            ${marketHTML(spreadMarket, spreadRec, 'spread')}
         </div>
         
-        ${(totalLine > 0 || pointSpread > 0) ? `
+        ${moneyline ? generateMoneylineAdviceHTML(moneyline) : ''}
+        
+        ${candidates.length > 0 ? `
         <div class="best-bet">
             <div class="best-bet-label">Best Bet:</div>
-            <div class="best-bet-value ${Math.abs(overUnderEdge) > Math.abs(spreadEdge) ? totalEdgeClass : spreadEdgeClass}">
-                ${Math.abs(overUnderEdge) > Math.abs(spreadEdge) ? 
-                  `${totalRec} ${totalLine}` : 
-                  spreadRec}
+            <div class="best-bet-value ${bestBet ? 'positive-recommendation' : 'neutral-recommendation'}">
+                ${bestBet ? escapeHtml(bestBet.recommendation) : 'NO BET'}
                 <div class="best-bet-confidence">
-                    Confidence: ${Math.max(totalWinPct, spreadWinPct).toFixed(0)}%
+                    ${bestBet ? 
+                      `Expected value: ${formatSignedPercent(bestBet.expectedValue)} · Win probability: ${bestBet.probability.toFixed(0)}%` +
+                      ` · Stake: ${formatStake(calculateStake(bestBet))}` : 
+                      `No bet reaches ${LINE_VALUE_THRESHOLDS.MODERATE}% expected value at these prices`}
                 </div>
             </div>
         </div>` : ''}
@@ -2240,18 +3656,15 @@ function updateBettingRecommendation(totalRec, spreadRec, overUnderEdge, spreadE
     document.getElementById('betting-recommendation').innerHTML = bettingRecommendationHTML;
 }
 
-// Format point spread for display
+// Format the handicap for display, e.g. "Liverpool -0.75 / Chelsea +0.75"
 function formatSpreadForDisplay() {
-    if (pointSpread <= 0) return '';
+    if (spreadHandicap === null) return '';
     
-    const favoredTeam = spreadDirection === 'team1' ? team1Name : team2Name;
-    const underdogTeam = spreadDirection === 'team1' ? team2Name : team1Name;
-    
-    return `${favoredTeam} -${pointSpread} / ${underdogTeam} +${pointSpread}`;
+    return `${team1Name} ${formatHandicap(spreadHandicap)} / ${team2Name} ${formatHandicap(-spreadHandicap)}`;
 }
 
 // IMPROVED: Enhanced analysis explanation with more detail and better clarity
-function updateAnalysisExplanation(probabilities, projectedTotal, projectedMargin, team1Score, team2Score, features) {
+function updateAnalysisExplanation(probabilities, projectedTotal, projectedMargin, team1Score, team2Score, features, scoreModel, calibration, modelProfile, totalMarket, spreadMarket) {
     // Determine the predicted winner
     let winnerName, winnerProb;
     
@@ -2292,29 +3705,35 @@ function updateAnalysisExplanation(probabilities, projectedTotal, projectedMargi
     const insights = generateMatchInsights(features, projectedMargin, projectedTotal);
     
     // Generate match-specific factors
-    const matchFactors = generateMatchFactors(features);
+    const matchFactors = generateMatchFactors(features, scoreModel, calibration, modelProfile);
     
     // Generate betting analysis
+    const sport = getSportProfile();
     let bettingAnalysisHtml = "";
     
-    if (totalLine > 0 || pointSpread > 0) {
+    if (totalMarket || spreadMarket) {
+        const [over, under] = totalMarket ? totalMarket.sides : [];
+        const [team1Side, team2Side] = spreadMarket ? spreadMarket.sides : [];
+        const pushText = market => market.sides[0].pushProbability > 0 ? 
+            ` A push (stake returned) has a ${market.sides[0].pushProbability.toFixed(1)}% probability.` : '';
+        const valueText = side => side.odds ? `${formatSignedPercent(side.expectedValue)} at ${formatOdds(side.odds)}` :
+            `not priced (fair odds ${side.fairOdds ? formatOdds(side.fairOdds) : '–'})`;
+        
         bettingAnalysisHtml = `
             <h4>Betting Analysis:</h4>
-            ${totalLine > 0 ? `
-                <p>With a projected total score of ${projectedTotal.toFixed(1)}, the model suggests the match will likely go 
-                ${projectedTotal > totalLine ? 'OVER' : 'UNDER'} the total line of ${totalLine}.</p>
-                <p>Model data indicates a ${Math.min(95, Math.max(55, 55 + Math.abs(projectedTotal - totalLine) * 10)).toFixed(0)}% 
-                confidence in the ${projectedTotal > totalLine ? 'OVER' : 'UNDER'} prediction.</p>
+            ${totalMarket ? `
+                <p>With a projected total score of ${projectedTotal.toFixed(1)}, the score distribution gives the OVER ${totalMarket.line} 
+                a ${over.probability.toFixed(1)}% probability and the UNDER ${under.probability.toFixed(1)}%.${pushText(totalMarket)}</p>
+                <p>Expected value: ${valueText(over)} for the over and ${valueText(under)} for the under.</p>
             ` : ''}
             
-            ${pointSpread > 0 ? `
-                <p>The projected margin of ${Math.abs(projectedMargin).toFixed(1)} goals in favor of 
-                ${projectedMargin > 0 ? team1Name : team2Name} 
-                ${Math.abs(projectedMargin) > pointSpread ? 'suggests they will cover' : 'may not be enough to cover'} 
-                the point spread of ${pointSpread}.</p>
-                <p>Historical data shows that in similar matchups, the favorite covers the spread 
-                ${Math.min(90, Math.max(50, 50 + Math.abs(projectedMargin - pointSpread) * 5)).toFixed(0)}% of the time
-                under these conditions.</p>
+            ${spreadMarket ? `
+                <p>The projected margin of ${Math.abs(projectedMargin).toFixed(1)} ${sport.unitPlural} in favor of 
+                ${projectedMargin > 0 ? team1Name : team2Name} gives ${escapeHtml(team1Side.label)} a ${describeCoverProbability(team1Side)} 
+                probability to cover and ${escapeHtml(team2Side.label)} ${describeCoverProbability(team2Side)}.
+                ${spreadMarket.quarterLine ? 'On a quarter line half the stake is settled on each neighbouring line, so a bet can be half won or half lost.' : ''}</p>
+                <p>Expected value: ${valueText(team1Side)} for ${escapeHtml(team1Side.label)} and ${valueText(team2Side)} 
+                for ${escapeHtml(team2Side.label)}.</p>
             ` : ''}
         `;
     } else {
@@ -2377,12 +3796,14 @@ function updateAnalysisExplanation(probabilities, projectedTotal, projectedMargi
 // IMPROVED: Enhanced match insights generation with better clarity
 function generateMatchInsights(features, projectedMargin, projectedTotal) {
     const insights = [];
+    const sport = getSportProfile();
+    const { marginScale, unitPlural } = sport;
     
     // Extract commonly used values from features
     const { 
         basicStats: { 
             team1AvgScore, team2AvgScore, h2hAdvantage, locationFactor,
-            rankingDiff, matchImportance 
+            rankingDiff, ratingDiff, matchImportance 
         },
         advancedStats: {
             team1RecentForm, team2RecentForm, team1Consistency, team2Consistency,
@@ -2428,21 +3849,21 @@ function generateMatchInsights(features, projectedMargin, projectedTotal) {
     }
     
     // Scoring trends insights with more clarity
-    if (Math.abs(scoringTrends.overallTrend) > 0.3) {
+    if (Math.abs(scoringTrends.overallTrend) > 0.3 * marginScale) {
         if (scoringTrends.overallTrend > 0) {
-            insights.push(`Recent matches show increasing scoring trends (+${scoringTrends.overallTrend.toFixed(1)} goals above average)`);
+            insights.push(`Recent matches show increasing scoring trends (+${scoringTrends.overallTrend.toFixed(1)} ${unitPlural} above average)`);
         } else {
-            insights.push(`Recent matches show decreasing scoring trends (${scoringTrends.overallTrend.toFixed(1)} goals below average)`);
+            insights.push(`Recent matches show decreasing scoring trends (${scoringTrends.overallTrend.toFixed(1)} ${unitPlural} below average)`);
         }
     }
     
-    // Clean sheet insights with more specificity
-    if (cleanSheetStats.team1CleanSheetPct > 40 || cleanSheetStats.team2CleanSheetPct > 40) {
+    // Clean sheet insights with more specificity (only for sports where holding a team scoreless happens)
+    if (sport.shutoutLabel && (cleanSheetStats.team1CleanSheetPct > 40 || cleanSheetStats.team2CleanSheetPct > 40)) {
         const betterDefenseTeam = cleanSheetStats.team1CleanSheetPct > cleanSheetStats.team2CleanSheetPct ? 
             team1Name : team2Name;
         const cleanSheetPct = Math.max(cleanSheetStats.team1CleanSheetPct, cleanSheetStats.team2CleanSheetPct);
         
-        insights.push(`${betterDefenseTeam} has strong defensive record with ${cleanSheetPct.toFixed(0)}% clean sheet rate`);
+        insights.push(`${betterDefenseTeam} has strong defensive record with ${cleanSheetPct.toFixed(0)}% ${sport.shutoutLabel} rate`);
     }
     
     // Consistency insights with more detail
@@ -2463,21 +3884,25 @@ function generateMatchInsights(features, projectedMargin, projectedTotal) {
         const higherRankedTeam = rankingDiff < 0 ? team1Name : team2Name;
         const rankingEdge = (5 / Math.abs(rankingDiff)) * 100;
         insights.push(`${higherRankedTeam} has a significant ranking advantage (approximately ${rankingEdge.toFixed(0)}% edge)`);
+    } else if (Math.abs(ratingDiff) > 100) {
+        const higherRatedTeam = ratingDiff > 0 ? team1Name : team2Name;
+        const expectedResult = 100 / (1 + Math.pow(10, -Math.abs(ratingDiff) / 400));
+        insights.push(`${higherRatedTeam} is rated ${Math.abs(ratingDiff).toFixed(0)} points higher (expected result ${expectedResult.toFixed(0)}% on ratings alone)`);
     }
     
     // Total score insights with more detail
-    if (projectedTotal > 3.5) {
-        insights.push(`Model predicts a high-scoring match with ${projectedTotal.toFixed(1)} total goals`);
-    } else if (projectedTotal < 2) {
-        insights.push(`Model predicts a low-scoring match with ${projectedTotal.toFixed(1)} total goals`);
+    if (projectedTotal > sport.averageTotal + marginScale) {
+        insights.push(`Model predicts a high-scoring match with ${projectedTotal.toFixed(1)} total ${unitPlural}`);
+    } else if (projectedTotal < sport.averageTotal - 0.5 * marginScale) {
+        insights.push(`Model predicts a low-scoring match with ${projectedTotal.toFixed(1)} total ${unitPlural}`);
     }
     
     // IMPROVED: Add insight about projected margin
-    if (Math.abs(projectedMargin) > 1.5) {
+    if (Math.abs(projectedMargin) > 1.5 * marginScale) {
         const dominantTeam = projectedMargin > 0 ? team1Name : team2Name;
-        insights.push(`Model projects a significant margin of victory for ${dominantTeam} (${Math.abs(projectedMargin).toFixed(1)} goals)`);
-    } else if (Math.abs(projectedMargin) < 0.5) {
-        insights.push(`Model projects a very close match with minimal goal difference`);
+        insights.push(`Model projects a significant margin of victory for ${dominantTeam} (${Math.abs(projectedMargin).toFixed(1)} ${unitPlural})`);
+    } else if (Math.abs(projectedMargin) < 0.5 * marginScale) {
+        insights.push(`Model projects a very close match with minimal ${sport.unit} difference`);
     }
     
     // Return a maximum of 6 insights
@@ -2485,8 +3910,9 @@ function generateMatchInsights(features, projectedMargin, projectedTotal) {
 }
 
 // Generate match-specific factors
-function generateMatchFactors(features) {
+function generateMatchFactors(features, scoreModel, calibration, modelProfile) {
     const matchFactors = [];
+    const sport = getSportProfile();
     
     // Add match type factor
     const matchType = document.getElementById('match-importance').options[document.getElementById('match-importance').selectedIndex].text;
@@ -2506,29 +3932,74 @@ function generateMatchFactors(features) {
         matchFactors.push(`Team rankings: ${team1Name} (#${team1Ranking}) vs ${team2Name} (#${team2Ranking})`);
     }
     
+    // Add ratings from the rating engine
+    const ratings = features.ratings;
+    if (ratings && ratings.available) {
+        const describe = teamRating => `${teamRating.rating.toFixed(0)}${teamRating.rd !== null ? ` ±${(teamRating.rd * 2).toFixed(0)}` : ''}`;
+        matchFactors.push(`${RATING_ENGINES[ratings.engine]} ratings: ${team1Name} ${describe(ratings.team1)} vs ${team2Name} ${describe(ratings.team2)}` +
+            (ratings.usedForRanking ? ' (used in place of rankings)' : ' (manual rankings take precedence)'));
+    }
+    
     // Add scoring averages
-    matchFactors.push(`${team1Name} average score: ${features.basicStats.team1AvgScore.toFixed(2)} goals per match`);
-    matchFactors.push(`${team2Name} average score: ${features.basicStats.team2AvgScore.toFixed(2)} goals per match`);
+    matchFactors.push(`${team1Name} average score: ${features.basicStats.team1AvgScore.toFixed(2)} ${sport.unitPlural} per match`);
+    matchFactors.push(`${team2Name} average score: ${features.basicStats.team2AvgScore.toFixed(2)} ${sport.unitPlural} per match`);
     
     // Add defense metrics
     matchFactors.push(`${team1Name} defensive strength: ${(features.advancedStats.team1DefenseStrength < 1 ? 'Above' : 'Below')} average (${features.advancedStats.team1DefenseStrength.toFixed(2)})`);
     matchFactors.push(`${team2Name} defensive strength: ${(features.advancedStats.team2DefenseStrength < 1 ? 'Above' : 'Below')} average (${features.advancedStats.team2DefenseStrength.toFixed(2)})`);
     
+    // Add opponent-adjusted ratings next to the raw ones
+    const sos = features.strengthOfSchedule;
+    if (sos && sos.available) {
+        matchFactors.push(`Strength of schedule: ratings fitted over ${sos.resultsUsed} results between ${sos.teamsRated} teams (average ${sos.leagueAverage.toFixed(2)} ${sport.unitPlural} per team per match)`);
+        [[team1Name, sos.team1], [team2Name, sos.team2]].forEach(([name, ratings]) => {
+            matchFactors.push(`${name} opponent-adjusted attack ${ratings.attack.toFixed(2)} (raw ${ratings.rawAttack.toFixed(2)}), defense ${ratings.defense.toFixed(2)} (raw ${ratings.rawDefense.toFixed(2)})`);
+        });
+    } else if (sos) {
+        matchFactors.push('Attack and defense ratings are not opponent-adjusted (add opponent names to enable strength of schedule)');
+    }
+    
+    // Add the score model behind the probabilities
+    if (scoreModel) {
+        const modelName = sport.lowScoreDependence ? 'Dixon-Coles' : SCORE_DISTRIBUTIONS[sport.distribution.type];
+        matchFactors.push(`Score model (${sport.label}): ${modelName} matrix with expected ${sport.unitPlural} ${scoreModel.team1ExpectedGoals.toFixed(2)} - ${scoreModel.team2ExpectedGoals.toFixed(2)}, ` +
+            (sport.lowScoreDependence ? `low-score dependence rho ${scoreModel.rho.toFixed(3)}, ` : '') +
+            `home advantage ${scoreModel.homeAdvantage.toFixed(2)}x ` +
+            `(fitted over ${scoreModel.resultsUsed} results with a ${scoreModel.halfLifeDays}-day half-life, ${(scoreModel.fitWeight * 100).toFixed(0)}% weight against the feature model)`);
+        if (sport.overtime && scoreModel.overtimeProbability) {
+            matchFactors.push(`Level after regulation ${(scoreModel.overtimeProbability * 100).toFixed(1)}% of the time; those games are settled in ${sport.overtime.label}, which the probabilities include`);
+        }
+    }
+    
+    // Add the recalibration applied on top of the model
+    if (calibration) {
+        const raw = calibration.uncalibratedProbabilities;
+        matchFactors.push(`Calibration: ${CALIBRATION_METHODS[calibration.method]} map fitted on ${calibration.samples} backtest predictions ` +
+            `(before calibration ${raw.team1WinProb.toFixed(1)}% / ${raw.drawProb.toFixed(1)}% / ${raw.team2WinProb.toFixed(1)}%)`);
+    }
+    
+    // Add the parameter profile the model ran with (older analyses did not record one)
+    if (modelProfile) {
+        matchFactors.push(`Model profile: ${escapeHtml(modelProfile)}`);
+    }
+    
     return matchFactors;
 }
 
 // IMPROVED: Generate more accurate alternative score possibilities
 function generateAlternativeScores(mainScore1, mainScore2, projectedTotal, projectedMargin) {
     // Calculate alternative scores based on the projected total and margin
-    // Generate a more comprehensive set of alternatives
+    // Generate a more comprehensive set of alternatives, in steps of a typical scoring swing for the sport
+    const sport = getSportProfile();
+    const step = Math.max(1, Math.round(sport.marginScale));
     const baseScores = [
-        { team1: mainScore1 + 1, team2: mainScore2, desc: "More goals for " + team1Name },
-        { team1: mainScore1, team2: mainScore2 + 1, desc: "More goals for " + team2Name },
-        { team1: mainScore1 + 1, team2: mainScore2 + 1, desc: "Higher scoring draw" },
-        { team1: Math.max(0, mainScore1 - 1), team2: mainScore2, desc: "Tighter defense by " + team1Name },
-        { team1: mainScore1, team2: Math.max(0, mainScore2 - 1), desc: "Tighter defense by " + team2Name },
-        { team1: mainScore1 + 2, team2: mainScore2, desc: "Strong attack from " + team1Name },
-        { team1: mainScore1, team2: mainScore2 + 2, desc: "Strong attack from " + team2Name }
+        { team1: mainScore1 + step, team2: mainScore2, desc: `More ${sport.unitPlural} for ` + team1Name },
+        { team1: mainScore1, team2: mainScore2 + step, desc: `More ${sport.unitPlural} for ` + team2Name },
+        { team1: mainScore1 + step, team2: mainScore2 + step, desc: sport.drawsPossible ? "Higher scoring draw" : "Higher scoring game" },
+        { team1: Math.max(0, mainScore1 - step), team2: mainScore2, desc: "Tighter defense by " + team1Name },
+        { team1: mainScore1, team2: Math.max(0, mainScore2 - step), desc: "Tighter defense by " + team2Name },
+        { team1: mainScore1 + 2 * step, team2: mainScore2, desc: "Strong attack from " + team1Name },
+        { team1: mainScore1, team2: mainScore2 + 2 * step, desc: "Strong attack from " + team2Name }
     ];
     
     // Calculate probabilities based on distance from projected total and margin
@@ -2537,8 +4008,8 @@ function generateAlternativeScores(mainScore1, mainScore2, projectedTotal, proje
         const thisMargin = score.team1 - score.team2;
         
         // Calculate how far this score is from projections
-        const totalDiff = Math.abs(thisTotal - projectedTotal);
-        const marginDiff = Math.abs(thisMargin - projectedMargin);
+        const totalDiff = Math.abs(thisTotal - projectedTotal) / sport.marginScale;
+        const marginDiff = Math.abs(thisMargin - projectedMargin) / sport.marginScale;
         
         // Calculate probability based on difference (smaller difference = higher probability)
         const probability = Math.max(5, 100 - (totalDiff * 20) - (marginDiff * 30));
@@ -2578,26 +4049,29 @@ function createWinProbabilityChart(probabilities) {
     
     const ctx = document.getElementById('win-probability-chart').getContext('2d');
     
+    // Sports without draws only have the two win slices
+    const outcomeCount = getSportProfile().drawsPossible ? 3 : 2;
+    
     winProbabilityChart = new Chart(ctx, {
         type: 'doughnut',
         data: {
-            labels: [team1Name, team2Name, 'Draw'],
+            labels: [team1Name, team2Name, 'Draw'].slice(0, outcomeCount),
             datasets: [{
                 data: [
                     probabilities.team1WinProb,
                     probabilities.team2WinProb,
                     probabilities.drawProb
-                ],
+                ].slice(0, outcomeCount),
                 backgroundColor: [
                     'rgba(66, 133, 244, 0.8)',
                     'rgba(234, 67, 53, 0.8)',
                     'rgba(95, 99, 104, 0.8)'
-                ],
+                ].slice(0, outcomeCount),
                 borderColor: [
                     'rgba(66, 133, 244, 1)',
                     'rgba(234, 67, 53, 1)',
                     'rgba(95, 99, 104, 1)'
-                ],
+                ].slice(0, outcomeCount),
                 borderWidth: 1,
                 hoverOffset: 10
             }]
@@ -2671,9 +4145,11 @@ function createScoreProbabilityChart(scoreDistribution) {
     // Prepare data for display - get top 8 scores
     const topScores = scoreDistribution.slice(0, 8);
     
-    // Format labels for display
+    // Format labels for display (score bands as their ranges)
+    const formatScore = (score, bucket) => bucket > 1 ? `${score}–${score + bucket - 1}` : String(score);
     const labels = topScores.map(score => 
-        score.team1Score === -1 ? 'Other' : `${score.team1Score}-${score.team2Score}`
+        score.team1Score === -1 ? 'Other' :
+            (score.bucket > 1 ? `${formatScore(score.team1Score, score.bucket)} : ${formatScore(score.team2Score, score.bucket)}` : `${score.team1Score}-${score.team2Score}`)
     );
     
     // Create chart
@@ -2972,7 +4448,9 @@ function prepareTeamPerformanceData(teamName, isTeam1) {
     // Sort by timestamp (oldest first)
     matches.sort((a, b) => a.timestamp - b.timestamp);
     
-    // IMPROVED: More nuanced performance index calculation
+    // IMPROVED: More nuanced performance index calculation (in soccer goals, rescaled to the sport's scores)
+    const sport = getSportProfile();
+    const scale = getSportScoreScale(sport);
     const performanceData = matches.map((match, index) => {
         // Calculate performance index
         let performance = 0;
@@ -2987,7 +4465,7 @@ function prepareTeamPerformanceData(teamName, isTeam1) {
         }
         
         // Add bonus for goals scored - with diminishing returns for high scores
-        const scoringBonus = Math.min(20, match.score * 4); // Changed from 15/5 to 20/4
+        const scoringBonus = Math.min(20, match.score / scale * 4); // Changed from 15/5 to 20/4
         performance += scoringBonus;
         
         // Add bonus for clean sheet
@@ -2996,7 +4474,7 @@ function prepareTeamPerformanceData(teamName, isTeam1) {
         }
         
         // Add bonus/penalty for goal difference with better scaling
-        const goalDiff = match.score - match.opponentScore;
+        const goalDiff = (match.score - match.opponentScore) / sport.marginScale;
         
         // Use non-linear scaling to prevent extreme values from dominating
         const goalDiffFactor = Math.sign(goalDiff) * Math.sqrt(Math.abs(goalDiff)) * 4;
@@ -3023,6 +4501,101 @@ function prepareTeamPerformanceData(teamName, isTeam1) {
     };
 }
 
+// Create rating history chart (one line per team, on the dates each team played)
+function createRatingHistoryChart() {
+    if (!document.getElementById('rating-history-chart')) {
+        const newChartCard = document.createElement('div');
+        newChartCard.className = 'chart-card';
+        newChartCard.innerHTML = `
+            <h3>Rating History</h3>
+            <div class="chart-container">
+                <canvas id="rating-history-chart"></canvas>
+            </div>
+        `;
+        
+        document.querySelector('.result-charts').appendChild(newChartCard);
+    }
+    
+    // Destroy previous chart if it exists
+    if (ratingHistoryChart) {
+        ratingHistoryChart.destroy();
+    }
+    
+    const ctx = document.getElementById('rating-history-chart').getContext('2d');
+    const { engine, history } = calculateTeamRatings();
+    
+    // Shared date axis; a team without a rating change on a date gets a gap
+    const timestamps = [...new Set([...history.team1, ...history.team2].map(point => point.timestamp))].sort((a, b) => a - b);
+    const seriesFor = points => timestamps.map(timestamp => {
+        const point = points.filter(entry => entry.timestamp === timestamp).pop();
+        return point ? Math.round(point.rating) : null;
+    });
+    
+    ratingHistoryChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: timestamps.map(formatDateISO),
+            datasets: [
+                {
+                    label: `${team1Name} Rating`,
+                    data: seriesFor(history.team1),
+                    borderColor: 'rgba(66, 133, 244, 1)',
+                    backgroundColor: 'rgba(66, 133, 244, 0.2)',
+                    borderWidth: 2,
+                    pointRadius: 3,
+                    tension: 0.2,
+                    spanGaps: true
+                },
+                {
+                    label: `${team2Name} Rating`,
+                    data: seriesFor(history.team2),
+                    borderColor: 'rgba(234, 67, 53, 1)',
+                    backgroundColor: 'rgba(234, 67, 53, 0.2)',
+                    borderWidth: 2,
+                    pointRadius: 3,
+                    tension: 0.2,
+                    spanGaps: true
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `${RATING_ENGINES[engine]} Rating Over Time`,
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    },
+                    padding: {
+                        bottom: 15
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Date'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Rating'
+                    }
+                }
+            }
+        }
+    });
+}
+
 // Show analysis results section
 function showResults() {
     window.scrollTo({
@@ -3043,3 +4616,5920 @@ function showToast(message, type = 'info') {
         toast.classList.add('hidden');
     }, 3000);
 }
+
+
+// SAVED SESSIONS
+// =============================
+// Read a JSON value from localStorage, falling back when missing or unreadable
+function loadFromStorage(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+        console.error(`Could not read ${key} from storage:`, error);
+        return fallback;
+    }
+}
+
+// Write a JSON value to localStorage, returning false if the browser refuses it
+function saveToStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.error(`Could not write ${key} to storage:`, error);
+        return false;
+    }
+}
+
+// Generate a reasonably unique id for stored records
+function generateId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Escape user-entered text before putting it into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Snapshot the team setup, match data and betting lines
+function captureSessionState() {
+    return {
+        schemaVersion: WORKSPACE_SCHEMA_VERSION,
+        team: {
+            team1Name,
+            team2Name,
+            team1Id,
+            team2Id,
+            team1Ranking,
+            team2Ranking,
+            ratingEngine,
+            sport: sportProfileId,
+            matchImportance,
+            matchLocation
+        },
+        matchData: JSON.parse(JSON.stringify(matchData)),
+        bettingLines: {
+            totalLine,
+            spreadHandicap,
+            moneyline: { ...moneylineOdds },
+            totalOdds: { ...totalOdds },
+            spreadOdds: { ...spreadOdds },
+            oddsFormat,
+            marginMethod
+        }
+    };
+}
+
+// Replace the current state with a snapshot and refresh the UI
+function applySessionState(snapshot) {
+    const state = migrateWorkspace(snapshot);
+    
+    team1Name = state.team.team1Name || 'Team 1';
+    team2Name = state.team.team2Name || 'Team 2';
+    team1Id = state.team.team1Id || null;
+    team2Id = state.team.team2Id || null;
+    team1Ranking = state.team.team1Ranking || 0;
+    team2Ranking = state.team.team2Ranking || 0;
+    ratingEngine = RATING_ENGINES[state.team.ratingEngine] ? state.team.ratingEngine : 'elo';
+    sportProfileId = SPORT_PROFILES[state.team.sport] ? state.team.sport : 'soccer';
+    matchImportance = state.team.matchImportance || 1;
+    matchLocation = state.team.matchLocation || 'neutral';
+    
+    matchData.h2h = (state.matchData.h2h || []).map(match => ({ ...match }));
+    matchData.team1 = (state.matchData.team1 || []).map(match => ({ ...match }));
+    matchData.team2 = (state.matchData.team2 || []).map(match => ({ ...match }));
+    editingMatch = null;
+    
+    totalLine = state.bettingLines.totalLine || 0;
+    spreadHandicap = typeof state.bettingLines.spreadHandicap === 'number' ? state.bettingLines.spreadHandicap : null;
+    moneylineOdds = { team1: null, draw: null, team2: null, ...state.bettingLines.moneyline };
+    totalOdds = { over: null, under: null, ...state.bettingLines.totalOdds };
+    spreadOdds = { team1: null, team2: null, ...state.bettingLines.spreadOdds };
+    oddsFormat = ODDS_FORMATS[state.bettingLines.oddsFormat] ? state.bettingLines.oddsFormat : 'decimal';
+    marginMethod = MARGIN_METHODS[state.bettingLines.marginMethod] ? state.bettingLines.marginMethod : 'proportional';
+    
+    // Outcome labels depend on the team names, so rebuild them for the restored teams
+    Object.values(matchData).forEach(matches => matches.forEach(refreshMatchDerivedFields));
+    
+    syncFormWithState();
+    updateTeamLabels();
+    updateMatchSummary('h2h');
+    updateMatchSummary('team1');
+    updateMatchSummary('team2');
+    updateDataSufficiencyIndicators();
+}
+
+// Write the current state back into the setup and betting line inputs
+function syncFormWithState() {
+    document.getElementById('team1').value = team1Name === 'Team 1' ? '' : team1Name;
+    document.getElementById('team2').value = team2Name === 'Team 2' ? '' : team2Name;
+    document.getElementById('team1-select').value = findTeamById(team1Id) ? team1Id : '';
+    document.getElementById('team2-select').value = findTeamById(team2Id) ? team2Id : '';
+    document.getElementById('team1-ranking').value = team1Ranking > 0 ? team1Ranking : '';
+    document.getElementById('team2-ranking').value = team2Ranking > 0 ? team2Ranking : '';
+    document.getElementById('rating-engine').value = ratingEngine;
+    document.getElementById('sport-profile').value = sportProfileId;
+    document.getElementById('match-importance').value = String(matchImportance);
+    document.getElementById('match-location').value = matchLocation;
+    document.getElementById('betting-line').value = totalLine > 0 ? totalLine : '';
+    document.getElementById('spread-handicap').value = spreadHandicap === null ? '' : spreadHandicap;
+    document.getElementById('odds-format').value = oddsFormat;
+    document.getElementById('margin-method').value = marginMethod;
+    syncOddsInputs();
+    updateOddsStatus();
+}
+
+// Persist the working session so it survives a page reload
+function saveWorkingSession() {
+    saveToStorage(STORAGE_KEYS.WORKING_SESSION, {
+        state: captureSessionState(),
+        lastAnalysisResults: stripScoreMatrix(lastAnalysisResults),
+        activeSessionId,
+        savedAt: Date.now()
+    });
+}
+
+// Restore the working session from the previous visit
+function restoreWorkingSession() {
+    const working = loadFromStorage(STORAGE_KEYS.WORKING_SESSION, null);
+    if (!working || !working.state) return false;
+    
+    try {
+        applySessionState(working.state);
+        activeSessionId = working.activeSessionId || null;
+        lastAnalysisResults = restoreScoreMatrix(working.lastAnalysisResults) || null;
+        
+        if (lastAnalysisResults) {
+            displayStoredAnalysis(lastAnalysisResults);
+        }
+        return true;
+    } catch (error) {
+        console.error('Could not restore working session:', error);
+        return false;
+    }
+}
+
+// Show a previously computed analysis without rerunning the model
+function displayStoredAnalysis(results) {
+    document.getElementById('results').classList.add('visible');
+    document.getElementById('analysis-loading').classList.add('hidden');
+    
+    try {
+        renderAnalysisResults(results);
+        document.getElementById('analysis-results').classList.remove('hidden');
+    } catch (error) {
+        console.error('Could not display stored analysis:', error);
+        document.getElementById('analysis-results').classList.add('hidden');
+        document.getElementById('results').classList.remove('visible');
+    }
+}
+
+// Hide the results section (e.g. when opening a session without an analysis)
+function hideAnalysisResults() {
+    document.getElementById('analysis-results').classList.add('hidden');
+    document.getElementById('results').classList.remove('visible');
+}
+
+// Get all saved sessions
+function getSavedSessions() {
+    return loadFromStorage(STORAGE_KEYS.SAVED_SESSIONS, []);
+}
+
+// Save the current matchup (and its last analysis) under a name
+function saveCurrentSession() {
+    const nameInput = document.getElementById('session-name');
+    const name = nameInput.value.trim() || `${team1Name} vs ${team2Name}`;
+    const sessions = getSavedSessions();
+    
+    // Update the open session in place, otherwise confirm before replacing one with the same name
+    let existing = sessions.find(session => session.id === activeSessionId && session.name === name);
+    if (!existing) {
+        existing = sessions.find(session => session.name === name);
+        if (existing && !confirm(`A session named "${name}" already exists. Overwrite it?`)) {
+            return;
+        }
+    }
+    
+    const now = Date.now();
+    const session = {
+        id: existing ? existing.id : generateId('session'),
+        name,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        state: captureSessionState(),
+        lastAnalysisResults: stripScoreMatrix(lastAnalysisResults)
+    };
+    
+    const updatedSessions = existing ? 
+        sessions.map(saved => saved.id === existing.id ? session : saved) : 
+        [...sessions, session];
+    
+    if (!saveToStorage(STORAGE_KEYS.SAVED_SESSIONS, updatedSessions)) {
+        showToast('Could not save session. Browser storage may be full.', 'error');
+        return;
+    }
+    
+    activeSessionId = session.id;
+    nameInput.value = name;
+    saveWorkingSession();
+    renderSavedSessions();
+    
+    showToast(`Session "${name}" saved`, 'success');
+}
+
+// Open a saved session, restoring its state and analysis
+function openSavedSession(sessionId) {
+    const session = getSavedSessions().find(saved => saved.id === sessionId);
+    if (!session) {
+        showToast('Saved session not found', 'error');
+        return;
+    }
+    
+    applySessionState(session.state);
+    clearHistory();
+    activeSessionId = session.id;
+    lastAnalysisResults = restoreScoreMatrix(session.lastAnalysisResults) || null;
+    document.getElementById('session-name').value = session.name;
+    
+    if (lastAnalysisResults) {
+        displayStoredAnalysis(lastAnalysisResults);
+    } else {
+        hideAnalysisResults();
+    }
+    
+    saveWorkingSession();
+    renderSavedSessions();
+    
+    showToast(`Opened session "${session.name}"`, 'success');
+}
+
+// Duplicate a saved session under a new name
+function duplicateSavedSession(sessionId) {
+    const sessions = getSavedSessions();
+    const session = sessions.find(saved => saved.id === sessionId);
+    if (!session) return;
+    
+    // Find a free "(copy)" name
+    let copyName = `${session.name} (copy)`;
+    let copyNumber = 2;
+    while (sessions.some(saved => saved.name === copyName)) {
+        copyName = `${session.name} (copy ${copyNumber++})`;
+    }
+    
+    const now = Date.now();
+    const copy = {
+        ...JSON.parse(JSON.stringify(session)),
+        id: generateId('session'),
+        name: copyName,
+        createdAt: now,
+        updatedAt: now
+    };
+    
+    if (!saveToStorage(STORAGE_KEYS.SAVED_SESSIONS, [...sessions, copy])) {
+        showToast('Could not duplicate session. Browser storage may be full.', 'error');
+        return;
+    }
+    
+    renderSavedSessions();
+    showToast(`Created "${copyName}"`, 'success');
+}
+
+// Delete a saved session
+function deleteSavedSession(sessionId) {
+    const sessions = getSavedSessions();
+    const session = sessions.find(saved => saved.id === sessionId);
+    if (!session || !confirm(`Delete saved session "${session.name}"?`)) return;
+    
+    saveToStorage(STORAGE_KEYS.SAVED_SESSIONS, sessions.filter(saved => saved.id !== sessionId));
+    
+    if (activeSessionId === sessionId) {
+        activeSessionId = null;
+        saveWorkingSession();
+    }
+    
+    renderSavedSessions();
+    showToast(`Deleted "${session.name}"`, 'info');
+}
+
+// Handle clicks on the saved session list buttons
+function handleSavedSessionAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const sessionId = button.dataset.sessionId;
+    
+    if (button.dataset.action === 'open') {
+        openSavedSession(sessionId);
+    } else if (button.dataset.action === 'duplicate') {
+        duplicateSavedSession(sessionId);
+    } else if (button.dataset.action === 'delete') {
+        deleteSavedSession(sessionId);
+    }
+}
+
+// Render the saved session list
+function renderSavedSessions() {
+    const listElement = document.getElementById('saved-session-list');
+    const sessions = getSavedSessions().sort((a, b) => b.updatedAt - a.updatedAt);
+    
+    updateSlateSessionOptions(sessions);
+    
+    if (sessions.length === 0) {
+        listElement.innerHTML = '<p>No saved sessions yet.</p>';
+        return;
+    }
+    
+    listElement.innerHTML = sessions.map(session => {
+        const { team, matchData: sessionMatches } = session.state;
+        const matchCount = sessionMatches.h2h.length + sessionMatches.team1.length + sessionMatches.team2.length;
+        const updated = new Date(session.updatedAt).toLocaleString();
+        
+        return `
+            <div class="session-item ${session.id === activeSessionId ? 'active' : ''}">
+                <div class="session-info">
+                    <div class="session-name">${escapeHtml(session.name)}</div>
+                    <div class="session-meta">
+                        ${escapeHtml(team.team1Name)} vs ${escapeHtml(team.team2Name)} · ${matchCount} matches · ${updated}
+                        ${session.lastAnalysisResults ? '<span class="session-badge">Analysis saved</span>' : ''}
+                    </div>
+                </div>
+                <div class="session-actions">
+                    <button type="button" class="btn-icon" data-action="open" data-session-id="${session.id}" title="Open">
+                        <span class="material-symbols-outlined">folder_open</span>
+                    </button>
+                    <button type="button" class="btn-icon" data-action="duplicate" data-session-id="${session.id}" title="Duplicate">
+                        <span class="material-symbols-outlined">content_copy</span>
+                    </button>
+                    <button type="button" class="btn-icon" data-action="delete" data-session-id="${session.id}" title="Delete">
+                        <span class="material-symbols-outlined">delete</span>
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+
+// WORKSPACE EXPORT / IMPORT
+// =============================
+// Migrations upgrade a workspace from the keyed version to the next one
+const WORKSPACE_MIGRATIONS = {
+    // v1: saved session state from before the schema was versioned
+    1: workspace => ({
+        schema: WORKSPACE_SCHEMA_ID,
+        schemaVersion: 2,
+        team: workspace.team,
+        matchData: workspace.matchData,
+        bettingLines: workspace.bettingLines,
+        lastAnalysis: workspace.lastAnalysis || null
+    }),
+    // v2 -> v3: matches gain date, opponent, venue, competition and importance metadata (unknown for old data)
+    2: workspace => ({
+        ...workspace,
+        schemaVersion: 3,
+        matchData: Object.fromEntries(Object.entries(workspace.matchData || {}).map(([category, matches]) => [
+            category,
+            Array.isArray(matches) ? matches.map(match => ({
+                date: null,
+                opponent: null,
+                venue: null,
+                competition: null,
+                importance: null,
+                ...match
+            })) : matches
+        ]))
+    }),
+    // v3 -> v4: teams can be linked to the team database (manually entered for old data)
+    3: workspace => ({
+        ...workspace,
+        schemaVersion: 4,
+        team: workspace.team ? { team1Id: null, team2Id: null, ...workspace.team } : workspace.team
+    }),
+    // v4 -> v5: teams without manual rankings are rated by a selectable rating engine (Elo by default)
+    4: workspace => ({
+        ...workspace,
+        schemaVersion: 5,
+        team: workspace.team ? { ratingEngine: 'elo', ...workspace.team } : workspace.team
+    }),
+    // v5 -> v6: the sport profile sets the scoring regime (all earlier workspaces were soccer)
+    5: workspace => ({
+        ...workspace,
+        schemaVersion: 6,
+        team: workspace.team ? { sport: 'soccer', ...workspace.team } : workspace.team
+    }),
+    // v6 -> v7: betting lines can carry 1X2 (moneyline) prices
+    6: workspace => ({
+        ...workspace,
+        schemaVersion: 7,
+        bettingLines: workspace.bettingLines ? {
+            moneyline: { team1: null, draw: null, team2: null },
+            oddsFormat: 'decimal',
+            marginMethod: 'proportional',
+            ...workspace.bettingLines
+        } : workspace.bettingLines
+    }),
+    // v7 -> v8: both sides of the total and the spread can be priced
+    7: workspace => ({
+        ...workspace,
+        schemaVersion: 8,
+        bettingLines: workspace.bettingLines ? {
+            totalOdds: { over: null, under: null },
+            spreadOdds: { favorite: null, underdog: null },
+            ...workspace.bettingLines
+        } : workspace.bettingLines
+    }),
+    // v8 -> v9: the point spread and its favorite become a signed Team 1 handicap
+    8: workspace => {
+        if (!workspace.bettingLines) return { ...workspace, schemaVersion: 9 };
+        
+        const { pointSpread, spreadDirection, spreadOdds, ...lines } = workspace.bettingLines;
+        const team1Favorite = spreadDirection !== 'team2';
+        const odds = spreadOdds || {};
+        return {
+            ...workspace,
+            schemaVersion: 9,
+            bettingLines: {
+                ...lines,
+                spreadHandicap: pointSpread > 0 ? (team1Favorite ? -pointSpread : pointSpread) : null,
+                spreadOdds: team1Favorite ?
+                    { team1: odds.favorite || null, team2: odds.underdog || null } :
+                    { team1: odds.underdog || null, team2: odds.favorite || null }
+            }
+        };
+    }
+};
+
+// Build the export document for the current workspace
+function buildWorkspaceExport() {
+    return {
+        schema: WORKSPACE_SCHEMA_ID,
+        ...captureSessionState(),
+        exportedAt: new Date().toISOString(),
+        lastAnalysis: stripScoreMatrix(lastAnalysisResults)
+    };
+}
+
+// Upgrade a workspace document to the current schema version
+function migrateWorkspace(workspace) {
+    let migrated = workspace;
+    let version = migrated.schemaVersion || 1;
+    
+    if (version > WORKSPACE_SCHEMA_VERSION) {
+        throw new Error(`Workspace schema version ${version} is newer than this app supports (${WORKSPACE_SCHEMA_VERSION})`);
+    }
+    
+    while (version < WORKSPACE_SCHEMA_VERSION) {
+        migrated = WORKSPACE_MIGRATIONS[version](migrated);
+        version = migrated.schemaVersion;
+    }
+    
+    return migrated;
+}
+
+// Validate a (migrated) workspace document, returning a list of field errors
+function validateWorkspace(workspace) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isNonNegativeNumber = value => typeof value === 'number' && isFinite(value) && value >= 0;
+    
+    if (!isObject(workspace)) {
+        return ['Workspace: must be a JSON object'];
+    }
+    
+    if (workspace.schema !== WORKSPACE_SCHEMA_ID) {
+        errors.push(`schema: expected "${WORKSPACE_SCHEMA_ID}"`);
+    }
+    
+    // Team information
+    const team = workspace.team;
+    if (!isObject(team)) {
+        errors.push('team: missing team information');
+    } else {
+        ['team1Name', 'team2Name'].forEach(field => {
+            if (typeof team[field] !== 'string' || !team[field].trim()) {
+                errors.push(`team.${field}: must be a non-empty string`);
+            }
+        });
+        if (typeof team.team1Name === 'string' && team.team1Name.trim() === String(team.team2Name).trim()) {
+            errors.push('team.team2Name: must be different from team.team1Name');
+        }
+        ['team1Id', 'team2Id'].forEach(field => {
+            if (team[field] !== null && typeof team[field] !== 'string') {
+                errors.push(`team.${field}: must be a team database id or null`);
+            }
+        });
+        ['team1Ranking', 'team2Ranking'].forEach(field => {
+            if (!Number.isInteger(team[field]) || team[field] < 0) {
+                errors.push(`team.${field}: must be a non-negative integer (0 for no ranking)`);
+            }
+        });
+        if (!RATING_ENGINES[team.ratingEngine]) {
+            errors.push(`team.ratingEngine: must be one of ${Object.keys(RATING_ENGINES).join(', ')}`);
+        }
+        if (!SPORT_PROFILES[team.sport]) {
+            errors.push(`team.sport: must be one of ${Object.keys(SPORT_PROFILES).join(', ')}`);
+        }
+        if (!isNonNegativeNumber(team.matchImportance) || team.matchImportance === 0) {
+            errors.push('team.matchImportance: must be a positive number');
+        }
+        if (!['neutral', 'home', 'away'].includes(team.matchLocation)) {
+            errors.push('team.matchLocation: must be "neutral", "home" or "away"');
+        }
+    }
+    
+    // Match data
+    if (!isObject(workspace.matchData)) {
+        errors.push('matchData: missing match data');
+    } else {
+        ['h2h', 'team1', 'team2'].forEach(category => {
+            const matches = workspace.matchData[category];
+            if (!Array.isArray(matches)) {
+                errors.push(`matchData.${category}: must be an array`);
+                return;
+            }
+            
+            matches.forEach((match, index) => {
+                const path = `matchData.${category}[${index}]`;
+                if (!isObject(match)) {
+                    errors.push(`${path}: must be an object`);
+                    return;
+                }
+                ['team1Score', 'team2Score'].forEach(field => {
+                    if (!Number.isInteger(match[field]) || match[field] < 0) {
+                        errors.push(`${path}.${field}: must be a non-negative integer`);
+                    }
+                });
+                if (typeof match.timestamp !== 'number' || !isFinite(match.timestamp)) {
+                    errors.push(`${path}.timestamp: must be a timestamp in milliseconds`);
+                }
+                if (match.category !== undefined && match.category !== category) {
+                    errors.push(`${path}.category: must be "${category}"`);
+                }
+                if (match.date !== null && (typeof match.date !== 'string' || parseCsvDate(match.date, 'dmy') === null)) {
+                    errors.push(`${path}.date: must be a YYYY-MM-DD date or null`);
+                }
+                ['opponent', 'competition'].forEach(field => {
+                    if (match[field] !== null && typeof match[field] !== 'string') {
+                        errors.push(`${path}.${field}: must be a string or null`);
+                    }
+                });
+                if (match.venue !== null && !['home', 'away', 'neutral'].includes(match.venue)) {
+                    errors.push(`${path}.venue: must be "home", "away", "neutral" or null`);
+                }
+                if (match.importance !== null && !COMPETITION_TYPES[match.importance]) {
+                    errors.push(`${path}.importance: must be one of ${Object.keys(COMPETITION_TYPES).join(', ')} or null`);
+                }
+            });
+        });
+    }
+    
+    // Betting lines
+    const lines = workspace.bettingLines;
+    if (!isObject(lines)) {
+        errors.push('bettingLines: missing betting lines');
+    } else {
+        if (!isNonNegativeNumber(lines.totalLine)) {
+            errors.push('bettingLines.totalLine: must be a non-negative number (0 for no line)');
+        }
+        if (lines.spreadHandicap !== null && !(typeof lines.spreadHandicap === 'number' && isOnQuarterGrid(lines.spreadHandicap))) {
+            errors.push('bettingLines.spreadHandicap: must be a multiple of 0.25 (Team 1\'s handicap) or null for no spread');
+        }
+        [['moneyline', ['team1', 'draw', 'team2']], ['totalOdds', ['over', 'under']], ['spreadOdds', ['team1', 'team2']]]
+            .forEach(([field, sides]) => {
+                if (!isObject(lines[field])) {
+                    errors.push(`bettingLines.${field}: must be an object of decimal odds`);
+                    return;
+                }
+                sides.forEach(side => {
+                    const odds = lines[field][side];
+                    if (odds !== null && !(typeof odds === 'number' && isFinite(odds) && odds > 1)) {
+                        errors.push(`bettingLines.${field}.${side}: must be decimal odds above 1 or null`);
+                    }
+                });
+            });
+        if (!ODDS_FORMATS[lines.oddsFormat]) {
+            errors.push(`bettingLines.oddsFormat: must be one of ${Object.keys(ODDS_FORMATS).join(', ')}`);
+        }
+        if (!MARGIN_METHODS[lines.marginMethod]) {
+            errors.push(`bettingLines.marginMethod: must be one of ${Object.keys(MARGIN_METHODS).join(', ')}`);
+        }
+    }
+    
+    // Last analysis output (optional)
+    const analysis = workspace.lastAnalysis;
+    if (analysis !== null && analysis !== undefined) {
+        if (!isObject(analysis)) {
+            errors.push('lastAnalysis: must be an object or null');
+        } else {
+            if (!isObject(analysis.probabilities)) {
+                errors.push('lastAnalysis.probabilities: missing win probabilities');
+            } else {
+                ['team1WinProb', 'team2WinProb', 'drawProb'].forEach(field => {
+                    if (!isNonNegativeNumber(analysis.probabilities[field])) {
+                        errors.push(`lastAnalysis.probabilities.${field}: must be a non-negative number`);
+                    }
+                });
+            }
+            ['projectedTotal', 'projectedMargin'].forEach(field => {
+                if (typeof analysis[field] !== 'number' || !isFinite(analysis[field])) {
+                    errors.push(`lastAnalysis.${field}: must be a number`);
+                }
+            });
+            if (!isObject(analysis.features)) {
+                errors.push('lastAnalysis.features: missing model features');
+            }
+        }
+    }
+    
+    return errors;
+}
+
+// Download the current workspace as a JSON file
+function exportWorkspace() {
+    const workspace = buildWorkspaceExport();
+    const fileName = `${team1Name}-vs-${team2Name}`.replace(/[^a-z0-9-]+/gi, '_') + '-workspace.json';
+    
+    downloadFile(fileName, JSON.stringify(workspace, null, 2), 'application/json');
+    showToast('Workspace exported', 'success');
+}
+
+// Offer text content as a file download
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Read the chosen workspace file
+function handleWorkspaceFileSelected(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        importWorkspace(reader.result);
+        // Allow the same file to be picked again
+        event.target.value = '';
+    };
+    reader.onerror = () => {
+        showToast('Could not read the selected file', 'error');
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+// Import a workspace from JSON text, reporting any schema errors
+function importWorkspace(jsonText) {
+    let workspace;
+    
+    try {
+        workspace = migrateWorkspace(JSON.parse(jsonText));
+    } catch (error) {
+        showImportErrors([error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message]);
+        showToast('Import failed', 'error');
+        return false;
+    }
+    
+    const errors = validateWorkspace(workspace);
+    if (errors.length > 0) {
+        showImportErrors(errors);
+        showToast(`Import failed with ${errors.length} error${errors.length === 1 ? '' : 's'}`, 'error');
+        return false;
+    }
+    
+    if (getTotalMatchCount() > 0 && !confirm('Importing will replace the current matchup. Continue?')) {
+        return false;
+    }
+    
+    showImportErrors([]);
+    applySessionState(workspace);
+    clearHistory();
+    activeSessionId = null;
+    lastAnalysisResults = restoreScoreMatrix(workspace.lastAnalysis) || null;
+    
+    if (lastAnalysisResults) {
+        displayStoredAnalysis(lastAnalysisResults);
+    } else {
+        hideAnalysisResults();
+    }
+    
+    saveWorkingSession();
+    renderSavedSessions();
+    
+    showToast(`Imported ${team1Name} vs ${team2Name}`, 'success');
+    return true;
+}
+
+// Show (or clear) the list of import errors
+function showImportErrors(errors) {
+    const errorsElement = document.getElementById('import-errors');
+    
+    if (errors.length === 0) {
+        errorsElement.innerHTML = '';
+        errorsElement.classList.add('hidden');
+        return;
+    }
+    
+    errorsElement.innerHTML = `
+        <h4><span class="material-symbols-outlined">error</span> The workspace file could not be imported:</h4>
+        <ul>
+            ${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+        </ul>
+    `;
+    errorsElement.classList.remove('hidden');
+}
+
+
+// CSV MATCH HISTORY IMPORT
+// =============================
+// Fields the importer needs, with the header names it recognises (football-data.co.uk layout included)
+const CSV_IMPORT_FIELDS = {
+    date: { label: 'Date', required: true, aliases: ['date', 'matchdate', 'kickoff', 'day'] },
+    homeTeam: { label: 'Home Team', required: true, aliases: ['hometeam', 'home', 'hometeamname', 'team1'] },
+    awayTeam: { label: 'Away Team', required: true, aliases: ['awayteam', 'away', 'awayteamname', 'team2'] },
+    homeScore: { label: 'Home Score', required: true, aliases: ['fthg', 'hg', 'homescore', 'homegoals', 'score1'] },
+    awayScore: { label: 'Away Score', required: true, aliases: ['ftag', 'ag', 'awayscore', 'awaygoals', 'score2'] },
+    competition: { label: 'Competition', required: false, aliases: ['div', 'competition', 'league', 'comp', 'tournament'] }
+};
+
+// Read the chosen CSV file into the importer
+function handleCsvFileSelected(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('csv-text').value = reader.result;
+        loadCsvForImport(reader.result);
+        event.target.value = '';
+    };
+    reader.onerror = () => {
+        showToast('Could not read the selected file', 'error');
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+// Parse CSV text, guess the column mapping and show the preview
+function loadCsvForImport(csvText) {
+    const rows = parseCsv(csvText.trim());
+    
+    if (rows.length < 2) {
+        showToast('The CSV needs a header row and at least one match', 'warning');
+        return;
+    }
+    
+    const headers = rows[0].map(header => header.trim());
+    csvImportState = {
+        headers,
+        rows: rows.slice(1).filter(row => row.some(cell => cell.trim() !== '')),
+        mapping: guessCsvMapping(headers)
+    };
+    
+    renderCsvMapping();
+    renderCsvPreview();
+}
+
+// Parse CSV text into rows of cells (quoted fields, comma or semicolon delimited)
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    
+    return rows;
+}
+
+// Normalize a header or team name for comparison
+function normalizeCsvKey(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Match CSV headers to importer fields by name
+function guessCsvMapping(headers, fields = CSV_IMPORT_FIELDS) {
+    const normalizedHeaders = headers.map(normalizeCsvKey);
+    const mapping = {};
+    
+    Object.entries(fields).forEach(([field, config]) => {
+        const index = config.aliases
+            .map(alias => normalizedHeaders.indexOf(alias))
+            .find(headerIndex => headerIndex !== -1);
+        mapping[field] = index !== undefined ? index : -1;
+    });
+    
+    return mapping;
+}
+
+// Parse a CSV date (ISO, or day/month order as chosen) into a timestamp
+function parseCsvDate(value, dateFormat) {
+    const text = String(value).trim();
+    
+    const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (isoMatch) {
+        return buildDateTimestamp(+isoMatch[1], +isoMatch[2], +isoMatch[3]);
+    }
+    
+    const parts = text.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})$/);
+    if (!parts) return null;
+    
+    let year = +parts[3];
+    if (parts[3].length === 2) {
+        year += year < 70 ? 2000 : 1900;
+    }
+    
+    const day = dateFormat === 'mdy' ? +parts[2] : +parts[1];
+    const month = dateFormat === 'mdy' ? +parts[1] : +parts[2];
+    
+    return buildDateTimestamp(year, month, day);
+}
+
+// Build a UTC noon timestamp, rejecting impossible dates
+function buildDateTimestamp(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day, 12));
+    
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    
+    return date.getTime();
+}
+
+// Work out where each CSV row belongs relative to the selected teams
+function classifyCsvRows() {
+    const { rows, mapping } = csvImportState;
+    const dateFormat = document.getElementById('csv-date-format').value;
+    const team1Keys = getTeamNameKeys(team1Name, team1Id);
+    const team2Keys = getTeamNameKeys(team2Name, team2Id);
+    const sideOf = key => team1Keys.includes(key) ? 'team1' : (team2Keys.includes(key) ? 'team2' : null);
+    const cellAt = (row, field) => mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '';
+    
+    return rows.map((row, index) => {
+        const parsed = {
+            rowNumber: index + 2, // Header is row 1
+            date: cellAt(row, 'date'),
+            homeTeam: cellAt(row, 'homeTeam'),
+            awayTeam: cellAt(row, 'awayTeam'),
+            homeScore: cellAt(row, 'homeScore'),
+            awayScore: cellAt(row, 'awayScore'),
+            competition: cellAt(row, 'competition'),
+            category: null,
+            errors: []
+        };
+        
+        parsed.timestamp = parseCsvDate(parsed.date, dateFormat);
+        if (parsed.timestamp === null) {
+            parsed.errors.push(parsed.date ? `Unrecognised date "${parsed.date}"` : 'Missing date');
+        }
+        if (!parsed.homeTeam || !parsed.awayTeam) {
+            parsed.errors.push('Missing team name');
+        }
+        
+        ['homeScore', 'awayScore'].forEach(field => {
+            if (!/^\d+$/.test(parsed[field])) {
+                parsed.errors.push(`${CSV_IMPORT_FIELDS[field].label} "${parsed[field]}" is not a whole number`);
+            }
+        });
+        
+        const oriented = orientResult(
+            sideOf(normalizeCsvKey(parsed.homeTeam)),
+            sideOf(normalizeCsvKey(parsed.awayTeam)),
+            parseInt(parsed.homeScore),
+            parseInt(parsed.awayScore)
+        );
+        
+        if (oriented) {
+            parsed.category = oriented.category;
+            parsed.scores = oriented.scores;
+            parsed.venue = oriented.venue;
+            if (oriented.category !== 'h2h') {
+                parsed.opponent = oriented.opponentIsHome ? parsed.homeTeam : parsed.awayTeam;
+            }
+        }
+        
+        return parsed;
+    });
+}
+
+// Render the column mapping selects
+function renderCsvMapping() {
+    const mappingElement = document.getElementById('csv-mapping');
+    const { headers, mapping } = csvImportState;
+    
+    mappingElement.innerHTML = `
+        <h4>Column Mapping</h4>
+        <div class="csv-mapping-grid">
+            ${Object.entries(CSV_IMPORT_FIELDS).map(([field, config]) => `
+                <div class="form-group">
+                    <label for="csv-map-${field}">${config.label}${config.required ? '' : ' (optional)'}</label>
+                    <select id="csv-map-${field}" data-field="${field}">
+                        <option value="-1">Not mapped</option>
+                        ${headers.map((header, index) => `
+                            <option value="${index}" ${mapping[field] === index ? 'selected' : ''}>${escapeHtml(header)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    mappingElement.classList.remove('hidden');
+}
+
+// Update the mapping when a column select changes
+function handleCsvMappingChange(event) {
+    const field = event.target.dataset.field;
+    if (!field || !csvImportState) return;
+    
+    csvImportState.mapping[field] = parseInt(event.target.value);
+    renderCsvPreview();
+}
+
+// Render the preview table with row-level status
+function renderCsvPreview() {
+    if (!csvImportState) return;
+    
+    const previewElement = document.getElementById('csv-preview');
+    const missingFields = Object.entries(CSV_IMPORT_FIELDS)
+        .filter(([field, config]) => config.required && csvImportState.mapping[field] < 0)
+        .map(([, config]) => config.label);
+    
+    if (missingFields.length > 0) {
+        previewElement.innerHTML = `<p class="csv-warning">Map these columns to continue: ${missingFields.join(', ')}</p>`;
+        previewElement.classList.remove('hidden');
+        return;
+    }
+    
+    const parsedRows = classifyCsvRows();
+    const categoryLabels = { h2h: 'Head-to-Head', team1: `${team1Name} match`, team2: `${team2Name} match` };
+    const counts = { h2h: 0, team1: 0, team2: 0, skipped: 0, errors: 0 };
+    
+    const tableRows = parsedRows.map(row => {
+        let status, statusClass;
+        
+        // Rows for other teams are skipped even if incomplete (e.g. unplayed fixtures)
+        if (row.errors.length > 0 && (row.category || !row.homeTeam || !row.awayTeam)) {
+            counts.errors++;
+            status = row.errors.join('; ');
+            statusClass = 'error';
+        } else if (row.category) {
+            counts[row.category]++;
+            status = categoryLabels[row.category];
+            statusClass = 'ok';
+        } else {
+            counts.skipped++;
+            status = 'Skipped: does not involve the selected teams';
+            statusClass = 'skipped';
+        }
+        
+        return `
+            <tr class="csv-row-${statusClass}">
+                <td>${row.rowNumber}</td>
+                <td>${escapeHtml(row.date)}</td>
+                <td>${escapeHtml(row.homeTeam)}</td>
+                <td>${escapeHtml(row.awayTeam)}</td>
+                <td>${escapeHtml(row.homeScore)} - ${escapeHtml(row.awayScore)}</td>
+                <td>${escapeHtml(row.competition)}</td>
+                <td>${escapeHtml(status)}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    const importCount = counts.h2h + counts.team1 + counts.team2;
+    const validCount = parsedRows.filter(row => row.errors.length === 0).length;
+    
+    previewElement.innerHTML = `
+        <h4>Preview</h4>
+        <p class="csv-summary">
+            ${counts.h2h} head-to-head, ${counts.team1} ${escapeHtml(team1Name)}, ${counts.team2} ${escapeHtml(team2Name)} ·
+            ${counts.skipped} skipped · ${counts.errors} with errors
+        </p>
+        ${importCount === 0 ? `<p class="csv-warning">No rows match ${escapeHtml(team1Name)} or ${escapeHtml(team2Name)}. Check the team names in Team Information.</p>` : ''}
+        <div class="csv-table-wrapper">
+            <table class="csv-table">
+                <thead>
+                    <tr><th>Row</th><th>Date</th><th>Home</th><th>Away</th><th>Score</th><th>Competition</th><th>Status</th></tr>
+                </thead>
+                <tbody>${tableRows}</tbody>
+            </table>
+        </div>
+        <div class="csv-actions">
+            <label class="checkbox-label">
+                <input type="checkbox" id="csv-replace-existing" checked> Replace existing matches in the imported categories
+            </label>
+            <button type="button" class="btn btn-outline" data-action="cancel">Cancel</button>
+            <button type="button" class="btn btn-outline" data-action="save-to-database" ${validCount === 0 ? 'disabled' : ''}>
+                <span class="material-symbols-outlined">database</span> Save ${validCount} to Team Database
+            </button>
+            <button type="button" class="btn btn-primary" data-action="commit" ${importCount === 0 ? 'disabled' : ''}>
+                <span class="material-symbols-outlined">playlist_add</span> Import ${importCount} Matches
+            </button>
+        </div>
+    `;
+    previewElement.classList.remove('hidden');
+}
+
+// Handle the preview's commit/cancel buttons
+function handleCsvPreviewAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    if (button.dataset.action === 'commit') {
+        commitCsvImport();
+    } else if (button.dataset.action === 'save-to-database') {
+        saveCsvRowsToDatabase();
+    } else if (button.dataset.action === 'cancel') {
+        resetCsvImport();
+    }
+}
+
+// Add the valid, matching rows to the match data
+function commitCsvImport() {
+    const rows = classifyCsvRows().filter(row => row.errors.length === 0 && row.category);
+    if (rows.length === 0) return;
+    
+    const replaceExisting = document.getElementById('csv-replace-existing').checked;
+    const categories = [...new Set(rows.map(row => row.category))];
+    const checkpoint = beginHistoryStep();
+    
+    if (replaceExisting) {
+        categories.forEach(category => {
+            matchData[category] = [];
+        });
+    }
+    
+    rows.forEach(row => {
+        processMatchScore(row.category, matchData[row.category].length + 1, row.scores[0], row.scores[1], row.timestamp, {
+            date: formatDateISO(row.timestamp),
+            opponent: row.opponent,
+            venue: row.venue,
+            competition: row.competition,
+            importance: guessCompetitionImportance(row.competition)
+        });
+    });
+    
+    // Renumber in date order
+    categories.forEach(category => {
+        renumberMatches(category);
+        updateMatchSummary(category);
+    });
+    
+    updateDataSufficiencyIndicators();
+    saveWorkingSession();
+    commitHistoryStep(checkpoint, 'Import CSV matches');
+    resetCsvImport();
+    
+    showToast(`Imported ${rows.length} matches from CSV`, 'success');
+}
+
+// Guess a competition tag from a free-text competition name
+function guessCompetitionImportance(competition) {
+    if (!competition) return 'regular';
+    if (/friendl/i.test(competition)) return 'friendly';
+    if (/final|championship/i.test(competition)) return 'championship';
+    if (/play-?offs?/i.test(competition)) return 'playoffs';
+    if (/cup|tournament|trophy/i.test(competition)) return 'tournament';
+    return 'regular';
+}
+
+// Clear the importer
+function resetCsvImport() {
+    csvImportState = null;
+    document.getElementById('csv-text').value = '';
+    ['csv-mapping', 'csv-preview'].forEach(id => {
+        const element = document.getElementById(id);
+        element.innerHTML = '';
+        element.classList.add('hidden');
+    });
+}
+
+
+// UNDO / REDO HISTORY
+// =============================
+
+// Snapshot the state before a change; nested steps inside a batch are folded into the batch
+function beginHistoryStep() {
+    return historyBatchDepth > 0 ? null : captureSessionState();
+}
+
+// Record a change as an undoable step. Steps with the same merge key in quick succession
+// (e.g. typing into one input) are merged into a single step.
+function commitHistoryStep(before, label, mergeKey = null) {
+    if (!before) return;
+    
+    const after = captureSessionState();
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    
+    const now = Date.now();
+    const previous = undoStack[undoStack.length - 1];
+    
+    if (mergeKey && previous && previous === lastHistoryEntry && previous.mergeKey === mergeKey &&
+        now - previous.recordedAt < HISTORY_MERGE_WINDOW_MS) {
+        previous.after = after;
+        previous.recordedAt = now;
+    } else {
+        lastHistoryEntry = { label, before, after, mergeKey, recordedAt: now };
+        undoStack.push(lastHistoryEntry);
+        if (undoStack.length > HISTORY_LIMIT) {
+            undoStack.shift();
+        }
+    }
+    
+    redoStack = [];
+    updateHistoryControls();
+}
+
+// Run several changes as a single undoable step
+function recordHistoryBatch(label, action) {
+    const checkpoint = beginHistoryStep();
+    historyBatchDepth++;
+    
+    try {
+        action();
+    } finally {
+        historyBatchDepth--;
+    }
+    
+    commitHistoryStep(checkpoint, label);
+}
+
+// Undo the most recent step
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) {
+        showToast('Nothing to undo', 'info');
+        return;
+    }
+    
+    restoreHistoryState(entry.before);
+    redoStack.push(entry);
+    updateHistoryControls();
+    
+    showToast(`Undid: ${entry.label}`, 'info');
+}
+
+// Redo the most recently undone step
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) {
+        showToast('Nothing to redo', 'info');
+        return;
+    }
+    
+    restoreHistoryState(entry.after);
+    undoStack.push(entry);
+    updateHistoryControls();
+    
+    showToast(`Redid: ${entry.label}`, 'info');
+}
+
+// Forget every step, e.g. once a saved session or an imported workspace replaces the whole state; its
+// snapshots belong to another matchup and undoing into them would save that matchup over the open session
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    lastHistoryEntry = null;
+    updateHistoryControls();
+}
+
+// Apply a history snapshot without recording it as a new step
+function restoreHistoryState(state) {
+    lastHistoryEntry = null;
+    applySessionState(state);
+    saveWorkingSession();
+}
+
+// Enable/disable the undo and redo buttons and describe the step they act on
+function updateHistoryControls() {
+    const undoButton = document.getElementById('undo-btn');
+    const redoButton = document.getElementById('redo-btn');
+    const nextUndo = undoStack[undoStack.length - 1];
+    const nextRedo = redoStack[redoStack.length - 1];
+    
+    undoButton.disabled = !nextUndo;
+    undoButton.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoButton.disabled = !nextRedo;
+    redoButton.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) outside of text fields, which keep the browser's own undo
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    
+    const key = event.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    if (isTextEntryElement(event.target)) return;
+    
+    event.preventDefault();
+    if (key === 'y' || event.shiftKey) {
+        redo();
+    } else {
+        undo();
+    }
+}
+
+// Whether an element is a field the user types text into
+function isTextEntryElement(element) {
+    if (!element || !element.tagName) return false;
+    if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+    
+    return element.tagName === 'INPUT' &&
+        !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'].includes(element.type);
+}
+
+
+// TEAM DATABASE
+// =============================
+// Load the team database from storage
+function loadTeamDatabase() {
+    const stored = loadFromStorage(STORAGE_KEYS.TEAM_DATABASE, null);
+    teamDatabase = {
+        teams: stored && Array.isArray(stored.teams) ? stored.teams : [],
+        matches: stored && Array.isArray(stored.matches) ? stored.matches : []
+    };
+}
+
+// Persist the team database
+function saveTeamDatabase() {
+    if (!saveToStorage(STORAGE_KEYS.TEAM_DATABASE, teamDatabase)) {
+        showToast('Could not save the team database. Browser storage may be full.', 'error');
+    }
+}
+
+// Find a database team by id
+function findTeamById(teamId) {
+    return teamId ? teamDatabase.teams.find(team => team.id === teamId) || null : null;
+}
+
+// Find a database team by its name or one of its aliases
+function findTeamByName(name) {
+    const key = normalizeCsvKey(name);
+    if (!key) return null;
+    
+    return teamDatabase.teams.find(team => 
+        [team.name, ...team.aliases].some(teamName => normalizeCsvKey(teamName) === key)
+    ) || null;
+}
+
+// Normalized names a team can appear under: the entered name, plus database aliases when linked
+function getTeamNameKeys(name, teamId) {
+    const team = findTeamById(teamId);
+    const names = team ? [name, team.name, ...team.aliases] : [name];
+    return names.map(normalizeCsvKey);
+}
+
+// Place a home/away result in a matchup category. Scores are [selected team, other side] (H2H is always
+// [team 1, team 2]) and the venue is from the selected team's point of view (team 1 for H2H).
+function orientResult(homeSide, awaySide, homeScore, awayScore) {
+    if (homeSide === 'team1' && awaySide === 'team2') {
+        return { category: 'h2h', scores: [homeScore, awayScore], venue: 'home', opponentIsHome: false };
+    }
+    if (homeSide === 'team2' && awaySide === 'team1') {
+        return { category: 'h2h', scores: [awayScore, homeScore], venue: 'away', opponentIsHome: true };
+    }
+    if (homeSide) {
+        return { category: homeSide, scores: [homeScore, awayScore], venue: 'home', opponentIsHome: false };
+    }
+    if (awaySide) {
+        return { category: awaySide, scores: [awayScore, homeScore], venue: 'away', opponentIsHome: true };
+    }
+    return null;
+}
+
+// Keep the team pickers and name inputs in step after one of them changes
+function handleTeamSelection(changedId) {
+    ['team1', 'team2'].forEach(side => {
+        const select = document.getElementById(`${side}-select`);
+        const nameInput = document.getElementById(side);
+        const otherSelect = document.getElementById(`${side === 'team1' ? 'team2' : 'team1'}-select`);
+        
+        if (changedId === select.id) {
+            if (select.value && select.value === otherSelect.value) {
+                showToast('Team 1 and Team 2 must be different teams', 'warning');
+                select.value = '';
+                return;
+            }
+            
+            const team = findTeamById(select.value);
+            if (team) {
+                nameInput.value = team.name;
+            }
+        } else if (changedId === side && select.value) {
+            const team = findTeamByName(nameInput.value);
+            if (!team || team.id !== select.value) {
+                select.value = '';
+            }
+        }
+    });
+}
+
+// Rebuild the matchup's H2H and recent matches from the database results of the two linked teams
+function deriveMatchDataFromDatabase() {
+    const loadedCount = loadMatchupFromResults(teamDatabase.matches);
+    
+    ['h2h', 'team1', 'team2'].forEach(updateMatchSummary);
+    updateDataSufficiencyIndicators();
+    
+    return loadedCount;
+}
+
+// Replace the match data with the results (database format) involving the two linked teams
+function loadMatchupFromResults(results) {
+    const sides = { [team1Id]: 'team1', [team2Id]: 'team2' };
+    let loadedCount = 0;
+    
+    matchData.h2h = [];
+    matchData.team1 = [];
+    matchData.team2 = [];
+    editingMatch = null;
+    
+    results
+        .slice()
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(result => {
+            const oriented = orientResult(sides[result.homeTeamId] || null, sides[result.awayTeamId] || null,
+                result.homeScore, result.awayScore);
+            if (!oriented) return;
+            
+            const opponent = oriented.category === 'h2h' ? null :
+                findTeamById(oriented.opponentIsHome ? result.homeTeamId : result.awayTeamId);
+            
+            processMatchScore(oriented.category, matchData[oriented.category].length + 1,
+                oriented.scores[0], oriented.scores[1], result.timestamp, {
+                    date: result.date,
+                    opponent: opponent ? opponent.name : null,
+                    venue: result.neutral ? 'neutral' : oriented.venue,
+                    competition: result.competition,
+                    importance: result.importance
+                });
+            loadedCount++;
+        });
+    
+    ['h2h', 'team1', 'team2'].forEach(renumberMatches);
+    
+    return loadedCount;
+}
+
+// Bring the linked matchup up to date after the database changes
+function refreshLinkedMatchup() {
+    if (!team1Id && !team2Id) return;
+    
+    recordHistoryBatch('Update from team database', () => {
+        // Linked teams follow renames; deleted teams are unlinked by the re-rendered pickers
+        [['team1', team1Id], ['team2', team2Id]].forEach(([side, teamId]) => {
+            const team = findTeamById(teamId);
+            if (team) {
+                document.getElementById(side).value = team.name;
+            }
+        });
+        
+        handleTeamSetup();
+        if (team1Id && team2Id) {
+            deriveMatchDataFromDatabase();
+            saveWorkingSession();
+        }
+    });
+}
+
+// Parse a comma separated alias list, dropping blanks and duplicates of the name
+function parseAliases(text, name) {
+    const aliases = text.split(',').map(alias => alias.trim()).filter(Boolean);
+    return [...new Set(aliases)].filter(alias => normalizeCsvKey(alias) !== normalizeCsvKey(name));
+}
+
+// Add a team, or save changes to the team being edited
+function saveDatabaseTeam() {
+    const name = document.getElementById('db-team-name').value.trim();
+    const aliases = parseAliases(document.getElementById('db-team-aliases').value, name);
+    const league = document.getElementById('db-team-league').value.trim() || null;
+    
+    if (!name) {
+        showToast('Please enter a team name', 'warning');
+        return;
+    }
+    
+    // Names and aliases must identify a single team
+    const conflict = [name, ...aliases]
+        .map(teamName => ({ teamName, team: findTeamByName(teamName) }))
+        .find(({ team }) => team && team.id !== editingTeamId);
+    if (conflict) {
+        showToast(`"${conflict.teamName}" is already used by ${conflict.team.name}`, 'error');
+        return;
+    }
+    
+    if (editingTeamId) {
+        const team = findTeamById(editingTeamId);
+        team.name = name;
+        team.aliases = aliases;
+        team.league = league;
+        showToast(`Updated ${name}`, 'success');
+    } else {
+        teamDatabase.teams.push({ id: generateId('team'), name, aliases, league });
+        showToast(`Added ${name} to the team database`, 'success');
+    }
+    
+    saveTeamDatabase();
+    resetTeamForm();
+    renderTeamDatabase();
+    refreshLinkedMatchup();
+}
+
+// Load a team into the team form for editing
+function editDatabaseTeam(teamId) {
+    const team = findTeamById(teamId);
+    if (!team) return;
+    
+    editingTeamId = team.id;
+    document.getElementById('db-team-name').value = team.name;
+    document.getElementById('db-team-aliases').value = team.aliases.join(', ');
+    document.getElementById('db-team-league').value = team.league || '';
+    document.getElementById('db-save-team-btn').innerHTML = '<span class="material-symbols-outlined">save</span> Save Team';
+    document.getElementById('db-cancel-team-btn').classList.remove('hidden');
+    document.getElementById('db-team-name').focus();
+}
+
+// Clear the team form and leave edit mode
+function resetTeamForm() {
+    editingTeamId = null;
+    ['db-team-name', 'db-team-aliases', 'db-team-league'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('db-save-team-btn').innerHTML = '<span class="material-symbols-outlined">person_add</span> Add Team';
+    document.getElementById('db-cancel-team-btn').classList.add('hidden');
+}
+
+// Delete a team and its results
+function deleteDatabaseTeam(teamId) {
+    const team = findTeamById(teamId);
+    if (!team) return;
+    
+    const results = teamDatabase.matches.filter(result => result.homeTeamId === teamId || result.awayTeamId === teamId);
+    if (results.length > 0 && !confirm(`Delete ${team.name} and its ${results.length} results?`)) {
+        return;
+    }
+    
+    teamDatabase.teams = teamDatabase.teams.filter(saved => saved.id !== teamId);
+    teamDatabase.matches = teamDatabase.matches.filter(result => !results.includes(result));
+    if (editingTeamId === teamId) {
+        resetTeamForm();
+    }
+    
+    saveTeamDatabase();
+    renderTeamDatabase();
+    refreshLinkedMatchup();
+    
+    showToast(`Deleted ${team.name}`, 'info');
+}
+
+// Handle edit/delete buttons in the team list
+function handleDatabaseTeamAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    if (button.dataset.action === 'edit') {
+        editDatabaseTeam(button.dataset.teamId);
+    } else if (button.dataset.action === 'delete') {
+        deleteDatabaseTeam(button.dataset.teamId);
+    }
+}
+
+// Add a result between two database teams, returning an error message or null
+function addResultToDatabase(result) {
+    if (result.homeTeamId === result.awayTeamId) {
+        return 'Home and away teams must be different';
+    }
+    
+    const duplicate = teamDatabase.matches.some(saved => 
+        saved.homeTeamId === result.homeTeamId && saved.awayTeamId === result.awayTeamId && saved.date === result.date
+    );
+    if (duplicate) {
+        return 'This result is already recorded';
+    }
+    
+    teamDatabase.matches.push({ id: generateId('result'), ...result });
+    return null;
+}
+
+// Add a result from the results form
+function addDatabaseResult() {
+    const homeTeamId = document.getElementById('db-home-team').value;
+    const awayTeamId = document.getElementById('db-away-team').value;
+    const homeScoreText = document.getElementById('db-home-score').value.trim();
+    const awayScoreText = document.getElementById('db-away-score').value.trim();
+    const dateText = document.getElementById('db-result-date').value.trim();
+    
+    if (!homeTeamId || !awayTeamId) {
+        showToast('Add teams to the database, then pick the home and away teams', 'warning');
+        return;
+    }
+    if (!/^\d+$/.test(homeScoreText) || !/^\d+$/.test(awayScoreText)) {
+        showToast('Scores must be non-negative whole numbers', 'error');
+        return;
+    }
+    
+    const timestamp = parseCsvDate(dateText, 'dmy');
+    if (timestamp === null) {
+        showToast(dateText ? `Invalid date "${dateText}"` : 'Please enter the match date', 'error');
+        return;
+    }
+    
+    const error = addResultToDatabase({
+        homeTeamId,
+        awayTeamId,
+        homeScore: parseInt(homeScoreText),
+        awayScore: parseInt(awayScoreText),
+        date: formatDateISO(timestamp),
+        timestamp,
+        neutral: document.getElementById('db-result-neutral').checked,
+        competition: document.getElementById('db-result-competition').value.trim() || null,
+        importance: document.getElementById('db-result-importance').value
+    });
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    
+    ['db-home-score', 'db-away-score'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    
+    saveTeamDatabase();
+    renderTeamDatabase();
+    refreshLinkedMatchup();
+    
+    showToast('Result added to the team database', 'success');
+}
+
+// Handle delete buttons in the results list
+function handleDatabaseResultAction(event) {
+    const button = event.target.closest('button[data-action="delete"]');
+    if (!button) return;
+    
+    teamDatabase.matches = teamDatabase.matches.filter(result => result.id !== button.dataset.resultId);
+    saveTeamDatabase();
+    renderTeamDatabase();
+    refreshLinkedMatchup();
+    
+    showToast('Result deleted', 'info');
+}
+
+// Save every valid CSV row to the database, creating teams that are not known yet
+function saveCsvRowsToDatabase() {
+    const rows = classifyCsvRows().filter(row => row.errors.length === 0);
+    let addedCount = 0;
+    let newTeamCount = 0;
+    
+    const resolveTeam = (name, league) => {
+        let team = findTeamByName(name);
+        if (!team) {
+            team = { id: generateId('team'), name, aliases: [], league: league || null };
+            teamDatabase.teams.push(team);
+            newTeamCount++;
+        }
+        return team;
+    };
+    
+    rows.forEach(row => {
+        const error = addResultToDatabase({
+            homeTeamId: resolveTeam(row.homeTeam, row.competition).id,
+            awayTeamId: resolveTeam(row.awayTeam, row.competition).id,
+            homeScore: parseInt(row.homeScore),
+            awayScore: parseInt(row.awayScore),
+            date: formatDateISO(row.timestamp),
+            timestamp: row.timestamp,
+            neutral: false,
+            competition: row.competition || null,
+            importance: guessCompetitionImportance(row.competition)
+        });
+        if (!error) addedCount++;
+    });
+    
+    saveTeamDatabase();
+    renderTeamDatabase();
+    refreshLinkedMatchup();
+    resetCsvImport();
+    
+    const skippedCount = rows.length - addedCount;
+    showToast(`Added ${addedCount} results and ${newTeamCount} new teams to the team database` +
+        (skippedCount > 0 ? ` (${skippedCount} already recorded)` : ''), 'success');
+}
+
+// Render the team list, results list and every team picker
+function renderTeamDatabase() {
+    const teams = teamDatabase.teams.slice().sort((a, b) => a.name.localeCompare(b.name));
+    const teamOptions = teams.map(team => `<option value="${team.id}">${escapeHtml(team.name)}</option>`).join('');
+    
+    // Team pickers keep their selection when it still exists
+    [['team1-select', team1Id], ['team2-select', team2Id]].forEach(([id, selectedId]) => {
+        const select = document.getElementById(id);
+        select.innerHTML = `<option value="">Enter name manually</option>${teamOptions}`;
+        select.value = findTeamById(selectedId) ? selectedId : '';
+    });
+    ['db-home-team', 'db-away-team'].forEach(id => {
+        const select = document.getElementById(id);
+        const selectedId = select.value;
+        select.innerHTML = teamOptions;
+        if (findTeamById(selectedId)) {
+            select.value = selectedId;
+        }
+    });
+    
+    const leagues = [...new Set(teams.map(team => team.league).filter(Boolean))].sort();
+    document.getElementById('db-league-options').innerHTML = leagues
+        .map(league => `<option value="${escapeHtml(league)}"></option>`).join('');
+    
+    renderDatabaseTeamList(teams, leagues);
+    renderDatabaseResultList();
+}
+
+// Render the teams grouped by league
+function renderDatabaseTeamList(teams, leagues) {
+    const listElement = document.getElementById('db-team-list');
+    
+    if (teams.length === 0) {
+        listElement.innerHTML = '<p>No teams yet.</p>';
+        return;
+    }
+    
+    const resultCounts = {};
+    teamDatabase.matches.forEach(result => {
+        resultCounts[result.homeTeamId] = (resultCounts[result.homeTeamId] || 0) + 1;
+        resultCounts[result.awayTeamId] = (resultCounts[result.awayTeamId] || 0) + 1;
+    });
+    
+    const groups = [...leagues, null]
+        .map(league => ({ league, teams: teams.filter(team => (team.league || null) === league) }))
+        .filter(group => group.teams.length > 0);
+    
+    listElement.innerHTML = groups.map(group => `
+        <div class="team-db-league">${escapeHtml(group.league || 'No league')}</div>
+        ${group.teams.map(team => `
+            <div class="team-db-item">
+                <div>
+                    <div class="team-db-name">${escapeHtml(team.name)}</div>
+                    <div class="team-db-meta">
+                        ${team.aliases.length > 0 ? `Also: ${escapeHtml(team.aliases.join(', '))} · ` : ''}${resultCounts[team.id] || 0} results
+                    </div>
+                </div>
+                <div class="session-actions">
+                    <button type="button" class="btn-icon" data-action="edit" data-team-id="${team.id}" title="Edit">
+                        <span class="material-symbols-outlined">edit</span>
+                    </button>
+                    <button type="button" class="btn-icon" data-action="delete" data-team-id="${team.id}" title="Delete">
+                        <span class="material-symbols-outlined">delete</span>
+                    </button>
+                </div>
+            </div>
+        `).join('')}
+    `).join('');
+}
+
+// Render the most recent results
+function renderDatabaseResultList() {
+    const listElement = document.getElementById('db-result-list');
+    const maxShown = 25;
+    const results = teamDatabase.matches.slice().sort((a, b) => b.timestamp - a.timestamp);
+    
+    if (results.length === 0) {
+        listElement.innerHTML = '<p>No results yet.</p>';
+        return;
+    }
+    
+    const teamName = teamId => {
+        const team = findTeamById(teamId);
+        return team ? escapeHtml(team.name) : 'Unknown team';
+    };
+    
+    listElement.innerHTML = results.slice(0, maxShown).map(result => `
+        <div class="team-db-item">
+            <div>
+                <div class="team-db-name">
+                    ${teamName(result.homeTeamId)} ${result.homeScore} - ${result.awayScore} ${teamName(result.awayTeamId)}
+                </div>
+                <div class="team-db-meta">
+                    ${result.date}${result.competition ? ` · ${escapeHtml(result.competition)}` : ''}${result.neutral ? ' · Neutral venue' : ''}
+                </div>
+            </div>
+            <div class="session-actions">
+                <button type="button" class="btn-icon" data-action="delete" data-result-id="${result.id}" title="Delete">
+                    <span class="material-symbols-outlined">delete</span>
+                </button>
+            </div>
+        </div>
+    `).join('') + (results.length > maxShown ? `<p class="team-db-meta">Showing the latest ${maxShown} of ${results.length} results.</p>` : '');
+}
+
+// MONTE CARLO SIMULATION
+// =============================
+// Seedable pseudo-random generator (mulberry32) returning numbers in [0, 1)
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Draw a score from a cumulative distribution (cdf[score] = P(X <= score)) by inverse transform
+function sampleFromCdf(cdf, random) {
+    const target = random();
+    let low = 0;
+    let high = cdf.length - 1;
+    
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (cdf[middle] > target) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    
+    return low;
+}
+
+// Simulate matches from the two teams' score distributions with the Dixon-Coles low-score adjustment
+// (applied by rejection), then settle level games by the sport's overtime rules: extra periods sampled
+// from their own distributions, or a sudden-death tiebreak worth one goal to the winner.
+// Must stay self-contained: it is also run inside the worker.
+function simulateMatchScores(options) {
+    const { team1Mean, team2Mean, team1Cdf, team2Cdf, rho, overtime, runs, seed } = options;
+    const random = createSeededRandom(seed);
+    const tauMax = Math.max(1, 1 - team1Mean * team2Mean * rho, 1 + team1Mean * rho, 1 + team2Mean * rho, 1 - rho);
+    
+    const outcomes = { team1Win: 0, draw: 0, team2Win: 0, overtime: 0 };
+    const tallies = { team1Score: {}, team2Score: {}, total: {}, margin: {} };
+    const addToTally = (tally, value) => {
+        tally[value] = (tally[value] || 0) + 1;
+    };
+    
+    for (let run = 0; run < runs; run++) {
+        let team1Score;
+        let team2Score;
+        do {
+            team1Score = sampleFromCdf(team1Cdf, random);
+            team2Score = sampleFromCdf(team2Cdf, random);
+        } while (rho !== 0 && random() * tauMax > Math.max(0, dixonColesTau(team1Score, team2Score, team1Mean, team2Mean, rho)));
+        
+        if (overtime && team1Score === team2Score) {
+            outcomes.overtime++;
+            if (overtime.type === 'suddenDeath') {
+                if (random() < overtime.team1Share) {
+                    team1Score++;
+                } else {
+                    team2Score++;
+                }
+            } else {
+                while (team1Score === team2Score) {
+                    team1Score += sampleFromCdf(overtime.team1Cdf, random);
+                    team2Score += sampleFromCdf(overtime.team2Cdf, random);
+                }
+            }
+        }
+        
+        if (team1Score > team2Score) {
+            outcomes.team1Win++;
+        } else if (team1Score < team2Score) {
+            outcomes.team2Win++;
+        } else {
+            outcomes.draw++;
+        }
+        
+        addToTally(tallies.team1Score, team1Score);
+        addToTally(tallies.team2Score, team2Score);
+        addToTally(tallies.total, team1Score + team2Score);
+        addToTally(tallies.margin, team1Score - team2Score);
+    }
+    
+    // Histograms as { min, counts }, where counts[i] is the number of runs with value min + i
+    const toHistogram = tally => {
+        const values = Object.keys(tally).map(Number);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const counts = [];
+        for (let value = min; value <= max; value++) {
+            counts.push(tally[value] || 0);
+        }
+        return { min, counts };
+    };
+    
+    return {
+        runs,
+        seed,
+        team1Mean,
+        team2Mean,
+        rho,
+        outcomes,
+        team1Score: toHistogram(tallies.team1Score),
+        team2Score: toHistogram(tallies.team2Score),
+        total: toHistogram(tallies.total),
+        margin: toHistogram(tallies.margin)
+    };
+}
+
+// Create the simulation worker from the functions' own source, so it also works when the page is opened from file://
+function getSimulationWorker() {
+    if (simulationWorker || typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+        return simulationWorker;
+    }
+    
+    const source = [createSeededRandom, sampleFromCdf, dixonColesTau, simulateMatchScores]
+        .map(fn => fn.toString())
+        .join('\n\n') + `
+self.onmessage = function(event) {
+    self.postMessage({ id: event.data.id, simulation: simulateMatchScores(event.data.options) });
+};`;
+    
+    try {
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        simulationWorker = new Worker(url);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Could not start simulation worker:', error);
+        simulationWorker = null;
+    }
+    
+    return simulationWorker;
+}
+
+// Simulate the analysed match off the main thread and render the distribution when it arrives
+function runMatchSimulation(results) {
+    const statusElement = document.getElementById('simulation-status');
+    
+    if (!results || !results.scoreModel) {
+        statusElement.textContent = 'Run the analysis to simulate this match.';
+        return;
+    }
+    
+    const runs = parseInt(document.getElementById('sim-runs').value, 10);
+    if (isNaN(runs) || runs < SIMULATION.MIN_RUNS || runs > SIMULATION.MAX_RUNS) {
+        showToast(`Simulated matches must be between ${SIMULATION.MIN_RUNS.toLocaleString()} and ${SIMULATION.MAX_RUNS.toLocaleString()}`, 'error');
+        return;
+    }
+    
+    // A blank seed picks a random one, which is reported so the run can be reproduced
+    const seedText = document.getElementById('sim-seed').value.trim();
+    const seed = seedText === '' ? Math.floor(Math.random() * 2147483647) : parseInt(seedText, 10);
+    if (isNaN(seed) || seed < 0) {
+        showToast('The random seed must be a non-negative whole number', 'error');
+        return;
+    }
+    
+    const sport = getSportProfile();
+    const team1Mean = results.scoreModel.team1ExpectedGoals;
+    const team2Mean = results.scoreModel.team2ExpectedGoals;
+    const toCdf = mean => {
+        let cumulative = 0;
+        return calculateScorePmf(mean, sport).map(probability => (cumulative += probability));
+    };
+    const overtime = !sport.overtime ? null : (sport.overtime.type === 'suddenDeath' ? {
+        type: 'suddenDeath',
+        team1Share: calculateSuddenDeathShare(team1Mean, team2Mean, sport.overtime)
+    } : {
+        type: 'extraPeriods',
+        team1Cdf: toCdf(team1Mean * sport.overtime.periodShare),
+        team2Cdf: toCdf(team2Mean * sport.overtime.periodShare)
+    });
+    
+    const options = {
+        team1Mean,
+        team2Mean,
+        team1Cdf: toCdf(team1Mean),
+        team2Cdf: toCdf(team2Mean),
+        rho: sport.lowScoreDependence ? results.scoreModel.rho : 0,
+        overtime,
+        runs,
+        seed
+    };
+    const jobId = ++simulationJobId;
+    
+    statusElement.textContent = `Simulating ${runs.toLocaleString()} matches...`;
+    document.getElementById('sim-run-btn').disabled = true;
+    
+    const worker = getSimulationWorker();
+    if (worker) {
+        worker.onmessage = event => finishMatchSimulation(event.data.id, results, event.data.simulation);
+        worker.onerror = error => {
+            console.error('Simulation worker failed:', error);
+            worker.terminate();
+            simulationWorker = null;
+            finishMatchSimulation(jobId, results, simulateMatchScores(options));
+        };
+        worker.postMessage({ id: jobId, options });
+    } else {
+        // No worker support: run on the main thread once the loading state has painted
+        setTimeout(() => finishMatchSimulation(jobId, results, simulateMatchScores(options)), 0);
+    }
+}
+
+// Store and show a finished simulation, ignoring runs superseded by a newer analysis or simulation
+function finishMatchSimulation(jobId, results, simulation) {
+    if (jobId !== simulationJobId) return;
+    
+    document.getElementById('sim-run-btn').disabled = false;
+    if (results !== lastAnalysisResults) return;
+    
+    results.simulation = simulation;
+    saveWorkingSession();
+    renderMatchSimulation(simulation);
+}
+
+// Value at the given percentile of a histogram
+function getHistogramPercentile(histogram, percentile) {
+    const total = histogram.counts.reduce((sum, count) => sum + count, 0);
+    const target = total * percentile / 100;
+    let cumulative = 0;
+    
+    for (let index = 0; index < histogram.counts.length; index++) {
+        cumulative += histogram.counts[index];
+        if (cumulative >= target) {
+            return histogram.min + index;
+        }
+    }
+    
+    return histogram.min + histogram.counts.length - 1;
+}
+
+// Mean value of a histogram
+function getHistogramMean(histogram) {
+    const total = histogram.counts.reduce((sum, count) => sum + count, 0);
+    const sum = histogram.counts.reduce((acc, count, index) => acc + count * (histogram.min + index), 0);
+    return total > 0 ? sum / total : 0;
+}
+
+// Share of runs above, exactly on and below a line
+function getHistogramLineProbabilities(histogram, line) {
+    const total = histogram.counts.reduce((sum, count) => sum + count, 0);
+    const shares = { above: 0, push: 0, below: 0 };
+    
+    histogram.counts.forEach((count, index) => {
+        const value = histogram.min + index;
+        if (value > line) {
+            shares.above += count / total;
+        } else if (value < line) {
+            shares.below += count / total;
+        } else {
+            shares.push += count / total;
+        }
+    });
+    
+    return shares;
+}
+
+// Share of runs settling each way for Team 1's side of a handicap, from the margin histogram
+function getHistogramHandicapShares(histogram, handicap) {
+    const total = histogram.counts.reduce((sum, count) => sum + count, 0);
+    const shares = { win: 0, halfWin: 0, push: 0, halfLoss: 0, loss: 0 };
+    
+    histogram.counts.forEach((count, index) => {
+        const result = calculateHandicapResult(histogram.min + index, 0, handicap);
+        shares[SETTLEMENT_RESULTS.find(settlement => settlement.result === result).key] += count / total;
+    });
+    
+    return shares;
+}
+
+// Show outcome frequencies, percentile bands and histograms for a simulation
+function renderMatchSimulation(simulation) {
+    const formatPercent = count => `${(count / simulation.runs * 100).toFixed(1)}%`;
+    const sport = getSportProfile();
+    const rows = [
+        [`${escapeHtml(team1Name)} ${sport.unitPlural}`, simulation.team1Score],
+        [`${escapeHtml(team2Name)} ${sport.unitPlural}`, simulation.team2Score],
+        ['Total', simulation.total],
+        [`Margin (${escapeHtml(team1Name)})`, simulation.margin]
+    ];
+    
+    document.getElementById('simulation-status').textContent =
+        `${simulation.runs.toLocaleString()} simulated matches · seed ${simulation.seed} (enter it above to reproduce this run)`;
+    
+    document.getElementById('simulation-summary').innerHTML = `
+        <p>
+            <strong>${escapeHtml(team1Name)} win:</strong> ${formatPercent(simulation.outcomes.team1Win)} ·
+            ${sport.drawsPossible ? `<strong>Draw:</strong> ${formatPercent(simulation.outcomes.draw)} ·` : ''}
+            <strong>${escapeHtml(team2Name)} win:</strong> ${formatPercent(simulation.outcomes.team2Win)}
+            ${simulation.outcomes.overtime && sport.overtime ? `· <strong>Decided in ${sport.overtime.label}:</strong> ${formatPercent(simulation.outcomes.overtime)}` : ''}
+        </p>
+        <div class="csv-table-wrapper simulation-summary-table">
+            <table class="csv-table">
+                <thead>
+                    <tr><th></th><th>Mean</th>${SIMULATION.PERCENTILES.map(percentile => `<th>P${percentile}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, histogram]) => `
+                        <tr>
+                            <td>${label}</td>
+                            <td>${getHistogramMean(histogram).toFixed(2)}</td>
+                            ${SIMULATION.PERCENTILES.map(percentile => `<td>${getHistogramPercentile(histogram, percentile)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    // Default the line checks to the entered betting lines
+    const totalLineInput = document.getElementById('sim-total-line');
+    const spreadLineInput = document.getElementById('sim-spread-line');
+    if (totalLineInput.value === '' && totalLine > 0) {
+        totalLineInput.value = totalLine;
+    }
+    if (spreadLineInput.value === '' && spreadHandicap !== null) {
+        spreadLineInput.value = spreadHandicap;
+    }
+    updateSimulationLineProbabilities();
+    
+    simulationTotalChart = createSimulationHistogramChart('simulation-total-chart', simulationTotalChart,
+        simulation.total, 'Total', '66, 133, 244');
+    simulationMarginChart = createSimulationHistogramChart('simulation-margin-chart', simulationMarginChart,
+        simulation.margin, `Margin (${team1Name})`, '52, 168, 83');
+}
+
+// Probability of clearing the entered total and handicap in the current simulation
+function updateSimulationLineProbabilities() {
+    const outputElement = document.getElementById('simulation-line-probabilities');
+    const simulation = lastAnalysisResults && lastAnalysisResults.simulation;
+    if (!simulation) {
+        outputElement.innerHTML = '';
+        return;
+    }
+    
+    const formatShare = share => `${(share * 100).toFixed(1)}%`;
+    const lines = [];
+    
+    const totalValue = parseFloat(document.getElementById('sim-total-line').value);
+    if (!isNaN(totalValue)) {
+        const shares = getHistogramLineProbabilities(simulation.total, totalValue);
+        lines.push(`<li><strong>Total ${totalValue}:</strong> Over ${formatShare(shares.above)} · Under ${formatShare(shares.below)}` +
+            `${shares.push > 0 ? ` · Push ${formatShare(shares.push)}` : ''}</li>`);
+    }
+    
+    // Team 1 covers a handicap h when its margin + h is positive; quarter lines can be half won or half lost
+    const handicap = readHandicapInput('sim-spread-line');
+    if (handicap !== null) {
+        const shares = getHistogramHandicapShares(simulation.margin, handicap);
+        const partial = [['Half won', shares.halfWin], ['Push', shares.push], ['Half lost', shares.halfLoss]]
+            .filter(([, share]) => share > 0)
+            .map(([label, share]) => ` · ${label} ${formatShare(share)}`)
+            .join('');
+        lines.push(`<li><strong>${escapeHtml(team1Name)} ${formatHandicap(handicap)}:</strong> Covers ${formatShare(shares.win)}${partial} · ` +
+            `${escapeHtml(team2Name)} covers ${formatShare(shares.loss)}</li>`);
+    }
+    
+    outputElement.innerHTML = lines.length > 0 ? `<ul>${lines.join('')}</ul>` : '<p>Enter a total or handicap to see how often it is cleared.</p>';
+}
+
+// Histogram chart with the P25-P75 band shaded darkest and the P5-P95 band lighter
+function createSimulationHistogramChart(canvasId, existingChart, histogram, label, rgb) {
+    if (existingChart) {
+        existingChart.destroy();
+    }
+    
+    const ctx = document.getElementById(canvasId).getContext('2d');
+    const total = histogram.counts.reduce((sum, count) => sum + count, 0);
+    const [p5, p25, , p75, p95] = SIMULATION.PERCENTILES.map(percentile => getHistogramPercentile(histogram, percentile));
+    const values = histogram.counts.map((_, index) => histogram.min + index);
+    
+    return new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: values.map(String),
+            datasets: [{
+                label: `${label} (% of simulations)`,
+                data: histogram.counts.map(count => (count / total * 100).toFixed(2)),
+                backgroundColor: values.map(value => {
+                    if (value >= p25 && value <= p75) return `rgba(${rgb}, 0.85)`;
+                    if (value >= p5 && value <= p95) return `rgba(${rgb}, 0.45)`;
+                    return `rgba(${rgb}, 0.15)`;
+                }),
+                borderColor: `rgba(${rgb}, 1)`,
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                title: {
+                    display: true,
+                    text: `${label}: 50% band ${p25} to ${p75}, 90% band ${p5} to ${p95}`,
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Probability (%)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// BACKTESTING
+// =============================
+// Fixture columns the backtest reads; the result columns share the match importer's header names
+const BACKTEST_FIELDS = {
+    date: CSV_IMPORT_FIELDS.date,
+    homeTeam: CSV_IMPORT_FIELDS.homeTeam,
+    awayTeam: CSV_IMPORT_FIELDS.awayTeam,
+    homeScore: CSV_IMPORT_FIELDS.homeScore,
+    awayScore: CSV_IMPORT_FIELDS.awayScore,
+    totalLine: { label: 'Closing Total', required: false, aliases: ['total', 'totalline', 'closingtotal', 'ou', 'overunder'] },
+    homeSpread: { label: 'Closing Home Spread', required: false, aliases: ['homespread', 'spread', 'closingspread', 'handicap', 'ahch', 'ahh'] },
+    overOdds: { label: 'Over Odds', required: false, aliases: ['overodds', 'closingoverodds'] },
+    underOdds: { label: 'Under Odds', required: false, aliases: ['underodds', 'closingunderodds'] },
+    homeSpreadOdds: { label: 'Home Spread Odds', required: false, aliases: ['homespreadodds', 'pcahh', 'ahhodds'] },
+    awaySpreadOdds: { label: 'Away Spread Odds', required: false, aliases: ['awayspreadodds', 'pcaha', 'ahaodds'] }
+};
+
+// Read the chosen fixtures file into the backtest input
+function handleBacktestFileSelected(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('backtest-text').value = reader.result;
+        event.target.value = '';
+    };
+    reader.onerror = () => {
+        showToast('Could not read the selected file', 'error');
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+// Parse fixture rows into chronological fixtures; rows that cannot be used are reported, not fatal
+function parseBacktestFixtures(csvText, dateFormat) {
+    const rows = parseCsv(csvText.trim());
+    if (rows.length < 2) {
+        return { error: 'The CSV needs a header row and at least one fixture' };
+    }
+    
+    const mapping = guessCsvMapping(rows[0].map(header => header.trim()), BACKTEST_FIELDS);
+    const missing = Object.entries(BACKTEST_FIELDS)
+        .filter(([field, config]) => config.required && mapping[field] === -1)
+        .map(([, config]) => config.label);
+    if (missing.length > 0) {
+        return { error: `Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` };
+    }
+    
+    const cellAt = (row, field) => mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '';
+    const numberAt = (row, field) => {
+        const value = parseFloat(cellAt(row, field));
+        return isNaN(value) ? null : value;
+    };
+    const fixtures = [];
+    const skipped = [];
+    
+    rows.slice(1).forEach((row, index) => {
+        if (!row.some(cell => cell.trim() !== '')) return;
+        
+        const rowNumber = index + 2; // Header is row 1
+        const timestamp = parseCsvDate(cellAt(row, 'date'), dateFormat);
+        const homeTeam = cellAt(row, 'homeTeam');
+        const awayTeam = cellAt(row, 'awayTeam');
+        const homeScore = cellAt(row, 'homeScore');
+        const awayScore = cellAt(row, 'awayScore');
+        
+        if (timestamp === null) {
+            skipped.push(`Row ${rowNumber}: unrecognised date`);
+        } else if (!homeTeam || !awayTeam || normalizeCsvKey(homeTeam) === normalizeCsvKey(awayTeam)) {
+            skipped.push(`Row ${rowNumber}: missing or identical team names`);
+        } else if (!/^\d+$/.test(homeScore) || !/^\d+$/.test(awayScore)) {
+            skipped.push(`Row ${rowNumber}: scores must be whole numbers`);
+        } else {
+            const totalValue = numberAt(row, 'totalLine');
+            fixtures.push({
+                rowNumber,
+                timestamp,
+                date: formatDateISO(timestamp),
+                homeTeam,
+                awayTeam,
+                homeScore: parseInt(homeScore),
+                awayScore: parseInt(awayScore),
+                totalLine: totalValue > 0 ? totalValue : 0,
+                homeSpread: numberAt(row, 'homeSpread'), // Signed, negative when the home side gives points
+                odds: {
+                    over: numberAt(row, 'overOdds'),
+                    under: numberAt(row, 'underOdds'),
+                    homeSpread: numberAt(row, 'homeSpreadOdds'),
+                    awaySpread: numberAt(row, 'awaySpreadOdds')
+                }
+            });
+        }
+    });
+    
+    fixtures.sort((a, b) => a.timestamp - b.timestamp);
+    return { fixtures, skipped };
+}
+
+// Teams and results (database format) for the backtest. Fixture teams are matched to database teams
+// by name or alias when database results are included; the others get backtest-only ids.
+function buildBacktestHistory(fixtures, useDatabase) {
+    const teams = useDatabase ? teamDatabase.teams.slice() : [];
+    const idFor = name => {
+        const known = useDatabase ? findTeamByName(name) : null;
+        if (known) return known.id;
+        
+        const id = `backtest-${normalizeCsvKey(name)}`;
+        if (!teams.some(team => team.id === id)) {
+            teams.push({ id, name, aliases: [], league: '' });
+        }
+        return id;
+    };
+    
+    fixtures.forEach(fixture => {
+        fixture.homeTeamId = idFor(fixture.homeTeam);
+        fixture.awayTeamId = idFor(fixture.awayTeam);
+    });
+    
+    const results = fixtures.map(fixture => ({
+        id: `backtest-result-${fixture.rowNumber}`,
+        homeTeamId: fixture.homeTeamId,
+        awayTeamId: fixture.awayTeamId,
+        homeScore: fixture.homeScore,
+        awayScore: fixture.awayScore,
+        date: fixture.date,
+        timestamp: fixture.timestamp,
+        neutral: false,
+        competition: null,
+        importance: 'regular'
+    }));
+    
+    // Database results already in the fixture list would otherwise count twice
+    if (useDatabase) {
+        const fixtureKeys = new Set(results.map(result => `${result.homeTeamId}|${result.awayTeamId}|${result.date}`));
+        teamDatabase.matches
+            .filter(result => !fixtureKeys.has(`${result.homeTeamId}|${result.awayTeamId}|${result.date}`))
+            .forEach(result => results.push(result));
+    }
+    
+    return { teams, results };
+}
+
+// Run work(item) for each item in a task of its own, so a long batch leaves the page responsive between items.
+// onProgress(done, total) follows each item; onDone(results) gets the return values, or onError(error) the first
+// failure, which stops the batch.
+function runTaskBatch(items, work, { onProgress, onDone, onError }) {
+    const results = [];
+    const next = () => {
+        if (results.length === items.length) {
+            onDone(results);
+            return;
+        }
+        
+        try {
+            results.push(work(items[results.length]));
+        } catch (error) {
+            onError(error);
+            return;
+        }
+        if (onProgress) onProgress(results.length, items.length);
+        setTimeout(next, 0);
+    };
+    
+    setTimeout(next, 0);
+}
+
+// Run fn, which may replace the global matchup state, and put the user's matchup back exactly as it was.
+// The match data is restored from its own copy: applying the saved state re-derives each match's line fields.
+function withPreservedMatchup(fn) {
+    const savedState = captureSessionState();
+    const savedMatchData = JSON.parse(JSON.stringify(matchData));
+    const savedDatabase = teamDatabase;
+    const savedResults = lastAnalysisResults;
+    
+    try {
+        return fn();
+    } finally {
+        teamDatabase = savedDatabase;
+        applySessionState(savedState);
+        Object.assign(matchData, savedMatchData);
+        lastAnalysisResults = savedResults;
+        updateMatchSummary('h2h');
+        updateMatchSummary('team1');
+        updateMatchSummary('team2');
+    }
+}
+
+// Predict one fixture from the results before its kickoff and score it against what happened.
+// Runs against the global matchup state, which the caller restores afterwards.
+function replayBacktestFixture(fixture, history, minMatches) {
+    const priorResults = history.results.filter(result => result.timestamp < fixture.timestamp);
+    
+    teamDatabase = { teams: history.teams, matches: priorResults };
+    team1Name = fixture.homeTeam;
+    team2Name = fixture.awayTeam;
+    team1Id = fixture.homeTeamId;
+    team2Id = fixture.awayTeamId;
+    team1Ranking = 0;
+    team2Ranking = 0;
+    matchImportance = 1;
+    matchLocation = 'home';
+    totalLine = fixture.totalLine;
+    spreadHandicap = fixture.homeSpread;
+    
+    // Recommendations are priced at the closing odds; a line without them is not bet
+    const price = odds => odds > 1 ? odds : null;
+    totalOdds = { over: price(fixture.odds.over), under: price(fixture.odds.under) };
+    spreadOdds = { team1: price(fixture.odds.homeSpread), team2: price(fixture.odds.awaySpread) };
+    
+    loadMatchupFromResults(priorResults);
+    updateSpreadCoverCalculations();
+    
+    const row = {
+        fixture,
+        homePriorMatches: matchData.h2h.length + matchData.team1.length,
+        awayPriorMatches: matchData.h2h.length + matchData.team2.length
+    };
+    if (row.homePriorMatches < minMatches || row.awayPriorMatches < minMatches) {
+        row.warmUp = true;
+        return row;
+    }
+    
+    // Without the recalibration map, which may have been fitted on these same fixtures
+    const results = runModelV1Analysis(false);
+    const toOutcomeArray = probabilities => {
+        const values = [probabilities.team1WinProb, probabilities.drawProb, probabilities.team2WinProb];
+        const sum = values.reduce((total, value) => total + value, 0);
+        return values.map(value => value / sum);
+    };
+    const predicted = toOutcomeArray(results.probabilities);
+    const actualIndex = fixture.homeScore > fixture.awayScore ? 0 : (fixture.homeScore === fixture.awayScore ? 1 : 2);
+    const actual = [0, 1, 2].map(index => index === actualIndex ? 1 : 0);
+    
+    Object.assign(row, {
+        probabilities: predicted,
+        features: results.features, // Kept for weight fitting
+        scoreInputs: {
+            featureTotal: results.scoreModel.featureTotal,
+            fittedGoals: results.scoreModel.fittedGoals,
+            fitWeight: results.scoreModel.fitWeight,
+            rho: results.scoreModel.rho
+        },
+        projectedTotal: results.projectedTotal,
+        projectedMargin: results.projectedMargin,
+        brier: predicted.reduce((sum, value, index) => sum + Math.pow(value - actual[index], 2), 0),
+        logLoss: -Math.log(Math.max(1e-6, predicted[actualIndex])),
+        // Ranked probability score over the ordered outcomes home / draw / away
+        rps: (Math.pow(predicted[0] - actual[0], 2) + Math.pow(predicted[0] + predicted[1] - actual[0] - actual[1], 2)) / 2,
+        pickCorrect: predicted.indexOf(Math.max(...predicted)) === actualIndex,
+        bets: []
+    });
+    
+    // Flat one-unit stakes on every recommendation, settled at the closing price
+    const settle = (market, recommendation, odds, result) => {
+        row.bets.push({
+            market,
+            recommendation,
+            tier: recommendation.startsWith('STRONG') ? 'Strong' : 'Moderate',
+            outcome: getSettlementOutcome(result),
+            profit: calculateSettlementReturn(result, odds)
+        });
+    };
+    
+    if (totalLine > 0 && !results.totalRecommendation.startsWith('NO')) {
+        const result = calculateTotalResult(fixture.homeScore, fixture.awayScore);
+        const over = results.totalMarket.best.side === 'over';
+        settle('Total', results.totalRecommendation, results.totalMarket.best.odds, result === 'Push' ? 0 : ((result === 'Over') === over ? 1 : -1));
+    }
+    
+    if (spreadHandicap !== null && !results.spreadRecommendation.startsWith('NO')) {
+        const result = calculateHandicapResult(fixture.homeScore, fixture.awayScore, spreadHandicap);
+        settle('Spread', results.spreadRecommendation, results.spreadMarket.best.odds,
+            results.spreadMarket.best.side === 'team1' ? result : -result);
+    }
+    
+    return row;
+}
+
+// Accuracy metrics and betting results over the scored fixtures
+function summarizeBacktest(rows) {
+    const scored = rows.filter(row => !row.warmUp);
+    const mean = key => scored.length > 0 ? scored.reduce((sum, row) => sum + row[key], 0) / scored.length : null;
+    const bets = scored.flatMap(row => row.bets);
+    
+    const groupBets = (label, selected) => {
+        // Half results count with the wins and losses; the profit carries the half stakes
+        const wins = selected.filter(bet => bet.outcome === 'win' || bet.outcome === 'half-win').length;
+        const losses = selected.filter(bet => bet.outcome === 'loss' || bet.outcome === 'half-loss').length;
+        const profit = selected.reduce((sum, bet) => sum + bet.profit, 0);
+        return {
+            label,
+            bets: selected.length,
+            wins,
+            losses,
+            pushes: selected.length - wins - losses,
+            hitRate: wins + losses > 0 ? wins / (wins + losses) * 100 : null,
+            profit,
+            roi: selected.length > 0 ? profit / selected.length * 100 : null
+        };
+    };
+    
+    const tiers = [];
+    ['Total', 'Spread'].forEach(market => {
+        ['Strong', 'Moderate'].forEach(tier => {
+            tiers.push(groupBets(`${market} · ${tier}`, bets.filter(bet => bet.market === market && bet.tier === tier)));
+        });
+    });
+    
+    return {
+        fixtures: rows.length,
+        scored: scored.length,
+        warmUp: rows.length - scored.length,
+        brier: mean('brier'),
+        logLoss: mean('logLoss'),
+        rps: mean('rps'),
+        pickHitRate: scored.length > 0 ? scored.filter(row => row.pickCorrect).length / scored.length * 100 : null,
+        tiers,
+        overall: groupBets('All bets', bets)
+    };
+}
+
+// Run the backtest over the entered fixtures, leaving the current matchup untouched
+function runBacktest() {
+    const csvText = document.getElementById('backtest-text').value;
+    const minMatches = parseInt(document.getElementById('backtest-min-matches').value, 10);
+    if (!csvText.trim()) {
+        showToast('Choose or paste a CSV of past fixtures first', 'warning');
+        return;
+    }
+    if (isNaN(minMatches) || minMatches < 1) {
+        showToast('Prior matches needed per team must be at least 1', 'error');
+        return;
+    }
+    
+    const parsed = parseBacktestFixtures(csvText, document.getElementById('backtest-date-format').value);
+    if (parsed.error) {
+        showToast(parsed.error, 'error');
+        return;
+    }
+    if (parsed.fixtures.length === 0) {
+        showToast('No usable fixtures in the CSV', 'error');
+        return;
+    }
+    
+    const history = buildBacktestHistory(parsed.fixtures, document.getElementById('backtest-use-database').checked);
+    const runButton = document.getElementById('backtest-run-btn');
+    const statusElement = document.getElementById('backtest-status');
+    const profile = getActiveModelParameters().name;
+    runButton.disabled = true;
+    
+    runTaskBatch(parsed.fixtures, fixture => withPreservedMatchup(() => replayBacktestFixture(fixture, history, minMatches)), {
+        onProgress: (done, total) => {
+            statusElement.textContent = `Replayed ${done} of ${total} fixtures...`;
+        },
+        onDone: rows => {
+            runButton.disabled = false;
+            backtestResults = {
+                rows,
+                summary: summarizeBacktest(rows),
+                skipped: parsed.skipped,
+                minMatches,
+                sport: sportProfileId,
+                profile,
+                profileFittedFixtures: countProfileFittedFixtures(rows),
+                ranAt: Date.now()
+            };
+            
+            renderBacktestResults(backtestResults);
+            showToast(`Backtested ${backtestResults.summary.scored} of ${rows.length} fixtures`, 'success');
+        },
+        onError: error => {
+            runButton.disabled = false;
+            statusElement.textContent = '';
+            console.error('Backtest failed:', error);
+            showToast('Backtest failed. Check the fixtures and try again.', 'error');
+        }
+    });
+}
+
+// Scored fixtures of a backtest that fall in the period the active profile's weights were fitted on
+function countProfileFittedFixtures(rows) {
+    const profile = weightProfiles.find(entry => entry.id === activeWeightProfileId);
+    const range = profile && profile.fit && profile.fit.fixtureRange;
+    if (!range) return 0;
+    
+    return rows.filter(row => !row.warmUp && row.fixture.timestamp >= range.from && row.fixture.timestamp <= range.to).length;
+}
+
+// Format a nullable number for the backtest tables
+function formatBacktestNumber(value, digits, suffix = '') {
+    return value === null ? '–' : `${value.toFixed(digits)}${suffix}`;
+}
+
+// Show the backtest summary, tier table, charts and per-fixture table
+function renderBacktestResults(backtest) {
+    const { summary, rows, skipped } = backtest;
+    const tierRows = [...summary.tiers, summary.overall];
+    
+    document.getElementById('backtest-status').textContent =
+        `${summary.scored} fixtures scored, ${summary.warmUp} used only as history (fewer than ${backtest.minMatches} prior matches for a team)` +
+        `${skipped.length > 0 ? `, ${skipped.length} rows skipped (${skipped.slice(0, 3).join('; ')}${skipped.length > 3 ? '; ...' : ''})` : ''}. ` +
+        `Replayed with the ${backtest.profile === 'Default' ? 'default parameters' : `"${backtest.profile}" profile`} and without the recalibration map.`;
+    
+    document.getElementById('backtest-summary').innerHTML = `
+        <p>
+            <strong>Brier score:</strong> ${formatBacktestNumber(summary.brier, 4)} ·
+            <strong>Log-loss:</strong> ${formatBacktestNumber(summary.logLoss, 4)} ·
+            <strong>RPS:</strong> ${formatBacktestNumber(summary.rps, 4)} ·
+            <strong>Favourite hit rate:</strong> ${formatBacktestNumber(summary.pickHitRate, 1, '%')}
+        </p>
+        ${backtest.profileFittedFixtures > 0 ? `<p class="backtest-loss">${backtest.profileFittedFixtures} of the scored fixtures fall in the period
+            the "${escapeHtml(backtest.profile)}" profile was fitted on, so its scores on them are in-sample.</p>` : ''}
+        <div class="csv-table-wrapper simulation-summary-table">
+            <table class="csv-table">
+                <thead>
+                    <tr><th>Recommendation</th><th>Bets</th><th>Won</th><th>Lost</th><th>Push</th><th>Hit Rate</th><th>Profit (units)</th><th>ROI</th></tr>
+                </thead>
+                <tbody>
+                    ${tierRows.map(group => `
+                        <tr>
+                            <td>${group.label}</td>
+                            <td>${group.bets}</td>
+                            <td>${group.wins}</td>
+                            <td>${group.losses}</td>
+                            <td>${group.pushes}</td>
+                            <td>${formatBacktestNumber(group.hitRate, 1, '%')}</td>
+                            <td class="${group.profit > 0 ? 'backtest-win' : (group.profit < 0 ? 'backtest-loss' : '')}">${group.profit.toFixed(2)}</td>
+                            <td>${formatBacktestNumber(group.roi, 1, '%')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    const betCell = bet => bet ?
+        `${escapeHtml(bet.recommendation)} <span class="${bet.profit > 0 ? 'backtest-win' : (bet.profit < 0 ? 'backtest-loss' : '')}">(${bet.outcome}, ${bet.profit >= 0 ? '+' : ''}${bet.profit.toFixed(2)})</span>` : '–';
+    
+    document.getElementById('backtest-table').innerHTML = `
+        <div class="csv-table-wrapper backtest-table-wrapper">
+            <table class="csv-table">
+                <thead>
+                    <tr><th>Date</th><th>Fixture</th><th>Score</th><th>Home / Draw / Away</th><th>Proj. Total</th><th>Total Bet</th><th>Spread Bet</th><th>RPS</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.warmUp ? 'csv-row-skipped' : ''}">
+                            <td>${row.fixture.date}</td>
+                            <td>${escapeHtml(row.fixture.homeTeam)} vs ${escapeHtml(row.fixture.awayTeam)}</td>
+                            <td>${row.fixture.homeScore} - ${row.fixture.awayScore}</td>
+                            ${row.warmUp ? '<td colspan="5">Warm-up: not enough prior matches</td>' : `
+                                <td>${row.probabilities.map(value => `${(value * 100).toFixed(0)}%`).join(' / ')}</td>
+                                <td>${row.projectedTotal.toFixed(2)}</td>
+                                <td>${betCell(row.bets.find(bet => bet.market === 'Total'))}</td>
+                                <td>${betCell(row.bets.find(bet => bet.market === 'Spread'))}</td>
+                                <td>${row.rps.toFixed(3)}</td>
+                            `}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    document.getElementById('backtest-results').classList.remove('hidden');
+    document.getElementById('backtest-export-btn').disabled = false;
+    createBacktestCharts(backtest);
+}
+
+// Cumulative profit over time and hit rate / ROI per recommendation tier
+function createBacktestCharts(backtest) {
+    if (backtestProfitChart) {
+        backtestProfitChart.destroy();
+    }
+    if (backtestTierChart) {
+        backtestTierChart.destroy();
+    }
+    
+    const bettingRows = backtest.rows.filter(row => !row.warmUp && row.bets.length > 0);
+    let cumulativeProfit = 0;
+    const profitSeries = bettingRows.map(row => {
+        cumulativeProfit += row.bets.reduce((sum, bet) => sum + bet.profit, 0);
+        return Number(cumulativeProfit.toFixed(2));
+    });
+    
+    backtestProfitChart = new Chart(document.getElementById('backtest-profit-chart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: bettingRows.map(row => row.fixture.date),
+            datasets: [{
+                label: 'Cumulative profit (units)',
+                data: profitSeries,
+                borderColor: 'rgba(66, 133, 244, 1)',
+                backgroundColor: 'rgba(66, 133, 244, 0.2)',
+                borderWidth: 2,
+                pointRadius: 2,
+                tension: 0.1,
+                fill: true
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Flat 1-unit stakes at closing prices',
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Units'
+                    }
+                }
+            }
+        }
+    });
+    
+    const tiers = backtest.summary.tiers;
+    backtestTierChart = new Chart(document.getElementById('backtest-tier-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: tiers.map(group => `${group.label} (${group.bets})`),
+            datasets: [
+                {
+                    label: 'Hit rate (%)',
+                    data: tiers.map(group => group.hitRate === null ? 0 : Number(group.hitRate.toFixed(1))),
+                    backgroundColor: 'rgba(52, 168, 83, 0.7)'
+                },
+                {
+                    label: 'ROI (%)',
+                    data: tiers.map(group => group.roi === null ? 0 : Number(group.roi.toFixed(1))),
+                    backgroundColor: 'rgba(251, 188, 5, 0.7)'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    title: {
+                        display: true,
+                        text: '%'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Quote a value for CSV output
+function formatCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Download the per-fixture backtest results as CSV
+function exportBacktestResults() {
+    if (!backtestResults) return;
+    
+    const header = ['Date', 'Home', 'Away', 'Home Score', 'Away Score', 'Home Win %', 'Draw %', 'Away Win %',
+        'Projected Total', 'Projected Margin', 'Total Line', 'Total Bet', 'Total Result', 'Total Profit',
+        'Home Spread', 'Spread Bet', 'Spread Result', 'Spread Profit', 'Brier', 'Log Loss', 'RPS'];
+    
+    const lines = backtestResults.rows.map(row => {
+        const { fixture } = row;
+        const betColumns = market => {
+            const bet = row.warmUp ? null : row.bets.find(entry => entry.market === market);
+            return bet ? [bet.recommendation, bet.outcome, bet.profit.toFixed(2)] : ['', '', ''];
+        };
+        const modelColumns = row.warmUp ? Array(5).fill('') : [
+            ...row.probabilities.map(value => (value * 100).toFixed(1)),
+            row.projectedTotal.toFixed(2),
+            row.projectedMargin.toFixed(2)
+        ];
+        const scoreColumns = row.warmUp ? ['', '', ''] : [row.brier.toFixed(4), row.logLoss.toFixed(4), row.rps.toFixed(4)];
+        
+        return [
+            fixture.date, fixture.homeTeam, fixture.awayTeam, fixture.homeScore, fixture.awayScore,
+            ...modelColumns,
+            fixture.totalLine || '', ...betColumns('Total'),
+            fixture.homeSpread === null ? '' : fixture.homeSpread, ...betColumns('Spread'),
+            ...scoreColumns
+        ].map(formatCsvCell).join(',');
+    });
+    
+    downloadFile('model-v1-backtest.csv', [header.join(','), ...lines].join('\n'), 'text/csv');
+    showToast('Backtest results exported', 'success');
+}
+
+// PROBABILITY CALIBRATION
+// =============================
+const CALIBRATION_METHODS = {
+    isotonic: 'Isotonic',
+    platt: 'Platt'
+};
+
+// Outcomes in backtest order (home = Team 1), with the matching probability keys and chart colours
+const CALIBRATION_OUTCOMES = [
+    { key: 'team1WinProb', label: 'Home win', rgb: '66, 133, 244' },
+    { key: 'drawProb', label: 'Draw', rgb: '251, 188, 5' },
+    { key: 'team2WinProb', label: 'Away win', rgb: '234, 67, 53' }
+];
+
+const MIN_CALIBRATION_SAMPLES = 30;
+const PLATT_REGULARIZATION = 0.01; // Pulls the Platt map toward the identity when there is little data
+const CALIBRATED_PROBABILITY_FLOOR = 0.01;
+
+// Load the saved recalibration map
+function loadProbabilityCalibration() {
+    const stored = loadFromStorage(STORAGE_KEYS.CALIBRATION, null);
+    probabilityCalibration = stored && CALIBRATION_METHODS[stored.method] && Array.isArray(stored.maps) ? stored : null;
+}
+
+// Persist the recalibration map (or its removal)
+function saveProbabilityCalibration() {
+    if (!saveToStorage(STORAGE_KEYS.CALIBRATION, probabilityCalibration)) {
+        showToast('Could not save the calibration map. Browser storage may be full.', 'error');
+    }
+}
+
+// Whether new analyses should be recalibrated
+function isCalibrationActive() {
+    return !!(probabilityCalibration && probabilityCalibration.enabled);
+}
+
+// Logged predictions with known outcomes: the scored fixtures of the last backtest, which replays without recalibration
+function getCalibrationSamples() {
+    if (!backtestResults) return [];
+    
+    return backtestResults.rows
+        .filter(row => !row.warmUp)
+        .map(row => ({
+            probabilities: row.probabilities,
+            outcome: row.fixture.homeScore > row.fixture.awayScore ? 0 : (row.fixture.homeScore === row.fixture.awayScore ? 1 : 2)
+        }));
+}
+
+// Equal-width reliability bins for one outcome, and the expected calibration error over them
+function calculateReliability(samples, outcomeIndex, binCount) {
+    const bins = Array.from({ length: binCount }, () => ({ count: 0, predicted: 0, observed: 0 }));
+    
+    samples.forEach(sample => {
+        const predicted = sample.probabilities[outcomeIndex];
+        const bin = bins[Math.min(binCount - 1, Math.floor(predicted * binCount))];
+        bin.count++;
+        bin.predicted += predicted;
+        bin.observed += sample.outcome === outcomeIndex ? 1 : 0;
+    });
+    
+    const filled = bins
+        .filter(bin => bin.count > 0)
+        .map(bin => ({ count: bin.count, predicted: bin.predicted / bin.count, observed: bin.observed / bin.count }));
+    const ece = filled.reduce((sum, bin) => sum + bin.count / samples.length * Math.abs(bin.predicted - bin.observed), 0);
+    const brier = samples.reduce((sum, sample) =>
+        sum + Math.pow(sample.probabilities[outcomeIndex] - (sample.outcome === outcomeIndex ? 1 : 0), 2), 0) / samples.length;
+    
+    return { bins: filled, ece, brier };
+}
+
+// Isotonic regression by pool-adjacent-violators: a non-decreasing step map through the block means
+function fitIsotonicMap(points) {
+    const blocks = [];
+    
+    points
+        .slice()
+        .sort((a, b) => a.predicted - b.predicted)
+        .forEach(point => {
+            blocks.push({ predicted: point.predicted, observed: point.observed, count: 1 });
+            
+            while (blocks.length > 1) {
+                const last = blocks[blocks.length - 1];
+                const previous = blocks[blocks.length - 2];
+                if (previous.observed / previous.count < last.observed / last.count) break;
+                
+                previous.predicted += last.predicted;
+                previous.observed += last.observed;
+                previous.count += last.count;
+                blocks.pop();
+            }
+        });
+    
+    return {
+        type: 'isotonic',
+        x: blocks.map(block => block.predicted / block.count),
+        y: blocks.map(block => block.observed / block.count)
+    };
+}
+
+// Platt scaling: logistic regression of the outcome on the log-odds of the prediction (Newton's method)
+function fitPlattMap(points) {
+    const logit = p => Math.log(p / (1 - p));
+    const clamp = p => Math.min(1 - 1e-6, Math.max(1e-6, p));
+    let a = 1;
+    let b = 0;
+    
+    for (let iteration = 0; iteration < 50; iteration++) {
+        let gradientA = PLATT_REGULARIZATION * (a - 1);
+        let gradientB = PLATT_REGULARIZATION * b;
+        let hessianAA = PLATT_REGULARIZATION;
+        let hessianAB = 0;
+        let hessianBB = PLATT_REGULARIZATION;
+        
+        points.forEach(point => {
+            const z = logit(clamp(point.predicted));
+            const q = 1 / (1 + Math.exp(-(a * z + b)));
+            const residual = q - point.observed;
+            const weight = q * (1 - q);
+            
+            gradientA += residual * z;
+            gradientB += residual;
+            hessianAA += weight * z * z;
+            hessianAB += weight * z;
+            hessianBB += weight;
+        });
+        
+        const determinant = hessianAA * hessianBB - hessianAB * hessianAB;
+        if (determinant <= 0) break;
+        
+        const stepA = (hessianBB * gradientA - hessianAB * gradientB) / determinant;
+        const stepB = (hessianAA * gradientB - hessianAB * gradientA) / determinant;
+        a -= stepA;
+        b -= stepB;
+        
+        if (Math.max(Math.abs(stepA), Math.abs(stepB)) < 1e-8) break;
+    }
+    
+    // A non-positive slope would reverse or flatten the ranking of the predictions; keep them as they are instead
+    if (!(a > 0) || !isFinite(b)) {
+        return { type: 'platt', a: 1, b: 0 };
+    }
+    
+    return { type: 'platt', a, b };
+}
+
+// Map one probability (0-1) through a fitted map
+function applyCalibrationMap(map, probability) {
+    let mapped;
+    
+    if (map.type === 'platt') {
+        const clamped = Math.min(1 - 1e-6, Math.max(1e-6, probability));
+        mapped = 1 / (1 + Math.exp(-(map.a * Math.log(clamped / (1 - clamped)) + map.b)));
+    } else if (probability <= map.x[0]) {
+        mapped = map.y[0];
+    } else if (probability >= map.x[map.x.length - 1]) {
+        mapped = map.y[map.y.length - 1];
+    } else {
+        // Interpolate between the neighbouring block means
+        const upper = map.x.findIndex(x => x >= probability);
+        const share = (probability - map.x[upper - 1]) / (map.x[upper] - map.x[upper - 1]);
+        mapped = map.y[upper - 1] + share * (map.y[upper] - map.y[upper - 1]);
+    }
+    
+    return Math.min(1 - CALIBRATED_PROBABILITY_FLOOR, Math.max(CALIBRATED_PROBABILITY_FLOOR, mapped));
+}
+
+// Recalibrate outcome probabilities given as fractions [home, draw, away], renormalized to sum to 1
+function calibrateOutcomeArray(probabilities, calibration = probabilityCalibration) {
+    const mapped = probabilities.map((probability, index) => applyCalibrationMap(calibration.maps[index], probability));
+    const sum = mapped.reduce((total, value) => total + value, 0);
+    return mapped.map(value => value / sum);
+}
+
+// Recalibrate Model V1 win/draw/loss probabilities (percent). The maps are fitted on backtest fixtures as home /
+// draw / away, so they apply in that order only when team1 is at home: an away team1 takes the away map, and at a
+// neutral venue each side takes the mean of the home and away maps.
+function applyProbabilityCalibration(probabilities, location = matchLocation) {
+    const team1View = CALIBRATION_OUTCOMES.map(outcome => probabilities[outcome.key] / 100);
+    const asHome = () => calibrateOutcomeArray(team1View);
+    const asAway = () => calibrateOutcomeArray(team1View.slice().reverse()).reverse();
+    
+    let calibrated;
+    if (location === 'home') {
+        calibrated = asHome();
+    } else if (location === 'away') {
+        calibrated = asAway();
+    } else {
+        const home = asHome();
+        calibrated = asAway().map((value, index) => (value + home[index]) / 2);
+    }
+    
+    const result = {};
+    
+    CALIBRATION_OUTCOMES.forEach((outcome, index) => {
+        result[outcome.key] = calibrated[index] * 100;
+    });
+    
+    return result;
+}
+
+// Reliability and ECE for the backtest predictions, before and (when a map exists) after recalibration
+function buildCalibrationReport() {
+    const samples = getCalibrationSamples();
+    if (samples.length === 0) {
+        showToast('Run a backtest first: calibration uses its predictions and results', 'warning');
+        return;
+    }
+    
+    const binCount = parseInt(document.getElementById('calibration-bins').value, 10);
+    const calibratedSamples = probabilityCalibration ? samples.map(sample => ({
+        probabilities: calibrateOutcomeArray(sample.probabilities),
+        outcome: sample.outcome
+    })) : null;
+    
+    const report = CALIBRATION_OUTCOMES.map((outcome, index) => ({
+        ...outcome,
+        raw: calculateReliability(samples, index, binCount),
+        calibrated: calibratedSamples ? calculateReliability(calibratedSamples, index, binCount) : null
+    }));
+    
+    renderCalibrationReport(report, samples.length);
+}
+
+// Show the ECE table and reliability diagram
+function renderCalibrationReport(report, sampleCount) {
+    const hasMap = report[0].calibrated !== null;
+    const meanOf = key => report.reduce((sum, outcome) => sum + outcome[key].ece, 0) / report.length;
+    
+    document.getElementById('calibration-summary').innerHTML = `
+        <p>
+            <strong>Predictions:</strong> ${sampleCount} ·
+            <strong>Mean ECE:</strong> ${(meanOf('raw') * 100).toFixed(2)}%${hasMap ? ` (${(meanOf('calibrated') * 100).toFixed(2)}% after the
+            ${CALIBRATION_METHODS[probabilityCalibration.method]} map, measured on the same predictions)` : ''}
+            ${sampleCount < MIN_CALIBRATION_SAMPLES ? ` · <span class="backtest-loss">Fewer than ${MIN_CALIBRATION_SAMPLES} predictions: treat with caution</span>` : ''}
+        </p>
+        <div class="csv-table-wrapper simulation-summary-table">
+            <table class="csv-table">
+                <thead>
+                    <tr><th>Outcome</th><th>ECE</th><th>Brier</th>${hasMap ? '<th>ECE (calibrated)</th><th>Brier (calibrated)</th>' : ''}</tr>
+                </thead>
+                <tbody>
+                    ${report.map(outcome => `
+                        <tr>
+                            <td>${outcome.label}</td>
+                            <td>${(outcome.raw.ece * 100).toFixed(2)}%</td>
+                            <td>${outcome.raw.brier.toFixed(4)}</td>
+                            ${hasMap ? `<td>${(outcome.calibrated.ece * 100).toFixed(2)}%</td><td>${outcome.calibrated.brier.toFixed(4)}</td>` : ''}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    document.getElementById('calibration-results').classList.remove('hidden');
+    createCalibrationChart(report);
+}
+
+// Reliability diagram: observed frequency against mean forecast per bin, with the perfect-calibration diagonal
+function createCalibrationChart(report) {
+    if (calibrationChart) {
+        calibrationChart.destroy();
+    }
+    
+    const toPoints = reliability => reliability.bins.map(bin => ({
+        x: Number((bin.predicted * 100).toFixed(1)),
+        y: Number((bin.observed * 100).toFixed(1))
+    }));
+    
+    const datasets = [{
+        label: 'Perfect calibration',
+        data: [{ x: 0, y: 0 }, { x: 100, y: 100 }],
+        borderColor: 'rgba(128, 134, 139, 0.6)',
+        borderDash: [4, 4],
+        pointRadius: 0,
+        showLine: true
+    }];
+    
+    report.forEach(outcome => {
+        datasets.push({
+            label: outcome.label,
+            data: toPoints(outcome.raw),
+            borderColor: `rgba(${outcome.rgb}, 1)`,
+            backgroundColor: `rgba(${outcome.rgb}, 0.8)`,
+            pointRadius: 4,
+            showLine: true
+        });
+        
+        if (outcome.calibrated) {
+            datasets.push({
+                label: `${outcome.label} (calibrated)`,
+                data: toPoints(outcome.calibrated),
+                borderColor: `rgba(${outcome.rgb}, 0.5)`,
+                backgroundColor: `rgba(${outcome.rgb}, 0.4)`,
+                borderDash: [6, 3],
+                pointRadius: 3,
+                showLine: true
+            });
+        }
+    });
+    
+    calibrationChart = new Chart(document.getElementById('calibration-chart').getContext('2d'), {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: 'Forecast probability (%)'
+                    }
+                },
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: 'Observed frequency (%)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Fit a recalibration map per outcome (one-vs-rest) on the backtest predictions and switch it on
+function fitProbabilityCalibration() {
+    const samples = getCalibrationSamples();
+    if (samples.length < MIN_CALIBRATION_SAMPLES) {
+        showToast(`Fitting a map needs at least ${MIN_CALIBRATION_SAMPLES} backtest predictions (have ${samples.length})`, 'warning');
+        return;
+    }
+    
+    const method = document.getElementById('calibration-method').value;
+    const maps = CALIBRATION_OUTCOMES.map((_, index) => {
+        const points = samples.map(sample => ({
+            predicted: sample.probabilities[index],
+            observed: sample.outcome === index ? 1 : 0
+        }));
+        return method === 'platt' ? fitPlattMap(points) : fitIsotonicMap(points);
+    });
+    
+    probabilityCalibration = {
+        method,
+        maps,
+        samples: samples.length,
+        fittedAt: Date.now(),
+        enabled: true
+    };
+    saveProbabilityCalibration();
+    renderCalibrationStatus();
+    buildCalibrationReport();
+    showToast(`${CALIBRATION_METHODS[method]} map fitted on ${samples.length} predictions and applied to new analyses`, 'success');
+}
+
+// Switch the saved map on or off for new analyses
+function handleCalibrationToggle(event) {
+    if (!probabilityCalibration) return;
+    
+    probabilityCalibration.enabled = event.target.checked;
+    saveProbabilityCalibration();
+    renderCalibrationStatus();
+}
+
+// Discard the saved map
+function removeProbabilityCalibration() {
+    if (!probabilityCalibration) return;
+    
+    probabilityCalibration = null;
+    saveProbabilityCalibration();
+    renderCalibrationStatus();
+    showToast('Calibration map removed', 'info');
+}
+
+// Reflect the saved map in the calibration controls
+function renderCalibrationStatus() {
+    const statusElement = document.getElementById('calibration-status');
+    const enabledInput = document.getElementById('calibration-enabled');
+    
+    enabledInput.disabled = !probabilityCalibration;
+    enabledInput.checked = isCalibrationActive();
+    document.getElementById('calibration-remove-btn').disabled = !probabilityCalibration;
+    
+    statusElement.textContent = probabilityCalibration ?
+        `${CALIBRATION_METHODS[probabilityCalibration.method]} map fitted on ${probabilityCalibration.samples} predictions ` +
+        `(${formatDateISO(probabilityCalibration.fittedAt)}) · ${probabilityCalibration.enabled ? 'applied to new analyses' : 'not applied'}` :
+        'No recalibration map. New analyses use the model probabilities as they are.';
+}
+
+// WEIGHT FITTING AND PROFILES
+// =============================
+const WEIGHT_FIT_OBJECTIVES = {
+    rps: 'RPS',
+    likelihood: 'Log-loss'
+};
+const MIN_WEIGHT_FIT_FIXTURES = 30;
+const WEIGHT_FIT_MAX_ITERATIONS = 60;
+const WEIGHT_FIT_SUPREMACY_POINTS = 81;
+
+// Built-in preset or saved profile by id
+function findModelProfile(id) {
+    return MODEL_PRESETS.find(preset => preset.id === id) || weightProfiles.find(profile => profile.id === id) || null;
+}
+
+// Model parameters the analysis runs with: the active profile's values over the defaults
+function getActiveModelParameters() {
+    const profile = findModelProfile(activeWeightProfileId);
+    const parameters = { name: profile ? profile.name : 'Default' };
+    
+    Object.entries(MODEL_PARAMETER_GROUPS).forEach(([group, definition]) => {
+        parameters[group] = profile ? { ...definition.defaults, ...profile[group] } : definition.defaults;
+    });
+    
+    return parameters;
+}
+
+// Whether a new profile name would clash with the defaults, a preset or a saved profile
+function isModelProfileNameTaken(name) {
+    const lowerName = name.toLowerCase();
+    return lowerName === 'default' || [...MODEL_PRESETS, ...weightProfiles].some(profile => profile.name.toLowerCase() === lowerName);
+}
+
+// Load saved weight profiles and the active one
+function loadWeightProfiles() {
+    const stored = loadFromStorage(STORAGE_KEYS.WEIGHT_PROFILES, null);
+    weightProfiles = stored && Array.isArray(stored.profiles) ? stored.profiles : [];
+    activeWeightProfileId = stored && findModelProfile(stored.activeId) ? stored.activeId : null;
+}
+
+// Persist the weight profiles
+function saveWeightProfiles() {
+    if (!saveToStorage(STORAGE_KEYS.WEIGHT_PROFILES, { profiles: weightProfiles, activeId: activeWeightProfileId })) {
+        showToast('Could not save weight profiles. Browser storage may be full.', 'error');
+    }
+}
+
+// Weights the backtest cannot learn, with the reason shown in the fit report
+const UNFITTED_WEIGHT_REASONS = {
+    MATCH_IMPORTANCE: 'Every backtest fixture has match importance 1; kept at default'
+};
+
+// Fitted parameters as a flat list, in the order the optimizer searches them
+function getFittableParameters() {
+    return [
+        ...['OVERALL_PERFORMANCE', 'RECENT_FORM', 'H2H_MATCHES', 'MOMENTUM', 'HOME_ADVANTAGE', 'RANKING']
+            .map(key => ({ group: 'weights', key, defaultValue: WEIGHTS[key], range: WEIGHT_RANGES[key] })),
+        ...Object.keys(DRAW_RATE)
+            .map(key => ({ group: 'drawRate', key, defaultValue: DRAW_RATE[key], range: DRAW_RATE_RANGES[key] }))
+    ];
+}
+
+// A scored backtest row prepared for weight fitting. Only the feature model's win/loss balance depends on the
+// fitted parameters, so the balance each supremacy gives at the feature total is tabulated once here rather
+// than bisected for every candidate.
+function prepareWeightFitSample(row, sport) {
+    const { featureTotal, fittedGoals, fitWeight, rho } = row.scoreInputs;
+    const limit = getFeatureSupremacyLimit(featureTotal, sport);
+    const balanceCurve = Array.from({ length: WEIGHT_FIT_SUPREMACY_POINTS }, (_, index) => {
+        const supremacy = -limit + 2 * limit * index / (WEIGHT_FIT_SUPREMACY_POINTS - 1);
+        const outcome = calculateScoreOutcome((featureTotal + supremacy) / 2, (featureTotal - supremacy) / 2, rho, sport);
+        return { supremacy, balance: (outcome.team1WinProb - outcome.team2WinProb) / 100 };
+    });
+    
+    return {
+        features: row.features,
+        featureTotal,
+        fittedGoals,
+        fitWeight,
+        rho,
+        balanceCurve,
+        outcome: row.fixture.homeScore > row.fixture.awayScore ? 0 : (row.fixture.homeScore === row.fixture.awayScore ? 1 : 2)
+    };
+}
+
+// Home / draw / away probabilities a backtest fixture gets under a candidate's parameters, through the same steps
+// as an analysis: feature model, implied score expectations blended with the fitted ones and score matrix. No
+// recalibration: a map fitted on the same backtest would make the validation score in-sample.
+function predictWeightFitSample(sample, parameters, sport) {
+    const featureProbabilities = calculateModelV1WinProbabilities(sample.features, parameters, sport);
+    const targetBalance = (featureProbabilities.team1WinProb - featureProbabilities.team2WinProb) / 100;
+    const curve = sample.balanceCurve;
+    
+    // Interpolate the supremacy on the tabulated balances, which grow with it
+    const upper = curve.findIndex(point => point.balance >= targetBalance);
+    let supremacy = curve[curve.length - 1].supremacy;
+    if (upper === 0) {
+        supremacy = curve[0].supremacy;
+    } else if (upper > 0) {
+        const lower = curve[upper - 1];
+        const span = curve[upper].balance - lower.balance;
+        supremacy = lower.supremacy + (span > 0 ? (targetBalance - lower.balance) / span : 0) * (curve[upper].supremacy - lower.supremacy);
+    }
+    
+    const featureGoals = [(sample.featureTotal + supremacy) / 2, (sample.featureTotal - supremacy) / 2];
+    const goals = featureGoals.map((goal, index) => sample.fitWeight * sample.fittedGoals[index] + (1 - sample.fitWeight) * goal);
+    const probabilities = calculateScoreOutcome(goals[0], goals[1], sample.rho, sport);
+    
+    const values = [probabilities.team1WinProb, probabilities.drawProb, probabilities.team2WinProb];
+    const sum = values.reduce((total, value) => total + value, 0);
+    return values.map(value => value / sum);
+}
+
+// Mean RPS or log-loss of the predicted win/draw/loss probabilities over fixtures
+function scoreWeightCandidate(samples, parameters, objective, sport) {
+    const total = samples.reduce((sum, sample) => {
+        const predicted = predictWeightFitSample(sample, parameters, sport);
+        
+        if (objective === 'likelihood') {
+            return sum - Math.log(Math.max(1e-6, predicted[sample.outcome]));
+        }
+        
+        const actual = [0, 1, 2].map(index => index === sample.outcome ? 1 : 0);
+        return sum + (Math.pow(predicted[0] - actual[0], 2) + Math.pow(predicted[0] + predicted[1] - actual[0] - actual[1], 2)) / 2;
+    }, 0);
+    
+    return samples.length > 0 ? total / samples.length : 0;
+}
+
+// Fit the weights and draw-rate coefficients to the last backtest by pattern search, with an L2 penalty
+// (relative to each default) pulling them back toward the defaults. Keeps the result for saving.
+function fitModelWeights() {
+    const scoredRows = backtestResults ? backtestResults.rows.filter(row => !row.warmUp) : [];
+    if (scoredRows.length < MIN_WEIGHT_FIT_FIXTURES) {
+        showToast(`Weight fitting needs a backtest with at least ${MIN_WEIGHT_FIT_FIXTURES} scored fixtures (have ${scoredRows.length})`, 'warning');
+        return;
+    }
+    
+    const objective = document.getElementById('fit-objective').value;
+    const validationShare = parseFloat(document.getElementById('fit-validation-share').value);
+    const regularization = parseFloat(document.getElementById('fit-regularization').value);
+    if (isNaN(validationShare) || validationShare < 10 || validationShare > 50) {
+        showToast('Validation share must be between 10% and 50%', 'error');
+        return;
+    }
+    if (isNaN(regularization) || regularization < 0) {
+        showToast('Regularization must be zero or more', 'error');
+        return;
+    }
+    
+    // Scored with the sport the backtest ran under, whose score matrices the fixtures were predicted from
+    const sport = SPORT_PROFILES[backtestResults.sport] || getSportProfile();
+    const fitButton = document.getElementById('fit-weights-btn');
+    fitButton.disabled = true;
+    
+    runTaskBatch(scoredRows, row => prepareWeightFitSample(row, sport), {
+        onDone: samples => searchModelWeights(samples, { objective, validationShare, regularization, sport }, fit => {
+            fitButton.disabled = false;
+            lastWeightFit = {
+                ...fit,
+                // The fitted period, so a later backtest over it can be flagged as in-sample
+                fixtureRange: { from: scoredRows[0].fixture.timestamp, to: scoredRows[scoredRows.length - 1].fixture.timestamp }
+            };
+            
+            renderWeightFitReport(lastWeightFit);
+            document.getElementById('save-weight-profile-btn').disabled = !lastWeightFit.improvesValidation;
+            if (lastWeightFit.improvesValidation && !document.getElementById('weight-profile-name').value.trim()) {
+                document.getElementById('weight-profile-name').value = `Fitted ${WEIGHT_FIT_OBJECTIVES[objective]} ${formatDateISO(lastWeightFit.fittedAt)}`;
+            }
+        }),
+        onError: error => {
+            fitButton.disabled = false;
+            console.error('Weight fitting failed:', error);
+            showToast('Weight fitting failed. Run the backtest again and retry.', 'error');
+        }
+    });
+}
+
+// Pattern search over the fittable parameters, one pass over them per task so the page stays responsive.
+// onDone gets the fitted values and their training / validation scores next to the defaults'.
+function searchModelWeights(samples, { objective, validationShare, regularization, sport }, onDone) {
+    // Backtest rows are chronological, so validation is always on the latest fixtures
+    const trainCount = Math.round(samples.length * (1 - validationShare / 100));
+    const training = samples.slice(0, trainCount);
+    const validation = samples.slice(trainCount);
+    
+    // Thresholds and reversion are not fitted; they come from the active profile
+    const parameterList = getFittableParameters();
+    const baseParameters = getActiveModelParameters();
+    const toParameters = values => {
+        const parameters = { ...baseParameters, weights: { ...WEIGHTS }, drawRate: { ...DRAW_RATE } };
+        parameterList.forEach((parameter, index) => {
+            parameters[parameter.group][parameter.key] = values[index];
+        });
+        return parameters;
+    };
+    const penalty = values => regularization * parameterList.reduce((sum, parameter, index) =>
+        sum + Math.pow((values[index] - parameter.defaultValue) / Math.max(1, Math.abs(parameter.defaultValue)), 2), 0) / parameterList.length;
+    const objectiveOf = values => scoreWeightCandidate(training, toParameters(values), objective, sport) + penalty(values);
+    
+    const defaults = parameterList.map(parameter => parameter.defaultValue);
+    let values = defaults.slice();
+    let best = objectiveOf(values);
+    let steps = parameterList.map(parameter => Math.max(0.5, Math.abs(parameter.defaultValue)) * 0.25);
+    let iteration = 0;
+    
+    const finish = () => {
+        const fitted = toParameters(values);
+        const defaultParameters = toParameters(defaults);
+        const metrics = {
+            default: {
+                train: scoreWeightCandidate(training, defaultParameters, objective, sport),
+                validation: scoreWeightCandidate(validation, defaultParameters, objective, sport)
+            },
+            fitted: {
+                train: scoreWeightCandidate(training, fitted, objective, sport),
+                validation: scoreWeightCandidate(validation, fitted, objective, sport)
+            }
+        };
+        
+        onDone({
+            objective,
+            regularization,
+            trainCount: training.length,
+            validationCount: validation.length,
+            weights: fitted.weights,
+            drawRate: fitted.drawRate,
+            thresholds: { ...fitted.thresholds },
+            reversion: { ...fitted.reversion },
+            metrics,
+            // Only a fit that beats the defaults on the held-out fixtures can be saved
+            improvesValidation: metrics.fitted.validation < metrics.default.validation - 1e-9,
+            fittedAt: Date.now()
+        });
+    };
+    
+    const searchPass = () => {
+        let improved = false;
+        
+        parameterList.forEach((parameter, index) => {
+            [1, -1].forEach(direction => {
+                const candidate = values.slice();
+                candidate[index] = Math.min(parameter.range[1], Math.max(parameter.range[0], values[index] + direction * steps[index]));
+                if (candidate[index] === values[index]) return;
+                
+                const score = objectiveOf(candidate);
+                if (score < best - 1e-9) {
+                    best = score;
+                    values = candidate;
+                    improved = true;
+                }
+            });
+        });
+        
+        if (!improved) {
+            steps = steps.map(step => step / 2);
+            if (steps.every((step, index) => step < Math.max(0.5, Math.abs(defaults[index])) * 0.002)) {
+                finish();
+                return;
+            }
+        }
+        
+        iteration++;
+        if (iteration < WEIGHT_FIT_MAX_ITERATIONS) {
+            setTimeout(searchPass, 0);
+        } else {
+            finish();
+        }
+    };
+    
+    setTimeout(searchPass, 0);
+}
+
+// Compare fitted and default values, and their training / validation scores
+function renderWeightFitReport(fit) {
+    const reportElement = document.getElementById('fit-report');
+    const metricName = WEIGHT_FIT_OBJECTIVES[fit.objective];
+    const fittedKeys = getFittableParameters();
+    const formatChange = (fittedValue, defaultValue) => {
+        const change = fittedValue - defaultValue;
+        return Math.abs(change) < 0.005 ? '–' : `${change > 0 ? '+' : ''}${change.toFixed(2)}`;
+    };
+    
+    const parameterRows = [
+        ...fittedKeys.map(parameter => ({
+            label: parameter.group === 'weights' ? `WEIGHTS.${parameter.key}` : `Draw rate ${parameter.key}`,
+            defaultValue: parameter.defaultValue,
+            fittedValue: fit[parameter.group][parameter.key]
+        })),
+        ...Object.keys(WEIGHTS)
+            .filter(key => !fittedKeys.some(parameter => parameter.group === 'weights' && parameter.key === key))
+            .map(key => ({
+                label: `WEIGHTS.${key}`,
+                defaultValue: WEIGHTS[key],
+                fittedValue: null,
+                reason: UNFITTED_WEIGHT_REASONS[key] || 'Not used by the win probabilities; kept at default'
+            }))
+    ];
+    
+    reportElement.innerHTML = `
+        <p>
+            Fitted on ${fit.trainCount} fixtures, validated on the latest ${fit.validationCount}.
+            <strong>${metricName}:</strong> training ${fit.metrics.default.train.toFixed(4)} → ${fit.metrics.fitted.train.toFixed(4)},
+            validation ${fit.metrics.default.validation.toFixed(4)} → ${fit.metrics.fitted.validation.toFixed(4)} (default → fitted).
+            ${fit.improvesValidation ? '' : '<span class="backtest-loss">The fitted weights do not beat the defaults on validation, so they cannot be saved; consider more data or stronger regularization.</span>'}
+        </p>
+        <div class="csv-table-wrapper simulation-summary-table">
+            <table class="csv-table">
+                <thead>
+                    <tr><th>Parameter</th><th>Default</th><th>Fitted</th><th>Change</th></tr>
+                </thead>
+                <tbody>
+                    ${parameterRows.map(row => `
+                        <tr class="${row.fittedValue === null ? 'csv-row-skipped' : ''}">
+                            <td>${row.label}</td>
+                            <td>${row.defaultValue}</td>
+                            ${row.fittedValue === null ? `<td colspan="2">${row.reason}</td>` : `
+                                <td>${row.fittedValue.toFixed(2)}</td>
+                                <td>${formatChange(row.fittedValue, row.defaultValue)}</td>
+                            `}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    reportElement.classList.remove('hidden');
+}
+
+// Save the latest fit as a named profile and make it active
+function saveFittedWeightProfile() {
+    if (!lastWeightFit || !lastWeightFit.improvesValidation) return;
+    
+    const name = document.getElementById('weight-profile-name').value.trim();
+    if (!name) {
+        showToast('Please enter a profile name', 'error');
+        return;
+    }
+    if (isModelProfileNameTaken(name)) {
+        showToast(`A profile named "${name}" already exists`, 'error');
+        return;
+    }
+    
+    const profile = {
+        id: generateId('weights'),
+        name,
+        weights: { ...lastWeightFit.weights },
+        drawRate: { ...lastWeightFit.drawRate },
+        thresholds: { ...lastWeightFit.thresholds },
+        reversion: { ...lastWeightFit.reversion },
+        fit: {
+            objective: lastWeightFit.objective,
+            regularization: lastWeightFit.regularization,
+            trainCount: lastWeightFit.trainCount,
+            validationCount: lastWeightFit.validationCount,
+            fixtureRange: lastWeightFit.fixtureRange,
+            metrics: lastWeightFit.metrics
+        },
+        createdAt: Date.now()
+    };
+    
+    weightProfiles.push(profile);
+    activeWeightProfileId = profile.id;
+    saveWeightProfiles();
+    renderWeightProfiles();
+    updateDataSufficiencyIndicators();
+    
+    document.getElementById('weight-profile-name').value = '';
+    document.getElementById('save-weight-profile-btn').disabled = true;
+    lastWeightFit = null;
+    showToast(`Saved weight profile "${name}" and made it active`, 'success');
+}
+
+// Switch the profile new analyses use
+function handleWeightProfileChange(event) {
+    activeWeightProfileId = event.target.value || null;
+    saveWeightProfiles();
+    renderWeightProfiles();
+    updateDataSufficiencyIndicators();
+    
+    const { name } = getActiveModelParameters();
+    showToast(`New analyses will use the ${name === 'Default' ? 'default parameters' : `"${name}" profile`}`, 'info');
+}
+
+// Delete the active profile and fall back to the defaults
+function deleteActiveWeightProfile() {
+    const profile = weightProfiles.find(entry => entry.id === activeWeightProfileId);
+    if (!profile || !confirm(`Delete the profile "${profile.name}"?`)) return;
+    
+    weightProfiles = weightProfiles.filter(entry => entry.id !== profile.id);
+    activeWeightProfileId = null;
+    saveWeightProfiles();
+    renderWeightProfiles();
+    updateDataSufficiencyIndicators();
+    showToast(`Deleted profile "${profile.name}"`, 'info');
+}
+
+// Fill the profile picker and show the active profile's parameters
+function renderWeightProfiles() {
+    const select = document.getElementById('weight-profile-select');
+    const renderOptions = profiles => profiles.map(profile => `
+        <option value="${profile.id}">${escapeHtml(profile.name)}</option>
+    `).join('');
+    
+    select.innerHTML = `
+        <option value="">Default parameters</option>
+        <optgroup label="Presets">${renderOptions(MODEL_PRESETS)}</optgroup>
+        ${weightProfiles.length > 0 ? `<optgroup label="Saved profiles">${renderOptions(weightProfiles)}</optgroup>` : ''}
+    `;
+    select.value = activeWeightProfileId || '';
+    document.getElementById('delete-weight-profile-btn').disabled = !weightProfiles.some(profile => profile.id === activeWeightProfileId);
+    
+    modelConfigDraft = null;
+    renderModelConfig();
+}
+
+// MODEL CONFIGURATION
+// =============================
+
+// "MIN_MATCHES_FOR_GOOD_ANALYSIS" -> "Min matches for good analysis"
+function formatParameterLabel(key) {
+    const words = key.toLowerCase().split('_');
+    return words.map((word, index) => index === 0 ? word.charAt(0).toUpperCase() + word.slice(1) : (word === 'h2h' ? 'H2H' : word)).join(' ');
+}
+
+// Range and consistency problems in a set of model parameters
+function validateModelParameters(parameters) {
+    const errors = [];
+    
+    Object.entries(MODEL_PARAMETER_GROUPS).forEach(([group, definition]) => {
+        Object.keys(definition.defaults).forEach(key => {
+            const value = parameters[group][key];
+            const [min, max] = definition.ranges[key];
+            
+            if (typeof value !== 'number' || isNaN(value)) {
+                errors.push(`${definition.label}: ${formatParameterLabel(key)} must be a number`);
+            } else if (value < min || value > max) {
+                errors.push(`${definition.label}: ${formatParameterLabel(key)} must be between ${min} and ${max}`);
+            } else if (group === 'thresholds' && !Number.isInteger(value)) {
+                errors.push(`${definition.label}: ${formatParameterLabel(key)} must be a whole number of matches`);
+            }
+        });
+    });
+    
+    const { thresholds } = parameters;
+    if (thresholds.MIN_MATCHES_FOR_EXCELLENT_ANALYSIS < thresholds.MIN_MATCHES_FOR_GOOD_ANALYSIS) {
+        errors.push('Data Sufficiency Thresholds: excellent analysis cannot need fewer matches than good analysis');
+    }
+    
+    return errors;
+}
+
+// Whether the panel holds edits that differ from the active profile
+function hasModelConfigChanges() {
+    if (!modelConfigDraft) return false;
+    
+    const active = getActiveModelParameters();
+    return Object.keys(MODEL_PARAMETER_GROUPS).some(group =>
+        Object.keys(active[group]).some(key => modelConfigDraft[group][key] !== active[group][key]));
+}
+
+// Sliders and number inputs for every parameter of the active profile (or the unsaved draft)
+function renderModelConfig() {
+    const active = getActiveModelParameters();
+    if (!modelConfigDraft) {
+        modelConfigDraft = {};
+        Object.keys(MODEL_PARAMETER_GROUPS).forEach(group => {
+            modelConfigDraft[group] = { ...active[group] };
+        });
+    }
+    
+    document.getElementById('model-config-groups').innerHTML = Object.entries(MODEL_PARAMETER_GROUPS).map(([group, definition]) => `
+        <h3>${definition.label}</h3>
+        <div class="model-config-grid">
+            ${Object.keys(definition.defaults).map(key => {
+                const [min, max] = definition.ranges[key];
+                const value = modelConfigDraft[group][key];
+                return `
+                    <div class="model-parameter">
+                        <label for="model-param-${group}-${key}">${formatParameterLabel(key)}</label>
+                        <div class="model-parameter-inputs">
+                            <input type="range" min="${min}" max="${max}" step="${definition.step}" value="${value}"
+                                data-group="${group}" data-key="${key}" aria-label="${formatParameterLabel(key)}">
+                            <input type="number" id="model-param-${group}-${key}" min="${min}" max="${max}" step="${definition.step}" value="${value}"
+                                data-group="${group}" data-key="${key}">
+                        </div>
+                        <span class="model-parameter-default">Default ${definition.defaults[key]} · range ${min}–${max}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+    
+    updateModelConfigControls();
+}
+
+// Keep a parameter's slider and number input in step, and record the edit in the draft
+function handleModelParameterInput(event) {
+    const input = event.target;
+    const { group, key } = input.dataset;
+    if (!group || !key) return;
+    
+    const value = parseFloat(input.value);
+    modelConfigDraft[group][key] = value;
+    
+    const partner = input.type === 'range' ?
+        document.getElementById(`model-param-${group}-${key}`) :
+        input.parentElement.querySelector('input[type="range"]');
+    if (!isNaN(value)) partner.value = value;
+    
+    updateModelConfigControls();
+}
+
+// Show validation errors and enable only the actions that make sense for the draft
+function updateModelConfigControls() {
+    const errors = validateModelParameters(modelConfigDraft);
+    const errorsElement = document.getElementById('model-config-errors');
+    const changed = hasModelConfigChanges();
+    const isSavedProfile = weightProfiles.some(profile => profile.id === activeWeightProfileId);
+    
+    if (errors.length > 0) {
+        errorsElement.innerHTML = `
+            <h4><span class="material-symbols-outlined">error</span> Fix these before saving</h4>
+            <ul>${errors.map(error => `<li>${error}</li>`).join('')}</ul>
+        `;
+        errorsElement.classList.remove('hidden');
+    } else {
+        errorsElement.classList.add('hidden');
+    }
+    
+    document.getElementById('save-model-config-btn').disabled = errors.length > 0;
+    document.getElementById('update-model-config-btn').disabled = errors.length > 0 || !changed || !isSavedProfile;
+    document.getElementById('reset-model-config-btn').disabled = !changed;
+}
+
+// Save the panel's values as a new profile and make it active
+function saveModelConfigAsProfile() {
+    if (validateModelParameters(modelConfigDraft).length > 0) return;
+    
+    const nameInput = document.getElementById('model-config-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+        showToast('Please enter a profile name', 'error');
+        return;
+    }
+    if (isModelProfileNameTaken(name)) {
+        showToast(`A profile named "${name}" already exists`, 'error');
+        return;
+    }
+    
+    const profile = {
+        id: generateId('weights'),
+        name,
+        basedOn: getActiveModelParameters().name,
+        createdAt: Date.now()
+    };
+    Object.keys(MODEL_PARAMETER_GROUPS).forEach(group => {
+        profile[group] = { ...modelConfigDraft[group] };
+    });
+    
+    weightProfiles.push(profile);
+    activeWeightProfileId = profile.id;
+    saveWeightProfiles();
+    renderWeightProfiles();
+    updateDataSufficiencyIndicators();
+    
+    nameInput.value = '';
+    showToast(`Saved profile "${name}" and made it active`, 'success');
+}
+
+// Overwrite the active saved profile with the panel's values (presets are read-only)
+function updateActiveModelProfile() {
+    const profile = weightProfiles.find(entry => entry.id === activeWeightProfileId);
+    if (!profile || validateModelParameters(modelConfigDraft).length > 0) return;
+    
+    Object.keys(MODEL_PARAMETER_GROUPS).forEach(group => {
+        profile[group] = { ...modelConfigDraft[group] };
+    });
+    profile.updatedAt = Date.now();
+    
+    saveWeightProfiles();
+    renderWeightProfiles();
+    updateDataSufficiencyIndicators();
+    showToast(`Updated profile "${profile.name}"`, 'success');
+}
+
+// Discard unsaved edits
+function resetModelConfig() {
+    modelConfigDraft = null;
+    renderModelConfig();
+}
+
+// MONEYLINE ODDS
+// =============================
+const ODDS_FORMATS = {
+    decimal: 'Decimal (2.50)',
+    american: 'American (+150)',
+    fractional: 'Fractional (3/2)'
+};
+
+const MARGIN_METHODS = {
+    proportional: 'Proportional',
+    shin: 'Shin',
+    power: 'Power'
+};
+
+// The 1X2 outcomes priced for the selected sport, with the matching model probability field
+function getMoneylineOutcomes(sport = getSportProfile()) {
+    return [
+        { key: 'team1', label: `${team1Name} win`, probabilityField: 'team1WinProb' },
+        ...(sport.drawsPossible ? [{ key: 'draw', label: 'Draw', probabilityField: 'drawProb' }] : []),
+        { key: 'team2', label: `${team2Name} win`, probabilityField: 'team2WinProb' }
+    ];
+}
+
+// Turn a price in the given format into decimal odds; blank means not entered (null), undefined if invalid
+function parseOdds(text, format) {
+    const value = String(text).trim().toLowerCase();
+    if (!value) return null;
+    
+    let decimal;
+    if (format === 'american') {
+        const american = Number(value);
+        if (!isFinite(american) || Math.abs(american) < 100) return undefined;
+        decimal = american > 0 ? 1 + american / 100 : 1 + 100 / -american;
+    } else if (format === 'fractional') {
+        if (value === 'evens' || value === 'evs') return 2;
+        const match = value.match(/^(\d+(?:\.\d+)?)\s*[/-]\s*(\d+(?:\.\d+)?)$/);
+        if (!match || Number(match[2]) === 0) return undefined;
+        decimal = 1 + Number(match[1]) / Number(match[2]);
+    } else {
+        decimal = Number(value);
+    }
+    
+    return isFinite(decimal) && decimal > 1 ? decimal : undefined;
+}
+
+// Show decimal odds in the given format (fractions use the nearest with a denominator up to 20)
+function formatOdds(decimal, format = oddsFormat) {
+    if (format === 'american') {
+        return decimal >= 2 ? `+${Math.round((decimal - 1) * 100)}` : `-${Math.round(100 / (decimal - 1))}`;
+    }
+    if (format === 'fractional') {
+        const profit = decimal - 1;
+        let best = { numerator: Math.round(profit), denominator: 1 };
+        for (let denominator = 2; denominator <= 20; denominator++) {
+            const numerator = Math.round(profit * denominator);
+            if (Math.abs(numerator / denominator - profit) < Math.abs(best.numerator / best.denominator - profit) - 1e-9) {
+                best = { numerator, denominator };
+            }
+        }
+        return `${best.numerator}/${best.denominator}`;
+    }
+    return decimal.toFixed(2);
+}
+
+// Price inputs of the betting lines card, with the prices object and key each one is kept under
+function getOddsInputs() {
+    return [
+        { id: 'odds-team1', label: `${team1Name} win`, prices: moneylineOdds, key: 'team1', placeholder: 2.5 },
+        { id: 'odds-draw', label: 'Draw', prices: moneylineOdds, key: 'draw', placeholder: 3.4 },
+        { id: 'odds-team2', label: `${team2Name} win`, prices: moneylineOdds, key: 'team2', placeholder: 2.5 },
+        { id: 'odds-over', label: 'Over', prices: totalOdds, key: 'over', placeholder: LINE_ODDS_PLACEHOLDER },
+        { id: 'odds-under', label: 'Under', prices: totalOdds, key: 'under', placeholder: LINE_ODDS_PLACEHOLDER },
+        { id: 'odds-spread-team1', label: `${team1Name} handicap`, prices: spreadOdds, key: 'team1', placeholder: LINE_ODDS_PLACEHOLDER },
+        { id: 'odds-spread-team2', label: `${team2Name} handicap`, prices: spreadOdds, key: 'team2', placeholder: LINE_ODDS_PLACEHOLDER }
+    ];
+}
+
+// Read the price inputs into decimal odds (invalid prices are left out)
+function readOddsInputs() {
+    getOddsInputs().forEach(input => {
+        const odds = parseOdds(document.getElementById(input.id).value, oddsFormat);
+        input.prices[input.key] = odds === undefined ? null : odds;
+    });
+}
+
+// Write the stored prices into the inputs in the selected format
+function syncOddsInputs() {
+    getOddsInputs().forEach(input => {
+        const element = document.getElementById(input.id);
+        element.value = input.prices[input.key] ? formatOdds(input.prices[input.key]) : '';
+        element.placeholder = formatOdds(input.placeholder);
+    });
+}
+
+// Show which prices could not be read, or the bookmaker margin once the 1X2 market is complete
+function updateOddsStatus() {
+    const status = document.getElementById('odds-status');
+    const outcomes = getMoneylineOutcomes();
+    const invalid = getOddsInputs().filter(input =>
+        (input.key !== 'draw' || getSportProfile().drawsPossible) &&
+        parseOdds(document.getElementById(input.id).value, oddsFormat) === undefined);
+    
+    if (invalid.length > 0) {
+        status.textContent = `Could not read as ${oddsFormat} odds: ${invalid.map(input => input.label).join(', ')}`;
+    } else if (outcomes.every(outcome => moneylineOdds[outcome.key])) {
+        const overround = outcomes.reduce((sum, outcome) => sum + 1 / moneylineOdds[outcome.key], 0) - 1;
+        status.textContent = overround > 0 ?
+            `Bookmaker margin: ${(overround * 100).toFixed(1)}%` :
+            `The match result prices leave no bookmaker margin (${(overround * 100).toFixed(1)}%), so they are not compared with the model. Check them against the market.`;
+    } else {
+        status.textContent = `Enter all ${outcomes.length} match result prices to compare the model with the market. ` +
+            'Totals and spread sides without a price show their fair odds only.';
+    }
+}
+
+// Fair probabilities from a market's decimal odds with the bookmaker margin removed.
+// Proportional scales the implied probabilities down evenly; Shin assumes the margin protects against
+// insider money, so it takes more off longshots; power raises the implied probabilities to the exponent
+// that makes them sum to one, which also shades longshots.
+function removeBookmakerMargin(odds, method = 'proportional') {
+    const implied = odds.map(price => 1 / price);
+    const booksum = implied.reduce((sum, probability) => sum + probability, 0);
+    const proportional = implied.map(probability => probability / booksum);
+    
+    // Bisection for the parameter at which the probabilities sum to one (the sum falls as it grows)
+    const solve = (probabilitiesFor, low, high) => {
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const middle = (low + high) / 2;
+            const total = probabilitiesFor(middle).reduce((sum, probability) => sum + probability, 0);
+            if (total > 1) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return probabilitiesFor((low + high) / 2);
+    };
+    
+    if (method === 'shin' && booksum > 1) {
+        const shinProbabilities = z => implied.map(probability =>
+            (Math.sqrt(z * z + 4 * (1 - z) * probability * probability / booksum) - z) / (2 * (1 - z)));
+        return solve(shinProbabilities, 0, 0.99);
+    }
+    if (method === 'power') {
+        return solve(exponent => implied.map(probability => Math.pow(probability, exponent)), 0.01, 20);
+    }
+    return proportional;
+}
+
+// Compare the model's outcome probabilities (percentages) with the fair market probabilities.
+// Edge is in percentage points; expected value is the return per unit staked at the offered price.
+// Prices without a bookmaker margin are taken as mistyped: there is no margin to remove from them.
+function calculateMoneylineValue(probabilities, sport = getSportProfile(), odds = moneylineOdds, method = marginMethod) {
+    const outcomes = getMoneylineOutcomes(sport);
+    if (!outcomes.every(outcome => odds[outcome.key])) return null;
+    
+    const prices = outcomes.map(outcome => odds[outcome.key]);
+    const overround = prices.reduce((sum, price) => sum + 1 / price, 0) - 1;
+    if (overround <= 0) return null;
+    
+    const fairProbabilities = removeBookmakerMargin(prices, method);
+    
+    return {
+        method,
+        overround: overround * 100,
+        outcomes: outcomes.map((outcome, index) => {
+            const modelProbability = probabilities[outcome.probabilityField];
+            return {
+                outcome: outcome.key,
+                label: outcome.label,
+                odds: prices[index],
+                impliedProbability: 100 / prices[index],
+                fairProbability: fairProbabilities[index] * 100,
+                modelProbability,
+                edge: modelProbability - fairProbabilities[index] * 100,
+                expectedValue: (modelProbability / 100 * prices[index] - 1) * 100
+            };
+        })
+    };
+}
+
+// The moneyline outcome with the highest expected value; like totals and spreads it is only advised, staked
+// and simulated at LINE_VALUE_THRESHOLDS.MODERATE or more
+function getBestMoneylineOutcome(moneyline) {
+    return moneyline.outcomes.reduce((top, outcome) => outcome.expectedValue > top.expectedValue ? outcome : top);
+}
+
+// Moneyline block of the betting recommendation card
+function generateMoneylineAdviceHTML(moneyline) {
+    const best = getBestMoneylineOutcome(moneyline);
+    const hasValue = best.expectedValue >= LINE_VALUE_THRESHOLDS.MODERATE;
+    const formatSigned = value => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+    
+    const rows = moneyline.outcomes.map(outcome => `
+        <tr class="${outcome.expectedValue > 0 ? 'backtest-win' : ''}">
+            <td>${escapeHtml(outcome.label)}</td>
+            <td>${formatOdds(outcome.odds)}</td>
+            <td>${outcome.fairProbability.toFixed(1)}%</td>
+            <td>${outcome.modelProbability.toFixed(1)}%</td>
+            <td>${formatSigned(outcome.edge)}</td>
+            <td>${formatSigned(outcome.expectedValue)}%</td>
+        </tr>
+    `).join('');
+    
+    return `
+        <div class="betting-advice">
+            <div class="advice-label">Moneyline (${MARGIN_METHODS[moneyline.method]} margin removal, ${moneyline.overround.toFixed(1)}% margin)</div>
+            <div class="advice-value ${hasValue ? 'positive-recommendation' : 'neutral-recommendation'}">
+                ${hasValue ? `VALUE ${escapeHtml(best.label)} @ ${formatOdds(best.odds)}` : 'NO VALUE'}
+            </div>
+            ${hasValue ? generateStakeHTML({ probability: best.modelProbability, pushProbability: 0, odds: best.odds, expectedValue: best.expectedValue }) +
+                generateRecordBetButtonHTML('moneyline') + generateParlayButtonHTML('moneyline') : ''}
+            <div class="advice-edge">
+                ${best.expectedValue > 0 ? `Expected value: ${formatSigned(best.expectedValue)}% per unit staked` : 'No price beats the model probabilities'}
+                ${best.expectedValue > 0 && !hasValue ? `(below the ${LINE_VALUE_THRESHOLDS.MODERATE}% needed to bet)` : ''}
+            </div>
+            <div class="csv-table-wrapper">
+                <table class="csv-table odds-table">
+                    <thead>
+                        <tr><th>Outcome</th><th>Odds</th><th>Market</th><th>Model</th><th>Edge (pts)</th><th>EV</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+// TOTALS AND SPREAD PRICING
+// =============================
+// Example price shown in the empty total and spread price inputs (-110)
+const LINE_ODDS_PLACEHOLDER = 1.91;
+
+// Expected value (% of the stake) a side needs to be recommended
+const LINE_VALUE_THRESHOLDS = {
+    STRONG: 5,
+    MODERATE: 2
+};
+
+// Shown when a handicap is off the quarter grid
+const HANDICAP_GRID_MESSAGE = 'Handicaps go in steps of 0.25 (e.g. -0.25, -0.5, -0.75)';
+
+// Settlement results of a bet, as the share of the stake won (positive) or lost (negative);
+// half results only happen on quarter-line handicaps
+const SETTLEMENT_RESULTS = [
+    { key: 'win', result: 1, outcome: 'win' },
+    { key: 'halfWin', result: 0.5, outcome: 'half-win' },
+    { key: 'push', result: 0, outcome: 'push' },
+    { key: 'halfLoss', result: -0.5, outcome: 'half-loss' },
+    { key: 'loss', result: -1, outcome: 'loss' }
+];
+
+// "+3.2%" / "-1.0%"
+function formatSignedPercent(value) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+// Ledger and backtest outcome ("win", "half-loss", ...) of a settlement result
+function getSettlementOutcome(result) {
+    return SETTLEMENT_RESULTS.find(settlement => settlement.result === result).outcome;
+}
+
+// Profit per unit staked for a settlement result at decimal odds
+function calculateSettlementReturn(result, odds) {
+    return result > 0 ? result * (odds - 1) : result;
+}
+
+// Probability (0-1) of each settlement result of a priced bet, from its probability, halfWinProbability,
+// pushProbability and halfLossProbability (%); whatever is left is a loss
+function getSettlementProbabilities(bet) {
+    const probabilities = {
+        win: bet.probability / 100,
+        halfWin: (bet.halfWinProbability || 0) / 100,
+        push: (bet.pushProbability || 0) / 100,
+        halfLoss: (bet.halfLossProbability || 0) / 100
+    };
+    probabilities.loss = Math.max(0, 1 - probabilities.win - probabilities.halfWin - probabilities.push - probabilities.halfLoss);
+    
+    return SETTLEMENT_RESULTS.map(({ key, result }) => ({ result, probability: probabilities[key] }));
+}
+
+// "54.2%", followed by any half-win, push and half-loss probabilities
+function describeCoverProbability(side) {
+    const extras = [['half win', side.halfWinProbability], ['push', side.pushProbability], ['half loss', side.halfLossProbability]]
+        .filter(([, probability]) => probability > 0)
+        .map(([label, probability]) => `${label} ${probability.toFixed(1)}%`);
+    
+    return `${side.probability.toFixed(1)}%${extras.length > 0 ? ` (${extras.join(', ')})` : ''}`;
+}
+
+// Over, under and push probabilities of a total line from the score matrix (push only on whole lines)
+function calculateTotalCoverProbabilities(matrix, line) {
+    const probabilities = { over: 0, under: 0, push: 0 };
+    
+    matrix.forEach((row, team1Score) => {
+        row.forEach((probability, team2Score) => {
+            const total = team1Score + team2Score;
+            const side = total > line ? 'over' : (total < line ? 'under' : 'push');
+            probabilities[side] += probability;
+        });
+    });
+    
+    return probabilities;
+}
+
+// Probability (0-1) of each settlement result ({ win, halfWin, push, halfLoss, loss }) of a bet settled by
+// settle(team1Score, team2Score), from the score matrix
+function calculateSettlementProbabilities(matrix, settle) {
+    const probabilities = { win: 0, halfWin: 0, push: 0, halfLoss: 0, loss: 0 };
+    
+    matrix.forEach((row, team1Score) => {
+        row.forEach((probability, team2Score) => {
+            const result = settle(team1Score, team2Score);
+            probabilities[SETTLEMENT_RESULTS.find(settlement => settlement.result === result).key] += probability;
+        });
+    });
+    
+    return probabilities;
+}
+
+// Settlement probabilities of Team 1's side of an Asian handicap from the score matrix
+// (pushes on whole and level-ball lines, half results on quarter lines)
+function calculateSpreadCoverProbabilities(matrix, handicap) {
+    return calculateSettlementProbabilities(matrix, (team1Score, team2Score) =>
+        calculateHandicapResult(team1Score, team2Score, handicap));
+}
+
+// Expected return per unit staked (%) over a bet's settlement results ({ result, probability })
+function calculateExpectedValue(outcomes, odds) {
+    return outcomes.reduce((sum, outcome) => sum + outcome.probability * calculateSettlementReturn(outcome.result, odds), 0) * 100;
+}
+
+// Fair decimal odds of a selection: the price at which its expected value is zero, counting pushes as
+// stakes returned and half results as half stakes
+function calculateFairOdds(selection) {
+    const outcomes = getSettlementProbabilities(selection);
+    const won = outcomes.filter(outcome => outcome.result > 0).reduce((sum, outcome) => sum + outcome.probability * outcome.result, 0);
+    const lost = outcomes.filter(outcome => outcome.result < 0).reduce((sum, outcome) => sum - outcome.probability * outcome.result, 0);
+    return won > 0 ? 1 + lost / won : null;
+}
+
+// Price the sides of a line from their settlement probabilities ({ win, push, halfWin, halfLoss }, 0-1).
+// Every side gets its fair odds, but only a side with an entered price gets an expected value; `best` is the
+// priced side with the highest one (null when neither side is priced).
+function priceLineSides(line, sides) {
+    const priced = sides.map(side => {
+        const pricedSide = {
+            side: side.side,
+            label: side.label,
+            probability: side.probabilities.win * 100,
+            halfWinProbability: (side.probabilities.halfWin || 0) * 100,
+            pushProbability: side.probabilities.push * 100,
+            halfLossProbability: (side.probabilities.halfLoss || 0) * 100,
+            odds: side.odds || null
+        };
+        pricedSide.fairOdds = calculateFairOdds(pricedSide);
+        pricedSide.expectedValue = pricedSide.odds ?
+            calculateExpectedValue(getSettlementProbabilities(pricedSide), pricedSide.odds) : null;
+        return pricedSide;
+    });
+    
+    return {
+        line,
+        sides: priced,
+        best: priced.filter(side => side.odds)
+            .reduce((top, side) => !top || side.expectedValue > top.expectedValue ? side : top, null)
+    };
+}
+
+// Over/under market for the total line
+function priceTotalMarket(matrix, line = totalLine, odds = totalOdds) {
+    const cover = calculateTotalCoverProbabilities(matrix, line);
+    
+    return priceLineSides(line, [
+        { side: 'over', label: `OVER ${line}`, probabilities: { win: cover.over, push: cover.push }, odds: odds.over },
+        { side: 'under', label: `UNDER ${line}`, probabilities: { win: cover.under, push: cover.push }, odds: odds.under }
+    ]);
+}
+
+// Team 1/Team 2 market for the Asian handicap, Team 1 receiving `handicap` and Team 2 the opposite
+function priceSpreadMarket(matrix, handicap = spreadHandicap, odds = spreadOdds) {
+    const cover = calculateSpreadCoverProbabilities(matrix, handicap);
+    
+    return {
+        ...priceLineSides(handicap, [
+            { side: 'team1', label: `${team1Name} ${formatHandicap(handicap)}`, probabilities: cover, odds: odds.team1 },
+            {
+                side: 'team2',
+                label: `${team2Name} ${formatHandicap(-handicap)}`,
+                probabilities: { win: cover.loss, halfWin: cover.halfLoss, push: cover.push, halfLoss: cover.halfWin },
+                odds: odds.team2
+            }
+        ]),
+        quarterLine: isQuarterLine(handicap)
+    };
+}
+
+// Recommend the side with the higher expected value once it clears the value thresholds; a line without
+// an entered price gets no recommendation
+function recommendByExpectedValue(market) {
+    const { best } = market;
+    
+    if (!best) {
+        return 'NO PRICE ENTERED';
+    } else if (best.expectedValue >= LINE_VALUE_THRESHOLDS.STRONG) {
+        return `STRONG ${best.label}`;
+    } else if (best.expectedValue >= LINE_VALUE_THRESHOLDS.MODERATE) {
+        return best.label;
+    }
+    return 'NO CLEAR EDGE';
+}
+
+// Both sides of a line for the betting recommendation card with their fair odds; quarter lines never push
+// but can be half won or half lost
+function generateLineMarketTableHTML(market) {
+    const columns = market.quarterLine ?
+        [['Win', 'probability'], ['Half Win', 'halfWinProbability'], ['Half Loss', 'halfLossProbability']] :
+        [['Covers', 'probability'], ['Push', 'pushProbability']];
+    
+    const rows = market.sides.map(side => `
+        <tr class="${side.expectedValue > 0 ? 'backtest-win' : ''}">
+            <td>${escapeHtml(side.label)}</td>
+            <td>${side.odds ? formatOdds(side.odds) : '–'}</td>
+            ${columns.map(([, key]) => `<td>${side[key].toFixed(1)}%</td>`).join('')}
+            <td>${side.fairOdds ? formatOdds(side.fairOdds) : '–'}</td>
+            <td>${side.expectedValue === null ? '–' : formatSignedPercent(side.expectedValue)}</td>
+        </tr>
+    `).join('');
+    
+    return `
+        <div class="csv-table-wrapper">
+            <table class="csv-table odds-table">
+                <thead>
+                    <tr><th>Side</th><th>Odds</th>${columns.map(([label]) => `<th>${label}</th>`).join('')}<th>Fair</th><th>EV</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// BANKROLL AND STAKING
+// =============================
+const STAKING_POLICIES = {
+    flat: 'Flat stake',
+    percentage: 'Percentage of bankroll',
+    kelly: 'Kelly'
+};
+
+const DEFAULT_BANKROLL_SETTINGS = {
+    bankroll: 1000,
+    policy: 'kelly',
+    flatStake: 10,
+    percentage: 2,
+    kellyFraction: 0.25,
+    kellyCap: 5
+};
+
+// Allowed range of each numeric setting
+const BANKROLL_SETTING_RANGES = {
+    bankroll: { label: 'Bankroll', min: 1, max: 1e9 },
+    flatStake: { label: 'Stake per bet', min: 0.01, max: 1e9 },
+    percentage: { label: 'Stake (% of bankroll)', min: 0.1, max: 100 },
+    kellyFraction: { label: 'Kelly fraction', min: 0.05, max: 1 },
+    kellyCap: { label: 'Stake cap (% of bankroll)', min: 0.1, max: 100 }
+};
+
+const BANKROLL_SETTING_INPUTS = {
+    bankroll: 'bankroll-amount',
+    flatStake: 'flat-stake',
+    percentage: 'stake-percentage',
+    kellyFraction: 'kelly-fraction',
+    kellyCap: 'kelly-cap'
+};
+
+// Simulated betting sequences; the seed is fixed so that policies are compared on the same outcomes
+const BANKROLL_SIMULATION = {
+    BETS: 250,
+    PATHS: 1000,
+    SEED: 20240601,
+    DRAWDOWN_BIN_PERCENT: 10
+};
+
+// Load the saved bankroll settings over the defaults
+function loadBankrollSettings() {
+    const stored = loadFromStorage(STORAGE_KEYS.BANKROLL, null);
+    bankrollSettings = { ...DEFAULT_BANKROLL_SETTINGS };
+    
+    if (stored && typeof stored === 'object') {
+        if (STAKING_POLICIES[stored.policy]) {
+            bankrollSettings.policy = stored.policy;
+        }
+        Object.entries(BANKROLL_SETTING_RANGES).forEach(([key, range]) => {
+            if (typeof stored[key] === 'number' && stored[key] >= range.min && stored[key] <= range.max) {
+                bankrollSettings[key] = stored[key];
+            }
+        });
+    }
+}
+
+// Persist the bankroll settings
+function saveBankrollSettings() {
+    if (!saveToStorage(STORAGE_KEYS.BANKROLL, bankrollSettings)) {
+        showToast('Could not save the bankroll settings. Browser storage may be full.', 'error');
+    }
+}
+
+// Write the settings into the inputs and show only the selected policy's fields
+function syncBankrollInputs() {
+    document.getElementById('staking-policy').value = bankrollSettings.policy;
+    Object.entries(BANKROLL_SETTING_INPUTS).forEach(([key, id]) => {
+        document.getElementById(id).value = bankrollSettings[key];
+    });
+    updateStakingPolicyFields();
+}
+
+function updateStakingPolicyFields() {
+    document.querySelectorAll('#bankroll [data-staking-policy]').forEach(field => {
+        field.classList.toggle('hidden', field.dataset.stakingPolicy !== bankrollSettings.policy);
+    });
+}
+
+// Apply valid edits; invalid values are listed and leave the previous settings in place
+function handleBankrollInput() {
+    const errors = [];
+    const updated = { ...bankrollSettings, policy: document.getElementById('staking-policy').value };
+    
+    Object.entries(BANKROLL_SETTING_INPUTS).forEach(([key, id]) => {
+        const range = BANKROLL_SETTING_RANGES[key];
+        const value = parseFloat(document.getElementById(id).value);
+        if (isNaN(value) || value < range.min || value > range.max) {
+            errors.push(`${range.label} must be between ${range.min} and ${range.max}`);
+        } else {
+            updated[key] = value;
+        }
+    });
+    
+    const errorsElement = document.getElementById('bankroll-errors');
+    errorsElement.classList.toggle('hidden', errors.length === 0);
+    errorsElement.innerHTML = errors.length > 0 ?
+        `<h4>Fix these to update the stakes</h4><ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` : '';
+    if (errors.length > 0) return;
+    
+    bankrollSettings = updated;
+    updateStakingPolicyFields();
+    saveBankrollSettings();
+    
+    // Restake the shown recommendations under the new settings
+    if (lastAnalysisResults) {
+        updateBettingRecommendation(lastAnalysisResults.totalRecommendation, lastAnalysisResults.spreadRecommendation,
+            lastAnalysisResults.totalMarket, lastAnalysisResults.spreadMarket, lastAnalysisResults.moneyline);
+        runBankrollSimulation(lastAnalysisResults);
+    }
+}
+
+// Kelly fraction of the bankroll over a bet's settlement results ({ result, probability }): the f maximizing
+// the expected log bankroll. A bet that can only win, lose or push has the closed form f = (pb - q) / (b (p + q));
+// with half results the root of the (decreasing) slope is found by bisection.
+function calculateKellyFraction(outcomes, odds) {
+    const netOdds = odds - 1;
+    const probabilityOf = result => outcomes.filter(outcome => outcome.result === result).reduce((sum, outcome) => sum + outcome.probability, 0);
+    if (netOdds <= 0) return 0;
+    
+    if (probabilityOf(0.5) === 0 && probabilityOf(-0.5) === 0) {
+        const winProbability = probabilityOf(1);
+        const lossProbability = probabilityOf(-1);
+        if (winProbability + lossProbability <= 0) return 0;
+        return Math.max(0, (winProbability * netOdds - lossProbability) / (netOdds * (winProbability + lossProbability)));
+    }
+    
+    const slope = fraction => outcomes.reduce((sum, { result, probability }) => {
+        const unitReturn = calculateSettlementReturn(result, odds);
+        return probability > 0 ? sum + probability * unitReturn / (1 + fraction * unitReturn) : sum;
+    }, 0);
+    if (slope(0) <= 0) return 0;
+    
+    let low = 0;
+    let high = 1;
+    for (let iteration = 0; iteration < 50; iteration++) {
+        const middle = (low + high) / 2;
+        if (slope(middle) > 0) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Suggested stake for a bet ({ probability, pushProbability, halfWinProbability, halfLossProbability, odds,
+// expectedValue }, probabilities in %); nothing is staked without positive expected value
+function calculateStake(bet, bankroll = bankrollSettings.bankroll, settings = bankrollSettings) {
+    if (bet.expectedValue <= 0 || bankroll <= 0) return 0;
+    
+    if (settings.policy === 'flat') {
+        return Math.min(settings.flatStake, bankroll);
+    }
+    if (settings.policy === 'percentage') {
+        return bankroll * settings.percentage / 100;
+    }
+    
+    const fraction = settings.kellyFraction * calculateKellyFraction(getSettlementProbabilities(bet), bet.odds);
+    return bankroll * Math.min(fraction, settings.kellyCap / 100);
+}
+
+// "Flat 10.00 per bet" / "2% of bankroll" / "0.25 Kelly, capped at 5%"
+function describeStakingPolicy(settings = bankrollSettings) {
+    if (settings.policy === 'flat') return `Flat ${formatStake(settings.flatStake)} per bet`;
+    if (settings.policy === 'percentage') return `${settings.percentage}% of bankroll`;
+    return `${settings.kellyFraction === 1 ? 'Full' : settings.kellyFraction} Kelly, capped at ${settings.kellyCap}%`;
+}
+
+function formatStake(amount) {
+    return amount.toFixed(2);
+}
+
+// Suggested stake line for a recommendation
+function generateStakeHTML(bet) {
+    const stake = calculateStake(bet);
+    if (stake <= 0) return '';
+    
+    return `
+        <div class="suggested-stake">
+            Suggested stake: <strong>${formatStake(stake)}</strong>
+            (${(stake / bankrollSettings.bankroll * 100).toFixed(1)}% of bankroll · ${describeStakingPolicy()})
+        </div>
+    `;
+}
+
+// Bets the analysis recommends, in the { probability, pushProbability, odds, expectedValue } form stakes use
+function getRecommendedBets(results) {
+    const bets = [];
+    
+    [[results.totalMarket, results.totalRecommendation], [results.spreadMarket, results.spreadRecommendation]]
+        .forEach(([market, recommendation]) => {
+            if (market && !recommendation.startsWith('NO')) {
+                bets.push({ label: market.best.label, ...market.best });
+            }
+        });
+    
+    if (results.moneyline) {
+        const best = getBestMoneylineOutcome(results.moneyline);
+        if (best.expectedValue >= LINE_VALUE_THRESHOLDS.MODERATE) {
+            bets.push({
+                label: best.label,
+                probability: best.modelProbability,
+                pushProbability: 0,
+                odds: best.odds,
+                expectedValue: best.expectedValue
+            });
+        }
+    }
+    
+    return bets;
+}
+
+// Replay the recommended bets (each drawn at random, settled at the model probabilities) under the staking
+// policy, tracking the bankroll after every bet and each sequence's deepest fall from its running peak
+function simulateBankroll(bets, settings = bankrollSettings) {
+    const random = createSeededRandom(BANKROLL_SIMULATION.SEED);
+    const settlements = bets.map(getSettlementProbabilities);
+    const paths = [];
+    const maxDrawdowns = [];
+    
+    for (let path = 0; path < BANKROLL_SIMULATION.PATHS; path++) {
+        let bankroll = settings.bankroll;
+        let peak = bankroll;
+        let maxDrawdown = 0;
+        const series = [bankroll];
+        
+        for (let step = 0; step < BANKROLL_SIMULATION.BETS; step++) {
+            const index = Math.floor(random() * bets.length);
+            const bet = bets[index];
+            const stake = calculateStake(bet, bankroll, settings);
+            const roll = random();
+            
+            // Walk the settlement results until the roll falls inside one (rounding leftovers lose)
+            let cumulative = 0;
+            const settled = settlements[index].find(outcome => (cumulative += outcome.probability) > roll);
+            bankroll += stake * calculateSettlementReturn(settled ? settled.result : -1, bet.odds);
+            
+            peak = Math.max(peak, bankroll);
+            maxDrawdown = Math.max(maxDrawdown, (peak - bankroll) / peak);
+            series.push(bankroll);
+        }
+        
+        paths.push(series);
+        maxDrawdowns.push(maxDrawdown * 100);
+    }
+    
+    // Percentile of a sorted list
+    const percentileOf = (sorted, percentile) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * percentile / 100))];
+    const bands = paths[0].map((_, step) => {
+        const values = paths.map(series => series[step]).sort((a, b) => a - b);
+        return {
+            mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+            p10: percentileOf(values, 10),
+            p50: percentileOf(values, 50),
+            p90: percentileOf(values, 90)
+        };
+    });
+    const sortedDrawdowns = [...maxDrawdowns].sort((a, b) => a - b);
+    const finals = paths.map(series => series[series.length - 1]);
+    
+    return {
+        bets: BANKROLL_SIMULATION.BETS,
+        paths: BANKROLL_SIMULATION.PATHS,
+        startingBankroll: settings.bankroll,
+        bands,
+        maxDrawdowns,
+        medianDrawdown: percentileOf(sortedDrawdowns, 50),
+        p90Drawdown: percentileOf(sortedDrawdowns, 90),
+        lossProbability: finals.filter(value => value < settings.bankroll).length / finals.length * 100
+    };
+}
+
+// Simulate the staking policy on the analysis's recommended bets and show the result
+function runBankrollSimulation(results) {
+    const bets = getRecommendedBets(results);
+    const statusElement = document.getElementById('bankroll-status');
+    
+    if (bets.length === 0) {
+        document.getElementById('bankroll-results').classList.add('hidden');
+        statusElement.textContent = 'No recommended bets to simulate. Enter prices where the model sees value and run the analysis.';
+        return;
+    }
+    
+    const simulation = simulateBankroll(bets);
+    statusElement.textContent = `${simulation.paths} sequences of ${simulation.bets} bets, each drawn from: ` +
+        bets.map(bet => `${bet.label} @ ${formatOdds(bet.odds)}`).join(', ');
+    document.getElementById('bankroll-results').classList.remove('hidden');
+    renderBankrollSimulation(simulation);
+}
+
+// Summary table, growth bands and drawdown histogram of a bankroll simulation
+function renderBankrollSimulation(simulation) {
+    const final = simulation.bands[simulation.bands.length - 1];
+    const rows = [
+        ['Expected final bankroll', formatStake(final.mean)],
+        ['Median final bankroll', formatStake(final.p50)],
+        ['10th-90th percentile', `${formatStake(final.p10)} to ${formatStake(final.p90)}`],
+        ['Chance of finishing below the start', `${simulation.lossProbability.toFixed(1)}%`],
+        ['Median maximum drawdown', `${simulation.medianDrawdown.toFixed(1)}%`],
+        ['90th percentile maximum drawdown', `${simulation.p90Drawdown.toFixed(1)}%`]
+    ];
+    
+    document.getElementById('bankroll-summary').innerHTML = `
+        <table class="simulation-summary-table">
+            <tbody>
+                ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    if (bankrollGrowthChart) {
+        bankrollGrowthChart.destroy();
+    }
+    if (bankrollDrawdownChart) {
+        bankrollDrawdownChart.destroy();
+    }
+    
+    const band = (label, key, color, fill) => ({
+        label,
+        data: simulation.bands.map(step => Number(step[key].toFixed(2))),
+        borderColor: color,
+        backgroundColor: 'rgba(66, 133, 244, 0.15)',
+        borderWidth: key === 'mean' ? 2 : 1,
+        pointRadius: 0,
+        tension: 0.1,
+        fill
+    });
+    
+    bankrollGrowthChart = new Chart(document.getElementById('bankroll-growth-chart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: simulation.bands.map((_, step) => String(step)),
+            datasets: [
+                band('90th percentile', 'p90', 'rgba(66, 133, 244, 0.6)', false),
+                band('Median', 'p50', 'rgba(52, 168, 83, 1)', false),
+                band('Mean', 'mean', 'rgba(66, 133, 244, 1)', false),
+                band('10th percentile', 'p10', 'rgba(66, 133, 244, 0.6)', '-3')
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `${describeStakingPolicy()} over ${simulation.bets} bets`,
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Bets'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Bankroll'
+                    }
+                }
+            }
+        }
+    });
+    
+    // Share of sequences by maximum drawdown, in bins of DRAWDOWN_BIN_PERCENT
+    const binSize = BANKROLL_SIMULATION.DRAWDOWN_BIN_PERCENT;
+    const bins = Array.from({ length: Math.ceil(100 / binSize) }, () => 0);
+    simulation.maxDrawdowns.forEach(drawdown => {
+        bins[Math.min(bins.length - 1, Math.floor(drawdown / binSize))]++;
+    });
+    
+    bankrollDrawdownChart = new Chart(document.getElementById('bankroll-drawdown-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: bins.map((_, index) => `${index * binSize}-${(index + 1) * binSize}%`),
+            datasets: [{
+                label: 'Sequences (%)',
+                data: bins.map(count => Number((count / simulation.paths * 100).toFixed(1))),
+                backgroundColor: 'rgba(234, 67, 53, 0.7)'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                title: {
+                    display: true,
+                    text: 'Deepest fall from a running peak',
+                    font: {
+                        size: 14,
+                        weight: 'bold'
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Sequences (%)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// BET LEDGER
+// =============================
+const BET_MARKETS = {
+    total: 'Total',
+    spread: 'Spread',
+    moneyline: 'Moneyline'
+};
+
+// Load the recorded bets; spread bets recorded against a favorite/underdog move to Team 1's signed handicap
+function loadBetLedger() {
+    const stored = loadFromStorage(STORAGE_KEYS.BET_LEDGER, []);
+    betLedger = Array.isArray(stored) ? stored.filter(bet => bet && BET_MARKETS[bet.market]) : [];
+    
+    betLedger.forEach(bet => {
+        if (bet.market !== 'spread' || !bet.spreadDirection) return;
+        
+        const underdog = bet.spreadDirection === 'team1' ? 'team2' : 'team1';
+        bet.line = bet.spreadDirection === 'team1' ? -bet.line : bet.line;
+        bet.selection = bet.selection === 'favorite' ? bet.spreadDirection : underdog;
+        delete bet.spreadDirection;
+    });
+}
+
+// Persist the recorded bets
+function saveBetLedger() {
+    if (!saveToStorage(STORAGE_KEYS.BET_LEDGER, betLedger)) {
+        showToast('Could not save the bet ledger. Browser storage may be full.', 'error');
+    }
+}
+
+// "Record bet" button for a recommendation in the betting recommendation card
+function generateRecordBetButtonHTML(market) {
+    return `
+        <button type="button" class="btn btn-outline record-bet-btn" data-record-market="${market}">
+            <span class="material-symbols-outlined">receipt_long</span> Record Bet
+        </button>
+    `;
+}
+
+// Handicap of the selected side of a spread bet (its line is Team 1's handicap)
+function getLedgerSelectionHandicap(bet) {
+    return bet.selection === 'team1' ? bet.line : -bet.line;
+}
+
+// Selection text of a recorded bet, e.g. "OVER 2.5", "Liverpool -0.75" or "Draw"
+function formatLedgerSelection(bet) {
+    if (bet.market === 'total') {
+        return `${bet.selection.toUpperCase()} ${bet.line}`;
+    }
+    if (bet.market === 'spread') {
+        const team = bet.selection === 'team1' ? bet.team1Name : bet.team2Name;
+        return `${team} ${formatHandicap(getLedgerSelectionHandicap(bet))}`;
+    }
+    return bet.selection === 'draw' ? 'Draw' : `${bet.selection === 'team1' ? bet.team1Name : bet.team2Name} win`;
+}
+
+// The shown analysis's recommendation for a market, as a bet waiting for its stake, price and line
+function buildPendingLedgerBet(market) {
+    const results = lastAnalysisResults;
+    if (!results) return null;
+    
+    const bet = {
+        market,
+        team1Name: results.team1Name,
+        team2Name: results.team2Name,
+        sport: sportProfileId,
+        line: null
+    };
+    
+    if (market === 'moneyline' && results.moneyline) {
+        const best = getBestMoneylineOutcome(results.moneyline);
+        return {
+            ...bet,
+            selection: best.outcome,
+            odds: best.odds,
+            stake: calculateStake({ probability: best.modelProbability, pushProbability: 0, odds: best.odds, expectedValue: best.expectedValue })
+        };
+    }
+    
+    const priced = market === 'total' ? results.totalMarket : results.spreadMarket;
+    if (!priced || !priced.best) return null;
+    return {
+        ...bet,
+        selection: priced.best.side,
+        line: priced.line,
+        odds: priced.best.odds,
+        stake: calculateStake(priced.best)
+    };
+}
+
+// Open the ledger form for a "Record bet" button
+function handleRecordBetClick(event) {
+    const button = event.target.closest('button[data-record-market]');
+    if (!button) return;
+    
+    pendingLedgerBet = buildPendingLedgerBet(button.dataset.recordMarket);
+    if (!pendingLedgerBet) return;
+    
+    document.getElementById('ledger-form-selection').innerHTML =
+        `<strong>${escapeHtml(formatLedgerSelection(pendingLedgerBet))}</strong> · ` +
+        `${escapeHtml(pendingLedgerBet.team1Name)} vs ${escapeHtml(pendingLedgerBet.team2Name)} (${BET_MARKETS[pendingLedgerBet.market]})`;
+    document.getElementById('ledger-stake').value = formatStake(pendingLedgerBet.stake || bankrollSettings.flatStake);
+    document.getElementById('ledger-odds').value = formatOdds(pendingLedgerBet.odds);
+    // Spread bets are entered at the selected side's own handicap
+    const spread = pendingLedgerBet.market === 'spread';
+    document.getElementById('ledger-line-label').textContent = spread ? 'Handicap' : 'Line';
+    document.getElementById('ledger-line').min = spread ? '' : '0';
+    document.getElementById('ledger-line').value = pendingLedgerBet.line === null ? '' :
+        (spread ? getLedgerSelectionHandicap(pendingLedgerBet) : pendingLedgerBet.line);
+    document.getElementById('ledger-line').step = getSportProfile()[pendingLedgerBet.market === 'total' ? 'totalLineStep' : 'spreadStep'];
+    document.getElementById('ledger-line-group').classList.toggle('hidden', pendingLedgerBet.market === 'moneyline');
+    document.getElementById('ledger-form').classList.remove('hidden');
+    document.getElementById('bet-ledger').scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeLedgerForm() {
+    pendingLedgerBet = null;
+    document.getElementById('ledger-form').classList.add('hidden');
+}
+
+// Record the pending bet with the stake, price and line from the form
+function addPendingBetToLedger() {
+    if (!pendingLedgerBet) return;
+    
+    const stake = parseFloat(document.getElementById('ledger-stake').value);
+    const odds = parseOdds(document.getElementById('ledger-odds').value, oddsFormat);
+    const line = parseFloat(document.getElementById('ledger-line').value);
+    
+    if (isNaN(stake) || stake <= 0) {
+        showToast('Enter a stake above zero', 'error');
+        return;
+    }
+    if (!odds) {
+        showToast(`Enter the price as ${oddsFormat} odds`, 'error');
+        return;
+    }
+    if (pendingLedgerBet.market !== 'moneyline' && (isNaN(line) || (pendingLedgerBet.market === 'total' && line <= 0))) {
+        showToast('Enter the line the bet was placed at', 'error');
+        return;
+    }
+    if (pendingLedgerBet.market === 'spread' && !isOnQuarterGrid(line)) {
+        showToast(HANDICAP_GRID_MESSAGE, 'error');
+        return;
+    }
+    
+    // A spread bet's line is stored as Team 1's handicap
+    const team1Line = pendingLedgerBet.market === 'spread' && pendingLedgerBet.selection === 'team2' ? -line : line;
+    const bet = {
+        ...pendingLedgerBet,
+        id: generateId('bet'),
+        placedAt: Date.now(),
+        stake,
+        odds,
+        line: pendingLedgerBet.market === 'moneyline' ? null : team1Line,
+        closingOdds: null,
+        settlement: null
+    };
+    betLedger.push(bet);
+    saveBetLedger();
+    closeLedgerForm();
+    renderBetLedger();
+    showToast(`Recorded ${formatLedgerSelection(bet)} in the bet ledger`, 'success');
+}
+
+// Settlement result (see SETTLEMENT_RESULTS) of a bet for a final score: spreads through calculateHandicapResult
+// (quarter lines can be half won or half lost), totals through calculateTotalResult
+function calculateLedgerBetResult(bet, team1Score, team2Score) {
+    if (bet.market === 'total') {
+        const total = calculateTotalResult(team1Score, team2Score, bet.line);
+        return total === 'Push' ? 0 : (total.toLowerCase() === bet.selection ? 1 : -1);
+    }
+    if (bet.market === 'spread') {
+        const team1Result = calculateHandicapResult(team1Score, team2Score, bet.line);
+        return bet.selection === 'team1' ? team1Result : -team1Result;
+    }
+    
+    const winner = team1Score > team2Score ? 'team1' : (team1Score < team2Score ? 'team2' : 'draw');
+    return winner === bet.selection ? 1 : -1;
+}
+
+// Settle a bet from the final score
+function settleLedgerBet(bet, team1Score, team2Score) {
+    const result = calculateLedgerBetResult(bet, team1Score, team2Score);
+    
+    bet.settlement = {
+        team1Score,
+        team2Score,
+        outcome: getSettlementOutcome(result),
+        profit: bet.stake * calculateSettlementReturn(result, bet.odds),
+        settledAt: Date.now()
+    };
+}
+
+// Closing-line value: how much better the price taken was than the closing price (%)
+function calculateClosingLineValue(bet) {
+    return bet.closingOdds ? (bet.odds / bet.closingOdds - 1) * 100 : null;
+}
+
+// Settle, reopen or delete a ledger row
+function handleLedgerAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const bet = betLedger.find(entry => entry.id === button.dataset.betId);
+    if (!bet) return;
+    
+    if (button.dataset.action === 'settle') {
+        const row = button.closest('tr');
+        const team1Score = row.querySelector('[data-score="team1"]').value;
+        const team2Score = row.querySelector('[data-score="team2"]').value;
+        if (!/^\d+$/.test(team1Score) || !/^\d+$/.test(team2Score)) {
+            showToast('Enter the final score as whole numbers', 'error');
+            return;
+        }
+        settleLedgerBet(bet, parseInt(team1Score), parseInt(team2Score));
+        showToast(`${formatLedgerSelection(bet)}: ${bet.settlement.outcome}`, 'success');
+    } else if (button.dataset.action === 'reopen') {
+        bet.settlement = null;
+    } else if (button.dataset.action === 'delete') {
+        betLedger = betLedger.filter(entry => entry.id !== bet.id);
+    }
+    
+    saveBetLedger();
+    renderBetLedger();
+}
+
+// Store a closing price entered in a ledger row
+function handleLedgerClosingOddsChange(event) {
+    const input = event.target.closest('input[data-closing-odds]');
+    if (!input) return;
+    
+    const bet = betLedger.find(entry => entry.id === input.dataset.closingOdds);
+    const odds = parseOdds(input.value, oddsFormat);
+    if (!bet) return;
+    if (odds === undefined) {
+        showToast(`Enter the closing price as ${oddsFormat} odds`, 'error');
+        return;
+    }
+    
+    bet.closingOdds = odds;
+    saveBetLedger();
+    renderBetLedger();
+}
+
+// P/L, yield and average closing-line value per market and overall
+function summarizeBetLedger() {
+    const summarize = (label, bets) => {
+        const settled = bets.filter(bet => bet.settlement);
+        const staked = settled.reduce((sum, bet) => sum + bet.stake, 0);
+        const profit = settled.reduce((sum, bet) => sum + bet.settlement.profit, 0);
+        const clvValues = bets.map(calculateClosingLineValue).filter(value => value !== null);
+        const count = outcome => settled.filter(bet => bet.settlement.outcome === outcome).length;
+        
+        return {
+            label,
+            bets: bets.length,
+            settled: settled.length,
+            won: count('win') + count('half-win'),
+            lost: count('loss') + count('half-loss'),
+            pushed: count('push'),
+            staked,
+            profit,
+            yield: staked > 0 ? profit / staked * 100 : null,
+            averageClv: clvValues.length > 0 ? clvValues.reduce((sum, value) => sum + value, 0) / clvValues.length : null
+        };
+    };
+    
+    const overall = summarize('All markets', betLedger);
+    return {
+        markets: Object.entries(BET_MARKETS)
+            .map(([market, label]) => summarize(label, betLedger.filter(bet => bet.market === market)))
+            .filter(group => group.bets > 0),
+        overall,
+        roi: overall.profit / bankrollSettings.bankroll * 100,
+        openStakes: betLedger.filter(bet => !bet.settlement).reduce((sum, bet) => sum + bet.stake, 0)
+    };
+}
+
+// Show the ledger summary and the recorded bets (newest first)
+function renderBetLedger() {
+    const summaryElement = document.getElementById('ledger-summary');
+    const tableElement = document.getElementById('ledger-table');
+    document.getElementById('ledger-export-btn').disabled = betLedger.length === 0;
+    
+    if (betLedger.length === 0) {
+        summaryElement.innerHTML = '';
+        tableElement.innerHTML = '<p>No bets recorded yet. Use Record Bet on a recommendation after running an analysis.</p>';
+        return;
+    }
+    
+    const summary = summarizeBetLedger();
+    const formatPercent = value => value === null ? '–' : formatSignedPercent(value);
+    const formatProfit = value => `${value > 0 ? '+' : ''}${formatStake(value)}`;
+    const resultClass = value => value > 0 ? 'backtest-win' : (value < 0 ? 'backtest-loss' : '');
+    
+    summaryElement.innerHTML = `
+        <p>
+            <strong>Profit/loss:</strong> ${formatProfit(summary.overall.profit)} ·
+            <strong>ROI on bankroll:</strong> ${formatSignedPercent(summary.roi)} ·
+            <strong>Open stakes:</strong> ${formatStake(summary.openStakes)}
+        </p>
+        <div class="csv-table-wrapper">
+            <table class="csv-table">
+                <thead>
+                    <tr><th>Market</th><th>Bets</th><th>Won</th><th>Lost</th><th>Push</th><th>Staked</th><th>P/L</th><th>Yield</th><th>Avg CLV</th></tr>
+                </thead>
+                <tbody>
+                    ${[...summary.markets, summary.overall].map(group => `
+                        <tr>
+                            <td>${group.label}</td>
+                            <td>${group.bets}</td>
+                            <td>${group.won}</td>
+                            <td>${group.lost}</td>
+                            <td>${group.pushed}</td>
+                            <td>${formatStake(group.staked)}</td>
+                            <td class="${resultClass(group.profit)}">${formatProfit(group.profit)}</td>
+                            <td>${formatPercent(group.yield)}</td>
+                            <td>${formatPercent(group.averageClv)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    const rows = [...betLedger].sort((a, b) => b.placedAt - a.placedAt).map(bet => {
+        const clv = calculateClosingLineValue(bet);
+        const resultCell = bet.settlement ? `
+            ${bet.settlement.team1Score}-${bet.settlement.team2Score} ${bet.settlement.outcome}
+            <button type="button" class="btn-icon btn-icon-sm" data-action="reopen" data-bet-id="${bet.id}" title="Reopen">
+                <span class="material-symbols-outlined">undo</span>
+            </button>
+        ` : `
+            <input type="number" class="ledger-score" data-score="team1" min="0" step="1" aria-label="${escapeHtml(bet.team1Name)} score">
+            -
+            <input type="number" class="ledger-score" data-score="team2" min="0" step="1" aria-label="${escapeHtml(bet.team2Name)} score">
+            <button type="button" class="btn-icon btn-icon-sm" data-action="settle" data-bet-id="${bet.id}" title="Settle">
+                <span class="material-symbols-outlined">check</span>
+            </button>
+        `;
+        
+        return `
+            <tr>
+                <td>${formatDateISO(bet.placedAt)}</td>
+                <td>${escapeHtml(bet.team1Name)} vs ${escapeHtml(bet.team2Name)}</td>
+                <td>${escapeHtml(formatLedgerSelection(bet))}</td>
+                <td>${formatOdds(bet.odds)}</td>
+                <td>${formatStake(bet.stake)}</td>
+                <td>
+                    <input type="text" class="ledger-closing-odds" data-closing-odds="${bet.id}"
+                        value="${bet.closingOdds ? formatOdds(bet.closingOdds) : ''}" aria-label="Closing price">
+                </td>
+                <td>${clv === null ? '–' : formatSignedPercent(clv)}</td>
+                <td>${resultCell}</td>
+                <td class="${bet.settlement ? resultClass(bet.settlement.profit) : ''}">${bet.settlement ? formatProfit(bet.settlement.profit) : ''}</td>
+                <td>
+                    <button type="button" class="btn-icon btn-icon-sm" data-action="delete" data-bet-id="${bet.id}" title="Delete bet">
+                        <span class="material-symbols-outlined">delete</span>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    tableElement.innerHTML = `
+        <div class="csv-table-wrapper">
+            <table class="csv-table">
+                <thead>
+                    <tr><th>Placed</th><th>Match</th><th>Selection</th><th>Price</th><th>Stake</th><th>Closing</th><th>CLV</th><th>Result</th><th>P/L</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Download the ledger as CSV (prices in decimal odds)
+function exportBetLedger() {
+    if (betLedger.length === 0) return;
+    
+    const header = ['Placed', 'Team 1', 'Team 2', 'Market', 'Selection', 'Line', 'Odds', 'Stake', 'Closing Odds', 'CLV %',
+        'Team 1 Score', 'Team 2 Score', 'Result', 'Profit'];
+    
+    // Spread lines are stored as Team 1's handicap; the file gives the selected side's, as the Selection column does
+    const lines = betLedger.map(bet => {
+        const clv = calculateClosingLineValue(bet);
+        const { settlement } = bet;
+        const line = bet.market === 'spread' ? getLedgerSelectionHandicap(bet) : bet.line;
+        return [
+            formatDateISO(bet.placedAt), bet.team1Name, bet.team2Name, BET_MARKETS[bet.market], formatLedgerSelection(bet),
+            line === null ? '' : line, bet.odds.toFixed(3), bet.stake.toFixed(2),
+            bet.closingOdds ? bet.closingOdds.toFixed(3) : '', clv === null ? '' : clv.toFixed(2),
+            settlement ? settlement.team1Score : '', settlement ? settlement.team2Score : '',
+            settlement ? settlement.outcome : 'open', settlement ? settlement.profit.toFixed(2) : ''
+        ].map(formatCsvCell).join(',');
+    });
+    
+    downloadFile('bet-ledger.csv', [header.join(','), ...lines].join('\n'), 'text/csv');
+    showToast('Bet ledger exported', 'success');
+}
+
+// DERIVED MARKETS
+// =============================
+// Likeliest correct scores listed before "Any other score"
+const DERIVED_MARKET_CORRECT_SCORES = 10;
+
+// Markets where one selection is at least this likely (%) are left out, e.g. both teams scoring in basketball
+const DERIVED_MARKET_MAX_PROBABILITY = 99.9;
+
+// Markets priced from the score matrix, each { id, title, selections: [{ id, label, settle, probability, pushProbability }] }
+// with probabilities in %; settle(team1Score, team2Score) is the selection's settlement result for a final score.
+// Selection ids include the market's line, so an entered price stops applying when it moves.
+function calculateDerivedMarkets(matrix, sport = getSportProfile(), names = { team1: team1Name, team2: team2Name }) {
+    // Settle a selection that wins on the scorelines matching a condition and loses otherwise
+    const winsWhen = condition => (team1Score, team2Score) => condition(team1Score, team2Score) ? 1 : -1;
+    const selection = (marketId, key, label, settle) => {
+        const probabilities = calculateSettlementProbabilities(matrix, settle);
+        return { id: `${marketId}:${key}`, label, settle, probability: probabilities.win * 100, pushProbability: probabilities.push * 100 };
+    };
+    const markets = [];
+    
+    const bothScore = (team1Score, team2Score) => team1Score > 0 && team2Score > 0;
+    markets.push({
+        id: 'btts',
+        title: 'Both Teams to Score',
+        selections: [
+            selection('btts', 'yes', 'Yes', winsWhen(bothScore)),
+            selection('btts', 'no', 'No', winsWhen((team1Score, team2Score) => !bothScore(team1Score, team2Score)))
+        ]
+    });
+    
+    // Each team's total at the half line just above its expected score
+    ['team1', 'team2'].forEach(team => {
+        const scoreOf = (team1Score, team2Score) => team === 'team1' ? team1Score : team2Score;
+        const expected = matrix.reduce((sum, row, team1Score) => sum + row.reduce((rowSum, probability, team2Score) =>
+            rowSum + probability * scoreOf(team1Score, team2Score), 0), 0);
+        const line = Math.floor(expected) + 0.5;
+        const id = `${team}-total-${line}`;
+        markets.push({
+            id,
+            title: `${names[team]} Total ${line}`,
+            selections: [
+                selection(id, 'over', `Over ${line}`, winsWhen((team1Score, team2Score) => scoreOf(team1Score, team2Score) > line)),
+                selection(id, 'under', `Under ${line}`, winsWhen((team1Score, team2Score) => scoreOf(team1Score, team2Score) < line))
+            ]
+        });
+    });
+    
+    // Double chance and draw-no-bet only differ from the match result where draws stand
+    if (sport.drawsPossible) {
+        markets.push({
+            id: 'double-chance',
+            title: 'Double Chance',
+            selections: [
+                selection('double-chance', '1x', `${names.team1} or draw`, winsWhen((team1Score, team2Score) => team1Score >= team2Score)),
+                selection('double-chance', 'x2', `${names.team2} or draw`, winsWhen((team1Score, team2Score) => team1Score <= team2Score)),
+                selection('double-chance', '12', `${names.team1} or ${names.team2}`,
+                    winsWhen((team1Score, team2Score) => team1Score !== team2Score))
+            ]
+        });
+        markets.push({
+            id: 'dnb',
+            title: 'Draw No Bet',
+            selections: [
+                selection('dnb', 'team1', names.team1, (team1Score, team2Score) => Math.sign(team1Score - team2Score)),
+                selection('dnb', 'team2', names.team2, (team1Score, team2Score) => Math.sign(team2Score - team1Score))
+            ]
+        });
+    }
+    
+    // Winning margin bands from the sport profile, e.g. "by 1", "by 2", "by 3+"
+    const bandRanges = sport.marginBands.map((upper, index) => [index === 0 ? 1 : sport.marginBands[index - 1] + 1, upper])
+        .concat([[sport.marginBands[sport.marginBands.length - 1] + 1, Infinity]]);
+    const bandLabel = ([lower, upper]) => upper === Infinity ? `${lower}+` : (lower === upper ? `${lower}` : `${lower}-${upper}`);
+    const marginSelections = team => bandRanges.map(range => {
+        const margin = (team1Score, team2Score) => team === 'team1' ? team1Score - team2Score : team2Score - team1Score;
+        return selection('margin', `${team}-${bandLabel(range)}`, `${names[team]} by ${bandLabel(range)}`,
+            winsWhen((team1Score, team2Score) => margin(team1Score, team2Score) >= range[0] && margin(team1Score, team2Score) <= range[1]));
+    });
+    markets.push({
+        id: 'margin',
+        title: 'Winning Margin',
+        selections: [
+            ...marginSelections('team1'),
+            ...(sport.drawsPossible ? [selection('margin', 'draw', 'Draw', winsWhen((team1Score, team2Score) => team1Score === team2Score))] : []),
+            ...marginSelections('team2')
+        ]
+    });
+    
+    markets.push({
+        id: 'odd-even',
+        title: 'Total Odd/Even',
+        selections: [
+            selection('odd-even', 'odd', 'Odd', winsWhen((team1Score, team2Score) => (team1Score + team2Score) % 2 === 1)),
+            selection('odd-even', 'even', 'Even', winsWhen((team1Score, team2Score) => (team1Score + team2Score) % 2 === 0))
+        ]
+    });
+    
+    // Correct score straight from the score distribution, with the rest as "Any other score"
+    const scores = generateScoreDistribution(matrix, 1)
+        .filter(score => score.team1Score >= 0)
+        .slice(0, DERIVED_MARKET_CORRECT_SCORES);
+    const isListed = (team1Score, team2Score) => scores.some(score => score.team1Score === team1Score && score.team2Score === team2Score);
+    markets.push({
+        id: 'correct-score',
+        title: 'Correct Score',
+        selections: [
+            ...scores.map(score => selection('correct-score', `${score.team1Score}-${score.team2Score}`,
+                `${score.team1Score}-${score.team2Score}`,
+                winsWhen((team1Score, team2Score) => team1Score === score.team1Score && team2Score === score.team2Score))),
+            selection('correct-score', 'other', 'Any other score', winsWhen((team1Score, team2Score) => !isListed(team1Score, team2Score)))
+        ]
+    });
+    
+    return markets.filter(market => market.selections.every(entry => entry.probability < DERIVED_MARKET_MAX_PROBABILITY));
+}
+
+// Prices entered against an analysis (decimal odds by id). Any other analysis, even a rerun of the same fixture,
+// starts without prices, so a price never carries over to a different match.
+function getAnalysisPrices(store, results = lastAnalysisResults) {
+    return results && store.results === results ? store.prices : {};
+}
+
+// Store (or clear, with null) a price for the shown analysis, dropping the prices entered for an earlier one
+function setAnalysisPrice(store, id, odds, results = lastAnalysisResults) {
+    if (!results) return;
+    
+    if (store.results !== results) {
+        store.results = results;
+        store.prices = {};
+    }
+    if (odds === null) {
+        delete store.prices[id];
+    } else {
+        store.prices[id] = odds;
+    }
+}
+
+// Show every derived market with its fair odds and, where a price is entered, its expected value
+function renderDerivedMarkets(results) {
+    const prices = getAnalysisPrices(derivedMarketOdds, results);
+    const markets = calculateDerivedMarkets(results.scoreModel.matrix, getSportProfile(),
+        { team1: results.team1Name, team2: results.team2Name });
+    
+    const marketHTML = market => {
+        const rows = market.selections.map(entry => {
+            const fairOdds = calculateFairOdds(entry);
+            const price = prices[entry.id];
+            const expectedValue = price ? calculateExpectedValue(getSettlementProbabilities(entry), price) : null;
+            
+            return `
+                <tr class="${expectedValue > 0 ? 'backtest-win' : ''}">
+                    <td>${escapeHtml(entry.label)}</td>
+                    <td>${entry.probability.toFixed(1)}%</td>
+                    <td>${fairOdds ? formatOdds(fairOdds) : '–'}</td>
+                    <td>
+                        <input type="text" class="market-price" data-selection="${escapeHtml(entry.id)}"
+                            value="${price ? formatOdds(price) : ''}" aria-label="${escapeHtml(entry.label)} price">
+                    </td>
+                    <td>${expectedValue === null ? '–' : formatSignedPercent(expectedValue)}</td>
+                    <td>
+                        <button type="button" class="btn-icon btn-icon-sm" data-parlay-selection="${escapeHtml(entry.id)}" title="Add to slip">
+                            <span class="material-symbols-outlined">playlist_add</span>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        return `
+            <div class="derived-market">
+                <h4>${escapeHtml(market.title)}</h4>
+                <div class="csv-table-wrapper">
+                    <table class="csv-table odds-table">
+                        <thead>
+                            <tr><th>Selection</th><th>Prob.</th><th>Fair</th><th>Price</th><th>EV</th><th></th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    };
+    
+    document.getElementById('derived-markets-content').innerHTML =
+        `<div class="derived-markets-grid">${markets.map(marketHTML).join('')}</div>`;
+}
+
+// Store (or clear) a price entered for a derived-market selection and reprice the panel
+function handleDerivedMarketPriceChange(event) {
+    const input = event.target.closest('input[data-selection]');
+    if (!input) return;
+    
+    const odds = parseOdds(input.value, oddsFormat);
+    if (odds === undefined) {
+        showToast(`Enter the price as ${oddsFormat} odds`, 'error');
+        return;
+    }
+    
+    if (lastAnalysisResults) {
+        setAnalysisPrice(derivedMarketOdds, input.dataset.selection, odds);
+        renderDerivedMarkets(lastAnalysisResults);
+    }
+}
+
+// LINE LADDER
+// =============================
+// Alternative lines listed on each side of the line nearest the projection
+const LINE_LADDER_STEPS = {
+    total: 8,
+    spread: 8
+};
+
+// Ladder spacing: the sport's line step, widened for sports with bigger margins
+function getLadderStep(lineStep, sport = getSportProfile()) {
+    return lineStep * Math.max(1, Math.round(sport.marginScale / 2));
+}
+
+// One side of a ladder line priced at the entered odds (if any), as a bet { probability, pushProbability, ... } in %
+function priceLadderSide(id, label, probabilities, odds) {
+    const side = {
+        id,
+        label,
+        probability: probabilities.win * 100,
+        halfWinProbability: (probabilities.halfWin || 0) * 100,
+        pushProbability: probabilities.push * 100,
+        halfLossProbability: (probabilities.halfLoss || 0) * 100,
+        odds: odds || null
+    };
+    side.fairOdds = calculateFairOdds(side);
+    side.expectedValue = side.odds ? calculateExpectedValue(getSettlementProbabilities(side), side.odds) : null;
+    return side;
+}
+
+// Ladder rows ({ line, sides }) for the lines around `center`, plus the priced side that disagrees most with the model
+function buildLineLadder(center, step, count, priceLine) {
+    const rows = [];
+    for (let offset = -count; offset <= count; offset++) {
+        const line = Number((center + offset * step).toFixed(2));
+        const row = priceLine(line);
+        if (row) rows.push({ line, sides: row });
+    }
+    
+    const priced = rows.flatMap(row => row.sides).filter(side => side.expectedValue !== null);
+    const biggest = priced.reduce((top, side) => !top || Math.abs(side.expectedValue) > Math.abs(top.expectedValue) ? side : top, null);
+    return { rows, biggest };
+}
+
+// Over/under ladder around the projected total, with the entered ladder prices; the main line falls back to the
+// prices entered with it
+function buildTotalLadder(matrix, projectedTotal, sport = getSportProfile(), prices = {}) {
+    return buildLineLadder(Math.floor(projectedTotal) + 0.5, getLadderStep(sport.totalLineStep, sport), LINE_LADDER_STEPS.total, line => {
+        if (line <= 0) return null;
+        
+        const cover = calculateTotalCoverProbabilities(matrix, line);
+        const price = key => prices[`total:${line}:${key}`] || (line === totalLine ? totalOdds[key] : null);
+        return [
+            priceLadderSide(`total:${line}:over`, `OVER ${line}`, { win: cover.over, push: cover.push }, price('over')),
+            priceLadderSide(`total:${line}:under`, `UNDER ${line}`, { win: cover.under, push: cover.push }, price('under'))
+        ];
+    });
+}
+
+// Team 1 handicap ladder around the handicap that offsets the projected margin (quarter lines included where
+// the sport quotes them)
+function buildSpreadLadder(matrix, projectedMargin, sport = getSportProfile(), names = { team1: team1Name, team2: team2Name }, prices = {}) {
+    const step = getLadderStep(sport.spreadStep, sport);
+    return buildLineLadder(Math.round(-projectedMargin / step) * step, step, LINE_LADDER_STEPS.spread, handicap => {
+        const cover = calculateSpreadCoverProbabilities(matrix, handicap);
+        const price = key => prices[`spread:${handicap}:${key}`] || (handicap === spreadHandicap ? spreadOdds[key] : null);
+        return [
+            priceLadderSide(`spread:${handicap}:team1`, `${names.team1} ${formatHandicap(handicap)}`, cover, price('team1')),
+            priceLadderSide(`spread:${handicap}:team2`, `${names.team2} ${formatHandicap(-handicap)}`,
+                { win: cover.loss, halfWin: cover.halfLoss, push: cover.push, halfLoss: cover.halfWin }, price('team2'))
+        ];
+    });
+}
+
+// Ladder table: one row per line with both sides' probability, fair odds, price input and expected value
+function generateLineLadderHTML(title, ladder, columnLabels, formatLine) {
+    const sideCells = side => `
+        <td>${side.probability.toFixed(1)}%</td>
+        <td>${side.fairOdds ? formatOdds(side.fairOdds) : '–'}</td>
+        <td>
+            <input type="text" class="market-price" data-ladder-price="${escapeHtml(side.id)}"
+                value="${side.odds ? formatOdds(side.odds) : ''}" aria-label="${escapeHtml(side.label)} price">
+        </td>
+        <td class="${side === ladder.biggest ? 'ladder-disagreement' : ''}">
+            ${side.expectedValue === null ? '–' : formatSignedPercent(side.expectedValue)}
+        </td>
+    `;
+    const [lineLabel, firstLabel, secondLabel] = columnLabels.map(escapeHtml);
+    const sideHeader = label => `<th>${label}</th><th>Fair</th><th>Price</th><th>EV</th>`;
+    
+    return `
+        <div class="line-ladder">
+            <h4>${title}</h4>
+            ${ladder.biggest ? `
+                <p class="section-hint">
+                    Biggest disagreement: <strong>${escapeHtml(ladder.biggest.label)} @ ${formatOdds(ladder.biggest.odds)}</strong>
+                    (model ${formatOdds(ladder.biggest.fairOdds)}, EV ${formatSignedPercent(ladder.biggest.expectedValue)})
+                </p>
+            ` : ''}
+            <div class="csv-table-wrapper">
+                <table class="csv-table odds-table">
+                    <thead>
+                        <tr><th>${lineLabel}</th>${sideHeader(firstLabel)}${sideHeader(secondLabel)}</tr>
+                    </thead>
+                    <tbody>
+                        ${ladder.rows.map(row => `
+                            <tr class="${row.sides.includes(ladder.biggest) ? 'ladder-highlight' : ''}">
+                                <td>${formatLine(row.line)}</td>
+                                ${row.sides.map(sideCells).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+// Show the total and handicap ladders for an analysis
+function renderLineLadder(results) {
+    const sport = getSportProfile();
+    const names = { team1: results.team1Name, team2: results.team2Name };
+    const prices = getAnalysisPrices(lineLadderOdds, results);
+    const totalLadder = buildTotalLadder(results.scoreModel.matrix, results.projectedTotal, sport, prices);
+    const spreadLadder = buildSpreadLadder(results.scoreModel.matrix, results.projectedMargin, sport, names, prices);
+    
+    document.getElementById('line-ladder-content').innerHTML = `
+        <div class="line-ladder-grid">
+            ${generateLineLadderHTML('Totals', totalLadder, ['Line', 'Over', 'Under'], line => String(line))}
+            ${generateLineLadderHTML('Handicaps', spreadLadder, [`${names.team1} Handicap`, names.team1, names.team2], formatHandicap)}
+        </div>
+    `;
+}
+
+// Store (or clear) a price entered on the ladder and reprice it
+function handleLineLadderPriceChange(event) {
+    const input = event.target.closest('input[data-ladder-price]');
+    if (!input) return;
+    
+    const odds = parseOdds(input.value, oddsFormat);
+    if (odds === undefined) {
+        showToast(`Enter the price as ${oddsFormat} odds`, 'error');
+        return;
+    }
+    
+    if (lastAnalysisResults) {
+        setAnalysisPrice(lineLadderOdds, input.dataset.ladderPrice, odds);
+        renderLineLadder(lastAnalysisResults);
+    }
+}
+
+// SLATE
+// =============================
+// Leaderboard columns that can be sorted, with the value each sorts by
+const SLATE_SORT_KEYS = {
+    name: summary => summary.name.toLowerCase(),
+    pickProbability: summary => summary.pickProbability,
+    projectedTotal: summary => summary.projectedTotal,
+    projectedMargin: summary => summary.projectedMargin,
+    totalEdge: summary => summary.totalEdge && summary.totalEdge.expectedValue,
+    spreadEdge: summary => summary.spreadEdge && summary.spreadEdge.expectedValue,
+    moneylineEdge: summary => summary.moneylineEdge && summary.moneylineEdge.expectedValue,
+    bestEdge: summary => summary.bestEdge && summary.bestEdge.expectedValue
+};
+
+// Load the saved slate
+function loadSlate() {
+    const stored = loadFromStorage(STORAGE_KEYS.SLATE, []);
+    slateFixtures = Array.isArray(stored) ? stored.filter(fixture => fixture && fixture.id && fixture.state) : [];
+}
+
+// Persist the slate (fixtures with their last batch results, whose score matrices are rebuilt when opened)
+function saveSlate() {
+    const stored = slateFixtures.map(fixture => ({ ...fixture, results: stripScoreMatrix(fixture.results) }));
+    if (!saveToStorage(STORAGE_KEYS.SLATE, stored)) {
+        showToast('Could not save the slate. Browser storage may be full.', 'error');
+    }
+}
+
+// List the saved sessions that can be added to the slate
+function updateSlateSessionOptions(sessions = getSavedSessions()) {
+    const select = document.getElementById('slate-session-select');
+    select.innerHTML = sessions.length === 0 ?
+        '<option value="">No saved sessions</option>' :
+        sessions.map(session => `<option value="${session.id}">${escapeHtml(session.name)}</option>`).join('');
+    document.getElementById('slate-add-session-btn').disabled = sessions.length === 0;
+}
+
+// A slate fixture from a session snapshot: its own teams, match data, importance, location and lines
+function createSlateFixture(name, state) {
+    return {
+        id: generateId('fixture'),
+        name,
+        state: JSON.parse(JSON.stringify(state)),
+        results: null,
+        error: null,
+        addedAt: Date.now()
+    };
+}
+
+// Add the matchup currently in the form
+function addCurrentMatchupToSlate() {
+    if (getTotalMatchCount() === 0) {
+        showToast('Add match data before adding the matchup to the slate', 'warning');
+        return;
+    }
+    
+    const fixture = createSlateFixture(`${team1Name} vs ${team2Name}`, captureSessionState());
+    slateFixtures.push(fixture);
+    saveSlate();
+    renderSlate();
+    showToast(`Added ${fixture.name} to the slate`, 'success');
+}
+
+// Add a saved session's matchup
+function addSavedSessionToSlate() {
+    const session = getSavedSessions().find(saved => saved.id === document.getElementById('slate-session-select').value);
+    if (!session) {
+        showToast('Choose a saved session to add', 'warning');
+        return;
+    }
+    
+    slateFixtures.push(createSlateFixture(session.name, session.state));
+    saveSlate();
+    renderSlate();
+    showToast(`Added ${session.name} to the slate`, 'success');
+}
+
+function clearSlate() {
+    if (slateFixtures.length === 0 || !confirm(`Remove all ${slateFixtures.length} fixtures from the slate?`)) return;
+    
+    slateFixtures = [];
+    saveSlate();
+    renderSlate();
+}
+
+// Analyze every fixture on the slate in turn, one per task, leaving the current matchup and its analysis untouched
+function runSlateAnalysis() {
+    if (slateFixtures.length === 0) {
+        showToast('Add fixtures to the slate first', 'warning');
+        return;
+    }
+    
+    const runButton = document.getElementById('slate-run-btn');
+    const fixtures = slateFixtures.slice();
+    runButton.disabled = true;
+    
+    runTaskBatch(fixtures, fixture => withPreservedMatchup(() => {
+        try {
+            applySessionState(fixture.state);
+            if (getTotalMatchCount() === 0) {
+                throw new Error('No match data');
+            }
+            updateSpreadCoverCalculations();
+            fixture.results = runModelV1Analysis();
+            fixture.error = null;
+        } catch (error) {
+            console.error(`Slate analysis failed for ${fixture.name}:`, error);
+            fixture.results = null;
+            fixture.error = error.message;
+        }
+    }), {
+        onProgress: (done, total) => {
+            document.getElementById('slate-status').textContent = `Analyzed ${done} of ${total} fixtures...`;
+        },
+        onDone: () => {
+            runButton.disabled = false;
+            saveSlate();
+            renderSlate();
+            
+            const failed = fixtures.filter(fixture => fixture.error).length;
+            showToast(`Analyzed ${fixtures.length - failed} of ${fixtures.length} fixtures`, failed > 0 ? 'warning' : 'success');
+        },
+        onError: error => {
+            runButton.disabled = false;
+            console.error('Slate analysis failed:', error);
+            showToast('Slate analysis failed. Please try again.', 'error');
+        }
+    });
+}
+
+// Leaderboard figures of an analyzed fixture: the pick, projections and the best expected value per market
+function summarizeSlateFixture(fixture) {
+    const { results } = fixture;
+    const summary = { id: fixture.id, name: fixture.name, analyzed: Boolean(results), error: fixture.error };
+    if (!results) return summary;
+    
+    const { team1WinProb, drawProb, team2WinProb } = results.probabilities;
+    const picks = [[`${results.team1Name} win`, team1WinProb], ['Draw', drawProb], [`${results.team2Name} win`, team2WinProb]];
+    const [pick, pickProbability] = picks.reduce((top, entry) => entry[1] > top[1] ? entry : top);
+    const lineEdge = market => market && market.best ? { label: market.best.label, expectedValue: market.best.expectedValue } : null;
+    const moneylineBest = results.moneyline && getBestMoneylineOutcome(results.moneyline);
+    
+    Object.assign(summary, {
+        team1Name: results.team1Name,
+        team2Name: results.team2Name,
+        pick,
+        pickProbability,
+        projectedTotal: results.projectedTotal,
+        projectedMargin: results.projectedMargin,
+        totalEdge: lineEdge(results.totalMarket),
+        spreadEdge: lineEdge(results.spreadMarket),
+        moneylineEdge: moneylineBest ? { label: moneylineBest.label, expectedValue: moneylineBest.expectedValue } : null
+    });
+    summary.bestEdge = [summary.totalEdge, summary.spreadEdge, summary.moneylineEdge]
+        .filter(Boolean)
+        .reduce((top, edge) => !top || edge.expectedValue > top.expectedValue ? edge : top, null);
+    
+    return summary;
+}
+
+// Sort the leaderboard rows; fixtures without a value for the column (not analyzed, market not priced) go last
+function sortSlateSummaries(summaries, sort = slateSort) {
+    const valueOf = SLATE_SORT_KEYS[sort.key];
+    return [...summaries].sort((a, b) => {
+        const valueA = a.analyzed || sort.key === 'name' ? valueOf(a) : null;
+        const valueB = b.analyzed || sort.key === 'name' ? valueOf(b) : null;
+        if (valueA === null || valueA === undefined) return valueB === null || valueB === undefined ? 0 : 1;
+        if (valueB === null || valueB === undefined) return -1;
+        
+        const order = valueA < valueB ? -1 : (valueA > valueB ? 1 : 0);
+        return sort.descending ? -order : order;
+    });
+}
+
+// Show the slate as a leaderboard of the analyzed fixtures
+function renderSlate() {
+    const element = document.getElementById('slate-leaderboard');
+    const analyzed = slateFixtures.filter(fixture => fixture.results).length;
+    document.getElementById('slate-run-btn').disabled = slateFixtures.length === 0;
+    document.getElementById('slate-clear-btn').disabled = slateFixtures.length === 0;
+    document.getElementById('slate-status').textContent = slateFixtures.length === 0 ? '' :
+        `${slateFixtures.length} fixtures on the slate, ${analyzed} analyzed.`;
+    
+    if (slateFixtures.length === 0) {
+        element.innerHTML = '<p>No fixtures on the slate yet. Add the current matchup or a saved session.</p>';
+        return;
+    }
+    
+    const summaries = sortSlateSummaries(slateFixtures.map(summarizeSlateFixture));
+    const header = (key, label) => `
+        <th class="sortable ${slateSort.key === key ? 'sorted' : ''}" data-slate-sort="${key}">
+            ${label}${slateSort.key === key ? (slateSort.descending ? ' ▼' : ' ▲') : ''}
+        </th>
+    `;
+    const edgeCell = edge => edge ?
+        `<td class="${edge.expectedValue >= LINE_VALUE_THRESHOLDS.MODERATE ? 'backtest-win' : ''}">
+            ${formatSignedPercent(edge.expectedValue)}<div class="slate-edge-label">${escapeHtml(edge.label)}</div>
+        </td>` : '<td>–</td>';
+    
+    const rows = summaries.map(summary => `
+        <tr>
+            <td>${escapeHtml(summary.name)}</td>
+            ${summary.analyzed ? `
+                <td>${escapeHtml(summary.pick)}</td>
+                <td>${summary.pickProbability.toFixed(1)}%</td>
+                <td>${summary.projectedTotal.toFixed(1)}</td>
+                <td>${escapeHtml(summary.projectedMargin >= 0 ? summary.team1Name : summary.team2Name)} by ${Math.abs(summary.projectedMargin).toFixed(1)}</td>
+                ${edgeCell(summary.totalEdge)}
+                ${edgeCell(summary.spreadEdge)}
+                ${edgeCell(summary.moneylineEdge)}
+                ${edgeCell(summary.bestEdge)}
+            ` : `<td colspan="8">${summary.error ? `Not analyzed: ${escapeHtml(summary.error)}` : 'Not analyzed yet'}</td>`}
+            <td class="slate-actions">
+                <button type="button" class="btn-icon btn-icon-sm" data-action="view" data-fixture-id="${summary.id}" title="Open in the analysis view">
+                    <span class="material-symbols-outlined">open_in_new</span>
+                </button>
+                <button type="button" class="btn-icon btn-icon-sm" data-action="update" data-fixture-id="${summary.id}" title="Replace with the current matchup">
+                    <span class="material-symbols-outlined">sync</span>
+                </button>
+                <button type="button" class="btn-icon btn-icon-sm" data-action="remove" data-fixture-id="${summary.id}" title="Remove from the slate">
+                    <span class="material-symbols-outlined">delete</span>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+    
+    element.innerHTML = `
+        <div class="csv-table-wrapper">
+            <table class="csv-table slate-table">
+                <thead>
+                    <tr>
+                        ${header('name', 'Fixture')}
+                        <th>Pick</th>
+                        ${header('pickProbability', 'Prob.')}
+                        ${header('projectedTotal', 'Proj. Total')}
+                        ${header('projectedMargin', 'Proj. Margin')}
+                        ${header('totalEdge', 'Total EV')}
+                        ${header('spreadEdge', 'Spread EV')}
+                        ${header('moneylineEdge', 'Moneyline EV')}
+                        ${header('bestEdge', 'Best EV')}
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Open a slate fixture in the single-match view with its batch results; replacing the matchup in the form
+// is an undoable step
+function viewSlateFixture(fixture) {
+    if (getTotalMatchCount() > 0 && !confirm(`Open ${fixture.name}? It replaces the matchup in the form (Undo brings it back).`)) return;
+    
+    const checkpoint = beginHistoryStep();
+    applySessionState(fixture.state);
+    commitHistoryStep(checkpoint, `Open ${fixture.name} from the slate`);
+    activeSessionId = null;
+    lastAnalysisResults = restoreScoreMatrix(fixture.results);
+    document.getElementById('session-name').value = fixture.name;
+    
+    if (lastAnalysisResults) {
+        displayStoredAnalysis(lastAnalysisResults);
+        showResults();
+    } else {
+        hideAnalysisResults();
+    }
+    
+    saveWorkingSession();
+    renderSavedSessions();
+    showToast(`Opened ${fixture.name} from the slate`, 'success');
+}
+
+// Sort by a leaderboard column (again to reverse), or view, update or remove a fixture
+function handleSlateAction(event) {
+    const sortHeader = event.target.closest('th[data-slate-sort]');
+    if (sortHeader) {
+        const key = sortHeader.dataset.slateSort;
+        slateSort = slateSort.key === key ? { key, descending: !slateSort.descending } : { key, descending: key !== 'name' };
+        renderSlate();
+        return;
+    }
+    
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const fixture = slateFixtures.find(entry => entry.id === button.dataset.fixtureId);
+    if (!fixture) return;
+    
+    if (button.dataset.action === 'view') {
+        viewSlateFixture(fixture);
+        return;
+    }
+    if (button.dataset.action === 'update') {
+        if (!confirm(`Replace ${fixture.name} with the current matchup? Its results are cleared until the slate is analyzed again.`)) return;
+        Object.assign(fixture, {
+            name: `${team1Name} vs ${team2Name}`,
+            state: captureSessionState(),
+            results: null,
+            error: null
+        });
+    } else if (button.dataset.action === 'remove') {
+        slateFixtures = slateFixtures.filter(entry => entry.id !== fixture.id);
+    }
+    
+    saveSlate();
+    renderSlate();
+}
+
+// PARLAY
+// =============================
+// Accumulator slip: legs from one or more analyses. Legs of the same game are priced together over that
+// game's score matrix, so correlated selections (a team to win and the over, say) are not multiplied as if
+// they were independent; legs of different games are.
+
+// "Add to slip" button for a recommendation in the betting recommendation card
+function generateParlayButtonHTML(market) {
+    return `
+        <button type="button" class="btn btn-outline record-bet-btn" data-parlay-market="${market}">
+            <span class="material-symbols-outlined">playlist_add</span> Add to Slip
+        </button>
+    `;
+}
+
+// Score matrix rescaled so its win/draw/loss totals match the recalibrated probabilities shown for the analysis,
+// keeping the score distribution within each outcome. Null when the analysis was not recalibrated.
+function buildCalibratedScoreMatrix(results) {
+    if (!results.calibration) return null;
+    
+    const { matrix } = results.scoreModel;
+    const outcome = summarizeScoreMatrix(matrix);
+    const scaleFor = (team1Score, team2Score) => {
+        const key = team1Score > team2Score ? 'team1WinProb' : (team1Score < team2Score ? 'team2WinProb' : 'drawProb');
+        return outcome[key] > 0 ? results.probabilities[key] / outcome[key] : 0;
+    };
+    return matrix.map((row, team1Score) => row.map((probability, team2Score) => probability * scaleFor(team1Score, team2Score)));
+}
+
+// Add a selection from an analysis, settled by settle(team1Score, team2Score). Each analysis is its own game with
+// its own score matrix, so re-analysing a fixture leaves the legs already taken from it as they were priced.
+// Moneyline legs are priced on the recalibrated outcome probabilities, as in the betting recommendations.
+function addParlayLeg(results, selectionId, label, settle, odds, moneyline = false) {
+    let gameId = Object.keys(parlaySlip.games).find(id => parlaySlip.games[id].matrix === results.scoreModel.matrix);
+    if (gameId && parlaySlip.legs.some(leg => leg.gameId === gameId && leg.selectionId === selectionId)) {
+        showToast(`${label} is already on the slip`, 'warning');
+        return;
+    }
+    
+    const name = `${results.team1Name} vs ${results.team2Name}`;
+    const earlierAnalysis = !gameId && Object.values(parlaySlip.games).some(game => game.name === name);
+    if (!gameId) {
+        gameId = generateId('game');
+        parlaySlip.games[gameId] = {
+            name,
+            analyzedAt: results.analyzedAt,
+            matrix: results.scoreModel.matrix,
+            calibratedMatrix: buildCalibratedScoreMatrix(results)
+        };
+    }
+    
+    parlaySlip.legs.push({ id: `${gameId}|${selectionId}`, gameId, selectionId, label, settle, odds: odds || null, moneyline });
+    renderParlaySlip();
+    showToast(earlierAnalysis ?
+        `Added ${label} to the slip. Legs from the earlier analysis of ${name} keep their own prices and count as a separate game.` :
+        `Added ${label} to the slip`, earlierAnalysis ? 'info' : 'success');
+}
+
+// Add the shown analysis's total, spread or moneyline recommendation
+function handleParlayMarketClick(event) {
+    const button = event.target.closest('button[data-parlay-market]');
+    if (!button || !lastAnalysisResults) return;
+    
+    const { parlayMarket: market } = button.dataset;
+    const bet = buildPendingLedgerBet(market);
+    if (!bet) return;
+    
+    addParlayLeg(lastAnalysisResults, `${market}:${bet.line}:${bet.selection}`, formatLedgerSelection(bet),
+        (team1Score, team2Score) => calculateLedgerBetResult(bet, team1Score, team2Score), bet.odds, market === 'moneyline');
+}
+
+// Add a derived-market selection at its entered price (if any)
+function handleDerivedMarketSlipClick(event) {
+    const button = event.target.closest('button[data-parlay-selection]');
+    if (!button || !lastAnalysisResults) return;
+    
+    const results = lastAnalysisResults;
+    const markets = calculateDerivedMarkets(results.scoreModel.matrix, getSportProfile(), { team1: results.team1Name, team2: results.team2Name });
+    const market = markets.find(entry => entry.selections.some(selection => selection.id === button.dataset.parlaySelection));
+    if (!market) return;
+    
+    const selection = market.selections.find(entry => entry.id === button.dataset.parlaySelection);
+    addParlayLeg(results, selection.id, `${market.title}: ${selection.label}`, selection.settle, getAnalysisPrices(derivedMarketOdds, results)[selection.id]);
+}
+
+// Share of a leg's stake carried into the next leg for its settlement result: the whole price on a win,
+// half the profit on a half win, the stake on a push (the leg drops out), half the stake on a half loss
+function calculateParlayLegMultiplier(result, odds) {
+    return 1 + calculateSettlementReturn(result, odds);
+}
+
+// Score matrix a game's legs are priced on: the recalibrated one once a moneyline leg is among them
+function getParlayGameMatrix(game, legs) {
+    return game.calibratedMatrix && legs.some(leg => leg.moneyline) ? game.calibratedMatrix : game.matrix;
+}
+
+// Price the slip. Each leg gets its own probabilities and fair odds; the slip gets the probability that every
+// leg wins (joint within a game, multiplied across games) next to the figure for independent legs, the fair
+// odds of every leg winning, the offered price (the leg prices multiplied) and, once every leg is priced,
+// the expected value (%) with pushes and half results settled leg by leg.
+function priceParlaySlip(slip = parlaySlip) {
+    const legs = slip.legs.map(leg => {
+        const probabilities = calculateSettlementProbabilities(getParlayGameMatrix(slip.games[leg.gameId], [leg]), leg.settle);
+        const priced = {
+            ...leg,
+            probability: probabilities.win * 100,
+            halfWinProbability: probabilities.halfWin * 100,
+            pushProbability: probabilities.push * 100,
+            halfLossProbability: probabilities.halfLoss * 100
+        };
+        priced.fairOdds = calculateFairOdds(priced);
+        return priced;
+    });
+    const gameIds = [...new Set(legs.map(leg => leg.gameId))];
+    const allPriced = legs.every(leg => leg.odds);
+    
+    let probability = 1;
+    let expectedReturn = 1;
+    gameIds.forEach(gameId => {
+        const gameLegs = legs.filter(leg => leg.gameId === gameId);
+        let allWon = 0;
+        let gameReturn = 0;
+        
+        getParlayGameMatrix(slip.games[gameId], gameLegs).forEach((row, team1Score) => {
+            row.forEach((cellProbability, team2Score) => {
+                if (cellProbability === 0) return;
+                
+                const legResults = gameLegs.map(leg => leg.settle(team1Score, team2Score));
+                if (legResults.every(result => result === 1)) allWon += cellProbability;
+                if (allPriced) {
+                    gameReturn += cellProbability * legResults.reduce((product, result, index) =>
+                        product * calculateParlayLegMultiplier(result, gameLegs[index].odds), 1);
+                }
+            });
+        });
+        
+        probability *= allWon;
+        expectedReturn *= gameReturn;
+    });
+    
+    return {
+        legs,
+        gameCount: gameIds.length,
+        sameGame: gameIds.length < legs.length,
+        probability: probability * 100,
+        independentProbability: legs.reduce((product, leg) => product * leg.probability / 100, 1) * 100,
+        fairOdds: probability > 0 ? 1 / probability : null,
+        odds: allPriced ? legs.reduce((product, leg) => product * leg.odds, 1) : null,
+        expectedValue: allPriced ? (expectedReturn - 1) * 100 : null
+    };
+}
+
+// Show the slip's legs and its combined probability, fair odds, price and expected value
+function renderParlaySlip() {
+    const element = document.getElementById('parlay-slip');
+    document.getElementById('parlay-clear-btn').disabled = parlaySlip.legs.length === 0;
+    
+    if (parlaySlip.legs.length === 0) {
+        element.innerHTML = '<p>No legs on the slip yet. Use Add to Slip on a recommendation or a derived market after running an analysis.</p>';
+        return;
+    }
+    
+    const slip = priceParlaySlip();
+    // Tell apart separate analyses of the same fixture by when they ran
+    const gameLabel = game => Object.values(parlaySlip.games).filter(entry => entry.name === game.name).length > 1 ?
+        `${game.name} (${new Date(game.analyzedAt).toLocaleTimeString()})` : game.name;
+    const rows = slip.legs.map(leg => `
+        <tr>
+            <td>${escapeHtml(gameLabel(parlaySlip.games[leg.gameId]))}</td>
+            <td>${escapeHtml(leg.label)}</td>
+            <td>${describeCoverProbability(leg)}</td>
+            <td>${leg.fairOdds ? formatOdds(leg.fairOdds) : '–'}</td>
+            <td>
+                <input type="text" class="market-price" data-parlay-price="${escapeHtml(leg.id)}"
+                    value="${leg.odds ? formatOdds(leg.odds) : ''}" aria-label="${escapeHtml(leg.label)} price">
+            </td>
+            <td>
+                <button type="button" class="btn-icon btn-icon-sm" data-action="remove" data-leg-id="${escapeHtml(leg.id)}" title="Remove from the slip">
+                    <span class="material-symbols-outlined">delete</span>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+    
+    element.innerHTML = `
+        <div class="csv-table-wrapper">
+            <table class="csv-table odds-table">
+                <thead>
+                    <tr><th>Game</th><th>Selection</th><th>Prob.</th><th>Fair</th><th>Price</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <p>
+            <strong>Legs:</strong> ${slip.legs.length} from ${slip.gameCount} ${slip.gameCount === 1 ? 'game' : 'games'} ·
+            <strong>All legs win:</strong> ${slip.probability.toFixed(2)}%
+            ${slip.sameGame ? `(${slip.independentProbability.toFixed(2)}% if the legs were independent)` : ''} ·
+            <strong>Fair odds:</strong> ${slip.fairOdds ? formatOdds(slip.fairOdds) : '–'} ·
+            <strong>Price:</strong> ${slip.odds ? formatOdds(slip.odds) : 'enter a price for every leg'} ·
+            <strong>EV:</strong>
+            <span class="${slip.expectedValue > 0 ? 'backtest-win' : (slip.expectedValue < 0 ? 'backtest-loss' : '')}">
+                ${slip.expectedValue === null ? '–' : formatSignedPercent(slip.expectedValue)}
+            </span>
+        </p>
+        ${slip.legs.some(leg => leg.halfWinProbability + leg.pushProbability + leg.halfLossProbability > 0) ?
+            '<p class="section-hint">Some legs can push or settle by halves. The fair odds only price every leg winning outright; the expected value also counts a pushed leg dropping out of the slip and a half result settling at half its price.</p>' : ''}
+    `;
+}
+
+// Store (or clear) a leg's price and reprice the slip
+function handleParlayPriceChange(event) {
+    const input = event.target.closest('input[data-parlay-price]');
+    if (!input) return;
+    
+    const odds = parseOdds(input.value, oddsFormat);
+    if (odds === undefined) {
+        showToast(`Enter the price as ${oddsFormat} odds`, 'error');
+        return;
+    }
+    
+    const leg = parlaySlip.legs.find(entry => entry.id === input.dataset.parlayPrice);
+    if (!leg) return;
+    leg.odds = odds;
+    renderParlaySlip();
+}
+
+// Remove a leg, and its game once it has no legs left
+function handleParlayAction(event) {
+    const button = event.target.closest('button[data-action="remove"]');
+    if (!button) return;
+    
+    parlaySlip.legs = parlaySlip.legs.filter(leg => leg.id !== button.dataset.legId);
+    Object.keys(parlaySlip.games)
+        .filter(gameId => !parlaySlip.legs.some(leg => leg.gameId === gameId))
+        .forEach(gameId => delete parlaySlip.games[gameId]);
+    renderParlaySlip();
+}
+
+function clearParlaySlip() {
+    parlaySlip = { games: {}, legs: [] };
+    renderParlaySlip();
+}